@@ -0,0 +1,15 @@
+/**
+ * The error a run is rejected with when it is aborted through its AbortSignal. Tasks which are cancelled because of the
+ * abort are also rejected with this error.
+ */
+class AbortError extends Error {
+    constructor(message: string = "The run was aborted") {
+        super(message);
+        this.name = "AbortError";
+
+        // Restore the prototype chain, which is lost when extending built-ins with an ES5 target.
+        Object.setPrototypeOf(this, AbortError.prototype);
+    }
+}
+
+export { AbortError };
@@ -0,0 +1,11 @@
+/**
+ * The subset of the AbortSignal interface used by the TaskRunner. Both the DOM and Node.js AbortSignal implementations
+ * satisfy it.
+ */
+interface AbortSignalLike {
+    readonly aborted: boolean;
+    addEventListener(type: "abort", listener: () => void): void;
+    removeEventListener(type: "abort", listener: () => void): void;
+}
+
+export { AbortSignalLike };
@@ -0,0 +1,31 @@
+/**
+ * A cached task result, along with the fingerprint of the inputs it was produced from.
+ */
+interface CacheEntry {
+    fingerprint: string;
+    result: any;
+}
+
+/**
+ * Stores the results of tasks with declared inputs between runs. Implement this to persist results somewhere other than
+ * memory or a JSON file, such as a shared remote cache.
+ */
+interface CacheStore {
+
+    /**
+     * Returns the entry stored for the given task, or undefined if there is none.
+     *
+     * @param taskName - The unique name of the task.
+     */
+    get(taskName: string): Promise<CacheEntry | undefined>;
+
+    /**
+     * Stores the entry for the given task, replacing any existing entry.
+     *
+     * @param taskName - The unique name of the task.
+     * @param entry - The fingerprint and result of the task.
+     */
+    set(taskName: string, entry: CacheEntry): Promise<void>;
+}
+
+export { CacheEntry, CacheStore };
@@ -0,0 +1,168 @@
+import * as crypto from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+import { CheckpointError } from "./CheckpointError";
+import { writeFileAtomic } from "./FileWriter";
+import { TaskResult } from "./TaskResult";
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * The tasks a run may execute, each with its dependencies and the source of its definition.
+ */
+interface CheckpointGraph {
+    [taskName: string]: { dependencies: string[], definition: string };
+}
+
+/**
+ * The contents of a checkpoint file.
+ */
+interface CheckpointData {
+    version: number;
+
+    /**
+     * A hash of the shape of the graph the checkpoint was created for.
+     */
+    graph: string;
+
+    /**
+     * The completed tasks, each with a hash of its definition and its result.
+     */
+    tasks: { [taskName: string]: { definition: string, result: any } };
+}
+
+/**
+ * Records the results of a run as its tasks complete, so that a later run of the same graph can resume from them. The
+ * graph is identified by a hash of its shape and each task by a hash of its definition, so that results are never
+ * restored into a graph or a task which has changed since.
+ *
+ * The file is rewritten after every task, so task results must be JSON-serializable.
+ */
+class Checkpoint {
+    private filePath: string | undefined;
+    private definitions: { [taskName: string]: string } = {};
+    private data: CheckpointData;
+    private writing: Promise<void> = Promise.resolve();
+    private error: any = null;
+
+    /**
+     * @param graph - The tasks of the run.
+     * @param filePath - The path of the JSON file to write the checkpoint to, if any. It, and its directory, are
+     * created if they do not exist.
+     */
+    constructor(graph: CheckpointGraph, filePath?: string) {
+        const taskNames = Object.keys(graph).sort();
+        for (const taskName of taskNames) {
+            this.definitions[taskName] = this.hash(graph[taskName].definition);
+        }
+
+        const shape = taskNames.map((taskName) => [taskName, graph[taskName].dependencies.slice().sort()]);
+        this.filePath = filePath === undefined ? undefined : path.resolve(filePath);
+        this.data = {version: CHECKPOINT_VERSION, graph: this.hash(JSON.stringify(shape)), tasks: {}};
+    }
+
+    /**
+     * Restores the results recorded by an earlier checkpoint, which are also kept in this one.
+     *
+     * @param data - The contents of the earlier checkpoint.
+     * @param filePath - The path it was read from, for error messages.
+     * @returns The recorded results.
+     * @throws CheckpointError if the checkpoint was created for a different graph, or a task has changed since.
+     */
+    restore(data: CheckpointData, filePath: string): TaskResult {
+        if (data.version !== CHECKPOINT_VERSION) {
+            throw new CheckpointError(filePath, `has unsupported version '${data.version}'`);
+        }
+        if (data.graph !== this.data.graph) {
+            throw new CheckpointError(filePath, "was created for a different task graph");
+        }
+
+        const results: TaskResult = {};
+        for (const taskName in data.tasks) {
+            /* istanbul ignore else */
+            if (data.tasks.hasOwnProperty(taskName)) {
+                const entry = data.tasks[taskName];
+                if (entry.definition !== this.definitions[taskName]) {
+                    throw new CheckpointError(filePath, `was created for a different definition of task '${taskName}'`);
+                }
+
+                this.data.tasks[taskName] = entry;
+                results[taskName] = entry.result;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Records the result of a completed task, and rewrites the file if there is one. Throws an error, without
+     * recording the result, if it cannot be serialized.
+     */
+    record(taskName: string, result: any) {
+        const entry = {definition: this.definitions[taskName], result: result};
+        if (this.filePath === undefined) {
+            this.data.tasks[taskName] = entry;
+            return;
+        }
+
+        const filePath = this.filePath;
+        const contents = JSON.stringify({...this.data, tasks: {...this.data.tasks, [taskName]: entry}}, null, 2);
+        this.data.tasks[taskName] = entry;
+
+        // Errors are kept for flush, so that a failed write is never left unhandled until then.
+        this.writing = this.writing
+            .then(() => writeFileAtomic(filePath, contents))
+            .catch((error) => {
+                this.error = this.error || error;
+            });
+    }
+
+    /**
+     * Returns a promise which resolves once every recorded result has been written, or rejects with the first error
+     * writing the file.
+     */
+    flush(): Promise<void> {
+        return this.writing.then(() => {
+            if (this.error) {
+                throw this.error;
+            }
+        });
+    }
+
+    private hash(data: string): string {
+        return crypto.createHash("sha256").update(data).digest("hex");
+    }
+}
+
+/**
+ * Reads the contents of a checkpoint file.
+ *
+ * @param filePath - The path of the file.
+ * @returns A promise for its contents, rejected with a CheckpointError if it cannot be read or is not a checkpoint.
+ */
+function readCheckpoint(filePath: string): Promise<CheckpointData> {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path.resolve(filePath), "utf8", (error, contents) => {
+            if (error) {
+                reject(new CheckpointError(filePath, `could not be read: ${error.message}`));
+                return;
+            }
+
+            let data: CheckpointData;
+            try {
+                data = JSON.parse(contents);
+            } catch (e) {
+                reject(new CheckpointError(filePath, `is not valid JSON: ${e.message}`));
+                return;
+            }
+
+            if (!data || typeof data.graph !== "string" || !data.tasks || typeof data.tasks !== "object") {
+                reject(new CheckpointError(filePath, "is not a checkpoint"));
+            } else {
+                resolve(data);
+            }
+        });
+    });
+}
+
+export { Checkpoint, CheckpointData, CheckpointGraph, readCheckpoint };
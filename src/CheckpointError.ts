@@ -0,0 +1,18 @@
+/**
+ * The error a run is rejected with when the checkpoint it should resume from cannot be read, or was created for a
+ * different task graph or different task definitions.
+ */
+class CheckpointError extends Error {
+    readonly filePath: string;
+
+    constructor(filePath: string, message: string) {
+        super(`Checkpoint '${filePath}' ${message}`);
+        this.name = "CheckpointError";
+        this.filePath = filePath;
+
+        // Restore the prototype chain, which is lost when extending built-ins with an ES5 target.
+        Object.setPrototypeOf(this, CheckpointError.prototype);
+    }
+}
+
+export { CheckpointError };
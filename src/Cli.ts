@@ -0,0 +1,370 @@
+import * as path from "path";
+import { CliOptions } from "./CliOptions";
+import { ExitCode } from "./ExitCode";
+import { LinkedAbortSignal } from "./LinkedAbortSignal";
+import { LogLevel } from "./TaskContext";
+import { TaskRunner } from "./TaskRunner";
+import { TaskRunnerEvents } from "./TaskRunnerEvents";
+import { ValidationError } from "./ValidationError";
+
+const DEFAULT_TASKSFILE = "tasksfile.js";
+
+const USAGE = `Usage: tasker [options] <command>
+
+Commands:
+  run <task...>             Run the given tasks and everything they depend on
+  list                      List every task along with its dependencies
+
+Options:
+  -f, --tasksfile <path>    The tasksfile to load (default: ${DEFAULT_TASKSFILE})
+  -c, --concurrency <n>     The maximum number of tasks to execute at once
+  -v, --verbose             Also print debug logs, progress, retries and waits for resources
+  -q, --quiet               Only print failures and errors
+  -h, --help                Print this help
+`;
+
+/**
+ * How much is printed while tasks run.
+ */
+type Verbosity = "quiet" | "normal" | "verbose";
+
+type Listener<K extends keyof TaskRunnerEvents> = (payload: TaskRunnerEvents[K]) => void;
+
+/**
+ * The parsed command line arguments.
+ */
+interface CliArguments {
+    command: "run" | "list" | "help";
+    taskNames: string[];
+    tasksfile: string;
+    concurrency?: number;
+    verbosity: Verbosity;
+}
+
+/**
+ * The verbosities at which messages logged at each level are printed.
+ */
+const LOG_VERBOSITIES: { [level in LogLevel]: Verbosity[] } = {
+    debug: ["verbose"],
+    info: ["normal", "verbose"],
+    warn: ["normal", "verbose"],
+    error: ["quiet", "normal", "verbose"]
+};
+
+const describeError = (error: any) => error && error.message !== undefined ? error.message : String(error);
+
+/**
+ * Whether the value looks like a TaskRunner. A tasksfile may use another copy of tasker-lib than the command line, such
+ * as a locally installed one, so instanceof can't be relied on.
+ */
+const isTaskRunnerLike = (value: any): boolean => {
+    return !!value && typeof value.run === "function" && typeof value.getTaskList === "function";
+};
+
+/**
+ * Whether the value is a TaskRunner with every method the command line uses, which one from an older copy of
+ * tasker-lib may lack.
+ */
+const isTaskRunner = (value: any): value is TaskRunner<any> => {
+    return isTaskRunnerLike(value) && ["validate", "on", "off"].every((method) => typeof value[method] === "function");
+};
+
+/**
+ * The tasker command line. Loads a tasksfile, a module which either exports a configured TaskRunner, as its
+ * module.exports or its default export, or exports each of its tasks under its name. A task is exported either as a
+ * task function or as the options addTask accepts, such as {dependencies, task}.
+ *
+ * Commands:
+ *  - run <task...> - Runs the given tasks, printing their status as they start, end and fail.
+ *  - list - Lists every task along with its dependencies.
+ *
+ * Every command resolves with one of the ExitCode values. Interrupting a run, with Ctrl+C, aborts it, killing the
+ * shell commands of its tasks; interrupting it again exits right away.
+ */
+class Cli {
+    private cwd: string;
+    private stdout: NodeJS.WritableStream;
+    private stderr: NodeJS.WritableStream;
+
+    constructor(cliOptions: CliOptions = {}) {
+        this.cwd = cliOptions.cwd || process.cwd();
+        this.stdout = cliOptions.stdout || process.stdout;
+        this.stderr = cliOptions.stderr || process.stderr;
+    }
+
+    /**
+     * Runs the command given by the command line arguments.
+     *
+     * @param argv - The arguments, without the node executable and script, such as ["run", "build", "--verbose"].
+     * @returns A promise for the exit code. Never rejected: errors are printed and reflected in the exit code.
+     */
+    run(argv: string[]): Promise<number> {
+        let args: CliArguments;
+        let taskRunner: TaskRunner<any>;
+        try {
+            args = this.parseArguments(argv);
+            if (args.command === "help") {
+                this.stdout.write(USAGE);
+                return Promise.resolve(ExitCode.Success);
+            }
+
+            taskRunner = this.load(args.tasksfile);
+        } catch (e) {
+            this.printError(`tasker: ${describeError(e)}\nRun 'tasker --help' for usage.`);
+            return Promise.resolve(ExitCode.InvalidUsage);
+        }
+
+        return args.command === "list" ? Promise.resolve(this.list(taskRunner)) : this.runTasks(taskRunner, args);
+    }
+
+    private list(taskRunner: TaskRunner<any>): number {
+        const taskList = taskRunner.getTaskList();
+        for (const taskName of Object.keys(taskList)) {
+            const dependencies = taskList[taskName];
+            this.print(dependencies.length > 0 ? `${taskName}: ${dependencies.join(", ")}` : taskName);
+        }
+
+        return ExitCode.Success;
+    }
+
+    /**
+     * Runs the given tasks. Never rejected, even if the TaskRunner throws rather than rejecting.
+     */
+    private runTasks(taskRunner: TaskRunner<any>, args: CliArguments): Promise<number> {
+        let removeListeners: () => void = () => undefined;
+        const onError = (error: any) => {
+            removeListeners();
+            this.printError(`tasker: ${describeError(error)}`);
+
+            return error instanceof ValidationError ? ExitCode.InvalidGraph : ExitCode.TaskFailed;
+        };
+
+        let startTime: number;
+        let runPromise: Promise<any>;
+        try {
+            const taskList = taskRunner.getTaskList();
+            for (const taskName of args.taskNames) {
+                if (!taskList.hasOwnProperty(taskName)) {
+                    this.printError(`tasker: Task '${taskName}' not found`);
+                    return Promise.resolve(ExitCode.InvalidUsage);
+                }
+            }
+
+            const validationResult = taskRunner.validate(args.taskNames);
+            if (!validationResult.valid) {
+                this.printError(`tasker: ${new ValidationError(validationResult).message}`);
+                return Promise.resolve(ExitCode.InvalidGraph);
+            }
+
+            // Only the first interrupt aborts the run, so that the default handling of the next one exits.
+            const signal = new LinkedAbortSignal();
+            const onInterrupt = () => signal.abort();
+            const removeStatusListeners = this.addListeners(taskRunner, args.verbosity);
+            process.once("SIGINT", onInterrupt);
+            removeListeners = () => {
+                removeStatusListeners();
+                process.removeListener("SIGINT", onInterrupt);
+            };
+
+            startTime = Date.now();
+            const runOptions = args.concurrency === undefined ?
+                {signal: signal} :
+                {signal: signal, maxConcurrency: args.concurrency};
+            runPromise = taskRunner.run(args.taskNames, runOptions);
+        } catch (e) {
+            return Promise.resolve(onError(e));
+        }
+
+        return Promise.resolve(runPromise).then(() => {
+            removeListeners();
+            if (args.verbosity !== "quiet") {
+                this.print(`Finished in ${Date.now() - startTime}ms`);
+            }
+
+            return ExitCode.Success;
+        }).catch(onError);
+    }
+
+    /**
+     * Prints the status of every task of the runs of the given TaskRunner as it changes, at the given verbosity.
+     *
+     * @returns A function which removes the listeners again.
+     */
+    private addListeners(taskRunner: TaskRunner<any>, verbosity: Verbosity): () => void {
+        const removers: (() => void)[] = [];
+        const listen = <K extends keyof TaskRunnerEvents>(event: K, listener: Listener<K>) => {
+            taskRunner.on(event, listener);
+            removers.push(() => taskRunner.off(event, listener));
+        };
+
+        listen("taskFail", (event) => {
+            this.printError(`[${event.taskName}] failed after ${event.duration}ms: ${describeError(event.error)}`);
+        });
+        listen("taskLog", (event) => {
+            if (LOG_VERBOSITIES[event.level].indexOf(verbosity) === -1) {
+                return;
+            }
+
+            const line = `[${event.taskName}] ${event.level}: ${event.message}`;
+            if (event.level === "error" || event.level === "warn") {
+                this.printError(line);
+            } else {
+                this.print(line);
+            }
+        });
+
+        if (verbosity !== "quiet") {
+            listen("taskStart", (event) => {
+                const wait = verbosity === "verbose" && event.waitTime > 0 ?
+                    ` after waiting ${event.waitTime}ms for its resources` : "";
+                this.print(`[${event.taskName}] started${wait}`);
+            });
+            listen("taskEnd", (event) => {
+                this.print(`[${event.taskName}] finished in ${event.duration}ms${event.cached ? " (cached)" : ""}`);
+            });
+            listen("taskCancel", (event) => {
+                this.print(`[${event.taskName}] cancelled${event.cause ? ` because '${event.cause}' failed` : ""}`);
+            });
+            listen("taskSkip", (event) => {
+                this.print(`[${event.taskName}] skipped`);
+            });
+        }
+
+        if (verbosity === "verbose") {
+            listen("taskWait", (event) => {
+                this.print(`[${event.taskName}] waiting for ${event.resources.join(", ")}`);
+            });
+            listen("taskRetry", (event) => {
+                this.print(`[${event.taskName}] retry ${event.retry} after: ${describeError(event.error)}`);
+            });
+            listen("taskProgress", (event) => {
+                const message = event.message ? ` ${event.message}` : "";
+                this.print(`[${event.taskName}] ${Math.round(event.fraction * 100)}%${message}`);
+            });
+        }
+
+        return () => removers.forEach((remove) => remove());
+    }
+
+    /**
+     * Loads the tasksfile at the given path, relative to the working directory, and returns the TaskRunner it exports,
+     * or a new TaskRunner with the tasks it exports.
+     */
+    private load(tasksfile: string): TaskRunner<any> {
+        const modulePath = path.resolve(this.cwd, tasksfile);
+        let exported: any;
+        try {
+            exported = require(modulePath);
+        } catch (e) {
+            throw new Error(`Tasksfile '${modulePath}' could not be loaded: ${describeError(e)}`);
+        }
+
+        const exportedRunner = isTaskRunnerLike(exported) ? exported :
+            exported && isTaskRunnerLike(exported.default) ? exported.default : undefined;
+        if (exportedRunner && !isTaskRunner(exportedRunner)) {
+            throw new Error(`Tasksfile '${modulePath}' exports a TaskRunner which is incompatible with this version ` +
+                "of tasker, as it lacks validate, on or off");
+        } else if (exportedRunner) {
+            return exportedRunner;
+        }
+
+        const taskNames = exported ? Object.keys(exported).filter((name) => name !== "default") : [];
+        if (taskNames.length === 0) {
+            throw new Error(`Tasksfile '${modulePath}' exports neither a TaskRunner nor any tasks`);
+        }
+
+        const taskRunner = new TaskRunner();
+        for (const taskName of taskNames) {
+            taskRunner.addTask(taskName, exported[taskName]);
+        }
+
+        return taskRunner;
+    }
+
+    private parseArguments(argv: string[]): CliArguments {
+        const args: CliArguments = {command: "help", taskNames: [], tasksfile: DEFAULT_TASKSFILE, verbosity: "normal"};
+        const positional: string[] = [];
+        let help = false;
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (arg === "--") {
+                positional.push(...argv.slice(i + 1));
+                break;
+            }
+
+            // Long options may also be given as --name=value.
+            const equals = arg.indexOf("--") === 0 ? arg.indexOf("=") : -1;
+            const option = equals === -1 ? arg : arg.slice(0, equals);
+            const getValue = () => {
+                if (equals !== -1) {
+                    return arg.slice(equals + 1);
+                } else if (i + 1 >= argv.length) {
+                    throw new Error(`Missing value for ${option}`);
+                }
+
+                return argv[++i];
+            };
+
+            switch (option) {
+                case "-f":
+                case "--tasksfile":
+                    args.tasksfile = getValue();
+                    break;
+                case "-c":
+                case "--concurrency": {
+                    const value = getValue();
+                    args.concurrency = Number(value);
+                    if (!(args.concurrency >= 1) || Math.floor(args.concurrency) !== args.concurrency) {
+                        throw new Error(`${option} must be a positive integer, got '${value}'`);
+                    }
+                    break;
+                }
+                case "-v":
+                case "--verbose":
+                    args.verbosity = "verbose";
+                    break;
+                case "-q":
+                case "--quiet":
+                    args.verbosity = "quiet";
+                    break;
+                case "-h":
+                case "--help":
+                    help = true;
+                    break;
+                default:
+                    if (arg.charAt(0) === "-") {
+                        throw new Error(`Unknown option '${arg}'`);
+                    }
+                    positional.push(arg);
+            }
+        }
+
+        if (help) {
+            return args;
+        }
+
+        const command = positional[0];
+        if (command === undefined) {
+            throw new Error("Missing command");
+        } else if (command !== "run" && command !== "list") {
+            throw new Error(`Unknown command '${command}'`);
+        } else if (command === "run" && positional.length === 1) {
+            throw new Error("Missing task name");
+        }
+
+        args.command = command;
+        args.taskNames = positional.slice(1);
+        return args;
+    }
+
+    private print(line: string) {
+        this.stdout.write(`${line}\n`);
+    }
+
+    private printError(line: string) {
+        this.stderr.write(`${line}\n`);
+    }
+}
+
+export { Cli };
@@ -0,0 +1,22 @@
+/**
+ * Options to be used to configure the tasker command line.
+ */
+interface CliOptions {
+
+    /**
+     * The directory the tasksfile is resolved against. Defaults to the current working directory.
+     */
+    cwd?: string;
+
+    /**
+     * Where the status of the tasks is written. Defaults to process.stdout.
+     */
+    stdout?: NodeJS.WritableStream;
+
+    /**
+     * Where errors are written. Defaults to process.stderr.
+     */
+    stderr?: NodeJS.WritableStream;
+}
+
+export { CliOptions };
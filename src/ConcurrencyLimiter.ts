@@ -0,0 +1,73 @@
+/**
+ * Limits the number of asynchronous operations that may be in flight at the same time. Operations scheduled beyond the
+ * limit are queued and started in the order they were scheduled as earlier operations settle.
+ */
+class ConcurrencyLimiter {
+    private maxConcurrency: number;
+    private activeCount = 0;
+    private queue: (() => void)[] = [];
+
+    /**
+     * @param maxConcurrency - The maximum number of operations which may be in flight at once. Must be a positive
+     * integer or Infinity.
+     */
+    constructor(maxConcurrency: number = Infinity) {
+        if (!(maxConcurrency === Infinity || (maxConcurrency > 0 && Math.floor(maxConcurrency) === maxConcurrency))) {
+            throw new Error(`maxConcurrency must be a positive integer, got '${maxConcurrency}'`);
+        }
+        this.maxConcurrency = maxConcurrency;
+    }
+
+    /**
+     * Whether or not this limiter will ever queue an operation.
+     */
+    isLimited(): boolean {
+        return this.maxConcurrency !== Infinity;
+    }
+
+    /**
+     * Schedules the given operation, starting it immediately if a slot is free or queueing it otherwise.
+     *
+     * @param operation - A function which starts the operation and returns a promise for its completion.
+     * @returns A promise which settles with the result of the operation.
+     */
+    schedule<T>(operation: () => Promise<T>): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            const start = () => {
+                this.activeCount++;
+
+                let promise: Promise<T>;
+                try {
+                    promise = operation();
+                } catch (e) {
+                    promise = Promise.reject(e);
+                }
+
+                promise.then((result) => {
+                    this.release();
+                    resolve(result);
+                }, (error) => {
+                    this.release();
+                    reject(error);
+                });
+            };
+
+            if (this.activeCount < this.maxConcurrency) {
+                start();
+            } else {
+                this.queue.push(start);
+            }
+        });
+    }
+
+    private release() {
+        this.activeCount--;
+
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        }
+    }
+}
+
+export { ConcurrencyLimiter };
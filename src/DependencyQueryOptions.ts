@@ -0,0 +1,13 @@
+/**
+ * Options to be used to configure a call to TaskRunner.getDependencies or TaskRunner.getDependents.
+ */
+interface DependencyQueryOptions {
+
+    /**
+     * Whether to include indirect links, such as the dependencies of dependencies, rather than only direct ones.
+     * Defaults to false.
+     */
+    transitive?: boolean;
+}
+
+export { DependencyQueryOptions };
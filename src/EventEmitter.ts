@@ -0,0 +1,52 @@
+/**
+ * A minimal, strongly typed event emitter. The type parameter maps each event name to the type of its payload.
+ */
+class EventEmitter<Events> {
+    private listeners: { [event: string]: ((payload: any) => void)[] } = {};
+
+    /**
+     * Adds a listener for the given event.
+     *
+     * @param event - The name of the event.
+     * @param listener - Called with the payload every time the event is emitted.
+     */
+    on<K extends Extract<keyof Events, string>>(event: K, listener: (payload: Events[K]) => void): void {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+    }
+
+    /**
+     * Removes a listener previously added for the given event. Does nothing if the listener was not added.
+     *
+     * @param event - The name of the event.
+     * @param listener - The listener to remove.
+     */
+    off<K extends Extract<keyof Events, string>>(event: K, listener: (payload: Events[K]) => void): void {
+        const listeners = this.listeners[event];
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Calls every listener of the given event, in the order they were added, with the payload.
+     *
+     * @param event - The name of the event.
+     * @param payload - The payload to pass to the listeners.
+     */
+    emit<K extends Extract<keyof Events, string>>(event: K, payload: Events[K]): void {
+        const listeners = this.listeners[event];
+        if (listeners) {
+            for (const listener of listeners.slice()) {
+                listener(payload);
+            }
+        }
+    }
+}
+
+export { EventEmitter };
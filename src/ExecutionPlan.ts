@@ -0,0 +1,34 @@
+/**
+ * The dependencies of a single task in an execution plan.
+ */
+interface PlannedTask {
+
+    /**
+     * The tasks this task depends on directly.
+     */
+    dependencies: string[];
+
+    /**
+     * Every task this task depends on, directly or through other tasks, in execution order.
+     */
+    transitiveDependencies: string[];
+}
+
+/**
+ * Describes what a run would execute, and in what order, without executing anything.
+ */
+interface ExecutionPlan {
+
+    /**
+     * The tasks to execute, grouped into waves. Every task only depends on tasks in earlier waves, so the tasks within
+     * a wave can run in parallel.
+     */
+    waves: string[][];
+
+    /**
+     * The dependencies of every task in the plan.
+     */
+    tasks: { [taskName: string]: PlannedTask };
+}
+
+export { ExecutionPlan, PlannedTask };
@@ -0,0 +1,27 @@
+/**
+ * The exit codes of the tasker command line.
+ */
+const ExitCode = {
+
+    /**
+     * The command completed, and every task it ran succeeded.
+     */
+    Success: 0,
+
+    /**
+     * One or more tasks failed or were cancelled.
+     */
+    TaskFailed: 1,
+
+    /**
+     * The task tree has a missing dependency or a cycle, so no task was run.
+     */
+    InvalidGraph: 2,
+
+    /**
+     * The arguments were invalid, a task to run does not exist, or the tasksfile could not be loaded.
+     */
+    InvalidUsage: 3
+};
+
+export { ExitCode };
@@ -0,0 +1,44 @@
+/**
+ * The formats the task tree can be exported to.
+ */
+type GraphFormat = "dot" | "mermaid" | "json";
+
+/**
+ * A dependency link in an exported graph.
+ */
+interface ExportedDependency {
+
+    /**
+     * The task which has the dependency.
+     */
+    taskName: string;
+
+    /**
+     * The task depended upon.
+     */
+    dependency: string;
+
+    /**
+     * True if the task depended upon has not been added yet.
+     */
+    missing: boolean;
+}
+
+/**
+ * The JSON export of a task tree. The version is incremented whenever the structure changes in an incompatible way.
+ */
+interface ExportedGraph {
+    version: 1;
+
+    /**
+     * Every task in the graph, in the order they were added or reached.
+     */
+    tasks: string[];
+
+    /**
+     * Every dependency link in the graph, including links to missing tasks.
+     */
+    dependencies: ExportedDependency[];
+}
+
+export { ExportedDependency, ExportedGraph, GraphFormat };
@@ -0,0 +1,68 @@
+import * as fs from "fs";
+import * as path from "path";
+import { CacheEntry, CacheStore } from "./CacheStore";
+import { writeFileAtomic } from "./FileWriter";
+
+/**
+ * A CacheStore which persists entries to a JSON file, so that results are reused between processes. Task results must
+ * be JSON-serializable.
+ *
+ * The file is read once, on first use, and rewritten after every change.
+ */
+class FileCacheStore implements CacheStore {
+    private filePath: string;
+    private entries: Promise<{ [taskName: string]: CacheEntry }> | null = null;
+    private writing: Promise<void> = Promise.resolve();
+
+    /**
+     * @param filePath - The path of the JSON file. It, and its directory, are created if they do not exist.
+     */
+    constructor(filePath: string) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    get(taskName: string): Promise<CacheEntry | undefined> {
+        return this.load().then((entries) => entries.hasOwnProperty(taskName) ? entries[taskName] : undefined);
+    }
+
+    set(taskName: string, entry: CacheEntry): Promise<void> {
+        return this.load().then((entries) => {
+            // The entry is only kept once it is known to serialize, so that a result which does not cannot break
+            // every later write.
+            const contents = JSON.stringify({...entries, [taskName]: entry}, null, 2);
+            entries[taskName] = entry;
+
+            this.writing = this.writing
+                .catch(() => {})
+                .then(() => writeFileAtomic(this.filePath, contents));
+            return this.writing;
+        });
+    }
+
+    private load(): Promise<{ [taskName: string]: CacheEntry }> {
+        if (!this.entries) {
+            this.entries = new Promise((resolve, reject) => {
+                fs.readFile(this.filePath, "utf8", (error, contents) => {
+                    if (error) {
+                        if (error.code === "ENOENT") {
+                            resolve({});
+                        } else {
+                            reject(error);
+                        }
+                        return;
+                    }
+
+                    try {
+                        resolve(JSON.parse(contents));
+                    } catch (e) {
+                        reject(new Error(`Cache file '${this.filePath}' is not valid JSON: ${e.message}`));
+                    }
+                });
+            });
+        }
+
+        return this.entries;
+    }
+}
+
+export { FileCacheStore };
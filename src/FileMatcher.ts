@@ -0,0 +1,200 @@
+import * as fs from "fs";
+import * as path from "path";
+
+const GLOB_CHARACTERS = /[*?[]/;
+
+/**
+ * Expands file paths and glob patterns into the list of files they match. Supports the "*", "?", "[...]" and "**"
+ * wildcards. Wildcards do not match names starting with a dot unless the pattern segment does too.
+ *
+ * A path without wildcards that points to a directory matches every file below that directory.
+ */
+class FileMatcher {
+    private cwd: string;
+
+    /**
+     * @param cwd - The directory relative patterns are resolved against. Defaults to the current working directory.
+     */
+    constructor(cwd: string = process.cwd()) {
+        this.cwd = cwd;
+    }
+
+    /**
+     * Returns the absolute paths of all files matched by any of the given patterns, sorted and without duplicates.
+     *
+     * @param patterns - The file paths and glob patterns to expand.
+     */
+    match(patterns: string[]): Promise<string[]> {
+        return Promise.all(patterns.map((pattern) => this.matchPattern(pattern)))
+            .then((matches) => {
+                const files: { [file: string]: boolean } = {};
+                for (const fileList of matches) {
+                    for (const file of fileList) {
+                        files[file] = true;
+                    }
+                }
+
+                return Object.keys(files).sort();
+            });
+    }
+
+    /**
+     * Returns the directory that a pattern is rooted at, which is the longest leading part without wildcards.
+     *
+     * @param pattern - The file path or glob pattern.
+     */
+    getBase(pattern: string): string {
+        return this.splitPattern(pattern).base;
+    }
+
+    /**
+     * Returns whether the given file is matched by the pattern, without touching the file system. A pattern without
+     * wildcards matches the file itself and every file below it.
+     *
+     * @param pattern - The file path or glob pattern.
+     * @param file - The path of the file. Relative paths are resolved against the current working directory.
+     */
+    matches(pattern: string, file: string): boolean {
+        const { base, segments } = this.splitPattern(pattern);
+        const relative = path.relative(base, path.resolve(this.cwd, file));
+        if (relative === "") {
+            return segments.length === 0;
+        }
+
+        const names = relative.split(path.sep);
+        if (names[0] === ".." || path.isAbsolute(relative)) {
+            return false;
+        }
+
+        return this.matchSegments(names, segments.length === 0 ? ["**", "*"] : segments);
+    }
+
+    private matchPattern(pattern: string): Promise<string[]> {
+        const { base, segments } = this.splitPattern(pattern);
+        if (segments.length === 0) {
+            return this.stat(base).then((stats) => {
+                if (!stats) {
+                    return [];
+                }
+
+                return stats.isDirectory() ? this.walk(base, ["**", "*"]) : [base];
+            });
+        }
+
+        return this.walk(base, segments);
+    }
+
+    /**
+     * Splits a pattern into the directory it is rooted at and the remaining segments, starting at the first segment
+     * containing a wildcard.
+     */
+    private splitPattern(pattern: string): { base: string, segments: string[] } {
+        const segments = pattern.split(/[\\/]/);
+        let index = 0;
+        while (index < segments.length && !GLOB_CHARACTERS.test(segments[index])) {
+            index++;
+        }
+
+        return {
+            base: path.resolve(this.cwd, index === 0 ? "." : segments.slice(0, index).join("/") || "/"),
+            segments: segments.slice(index).filter((segment) => segment !== "")
+        };
+    }
+
+    private walk(directory: string, segments: string[]): Promise<string[]> {
+        return this.readDirectory(directory).then((entries) => {
+            const segment = segments[0];
+            const rest = segments.slice(1);
+            const pending: Promise<string[]>[] = [];
+
+            if (segment === "**") {
+                pending.push(rest.length > 0 ? this.walk(directory, rest) : Promise.resolve([]));
+                for (const entry of entries) {
+                    if (entry.isDirectory() && entry.name.charAt(0) !== ".") {
+                        pending.push(this.walk(path.join(directory, entry.name), segments));
+                    }
+                }
+            } else {
+                const expression = this.toRegExp(segment);
+                for (const entry of entries) {
+                    if (!expression.test(entry.name) || (entry.name.charAt(0) === "." && segment.charAt(0) !== ".")) {
+                        continue;
+                    }
+
+                    const entryPath = path.join(directory, entry.name);
+                    if (rest.length === 0) {
+                        if (entry.isFile()) {
+                            pending.push(Promise.resolve([entryPath]));
+                        }
+                    } else if (entry.isDirectory()) {
+                        pending.push(this.walk(entryPath, rest));
+                    }
+                }
+            }
+
+            return Promise.all(pending).then((matches) => {
+                const files: string[] = [];
+                for (const fileList of matches) {
+                    files.push.apply(files, fileList);
+                }
+
+                return files;
+            });
+        });
+    }
+
+    private matchSegments(names: string[], segments: string[]): boolean {
+        if (segments.length === 0 || names.length === 0) {
+            return segments.length === 0 && names.length === 0;
+        }
+
+        const segment = segments[0];
+        if (segment === "**") {
+            return this.matchSegments(names, segments.slice(1)) ||
+                (names[0].charAt(0) !== "." && this.matchSegments(names.slice(1), segments));
+        }
+
+        const name = names[0];
+        return this.toRegExp(segment).test(name) && !(name.charAt(0) === "." && segment.charAt(0) !== ".") &&
+            this.matchSegments(names.slice(1), segments.slice(1));
+    }
+
+    private toRegExp(segment: string): RegExp {
+        let source = "";
+        for (let i = 0; i < segment.length; i++) {
+            const character = segment.charAt(i);
+            if (character === "*") {
+                source += ".*";
+            } else if (character === "?") {
+                source += ".";
+            } else if (character === "[") {
+                const end = segment.indexOf("]", i + 1);
+                if (end === -1) {
+                    source += "\\[";
+                } else {
+                    const contents = segment.slice(i + 1, end).replace(/\\/g, "\\\\");
+                    source += "[" + (contents.charAt(0) === "!" ? "^" + contents.slice(1) : contents) + "]";
+                    i = end;
+                }
+            } else {
+                source += character.replace(/[.+^${}()|\\\]]/g, "\\$&");
+            }
+        }
+
+        return new RegExp("^" + source + "$");
+    }
+
+    private readDirectory(directory: string): Promise<fs.Dirent[]> {
+        return new Promise((resolve) => {
+            fs.readdir(directory, {withFileTypes: true}, (error, entries) => resolve(error ? [] : entries));
+        });
+    }
+
+    private stat(file: string): Promise<fs.Stats | null> {
+        return new Promise((resolve) => {
+            fs.stat(file, (error, stats) => resolve(error ? null : stats));
+        });
+    }
+}
+
+export { FileMatcher };
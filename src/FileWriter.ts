@@ -0,0 +1,33 @@
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Writes the contents to a file, creating its directory if needed. The contents are written to a temporary file next
+ * to it first, which is then renamed over it, so that the file is never left partially written.
+ *
+ * @param filePath - The path of the file.
+ * @param contents - The text to write.
+ * @returns A promise which resolves once the file has been written.
+ */
+function writeFileAtomic(filePath: string, contents: string): Promise<void> {
+    const temporaryPath = `${filePath}.tmp`;
+    return new Promise((resolve, reject) => {
+        fs.mkdir(path.dirname(filePath), {recursive: true}, (error) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            fs.writeFile(temporaryPath, contents, "utf8", (error) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                fs.rename(temporaryPath, filePath, (error) => error ? reject(error) : resolve());
+            });
+        });
+    });
+}
+
+export { writeFileAtomic };
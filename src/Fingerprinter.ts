@@ -0,0 +1,78 @@
+import * as crypto from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+import { FileMatcher } from "./FileMatcher";
+import { TaskInputs } from "./TaskOptions";
+import { TaskResult } from "./TaskResult";
+
+/**
+ * Computes a hash of the declared inputs of a task: the contents of its files, its custom key and the results of its
+ * dependencies, along with the definition of the task itself. Equal fingerprints mean the task would produce the same
+ * result.
+ */
+class Fingerprinter {
+    private fileMatcher: FileMatcher;
+
+    constructor(fileMatcher: FileMatcher = new FileMatcher()) {
+        this.fileMatcher = fileMatcher;
+    }
+
+    /**
+     * Returns the fingerprint of the given inputs.
+     *
+     * @param inputs - The declared inputs of the task.
+     * @param dependencyResults - The results of the task's dependencies.
+     * @param definition - The source of the task's definition, so that a changed task does not reuse stale results.
+     */
+    fingerprint(inputs: TaskInputs, dependencyResults: TaskResult, definition = ""): Promise<string> {
+        const patterns = typeof inputs.files === "string" ? [inputs.files] : inputs.files || [];
+
+        return this.fileMatcher.match(patterns)
+            .then((files) => Promise.all(files.map((file) => this.hashFile(file))))
+            .then((fileHashes) => {
+                const parts = {
+                    definition: definition,
+                    files: fileHashes,
+                    key: inputs.key ? this.serialize(inputs.key(dependencyResults)) : null,
+                    dependencies: inputs.dependencies !== false ? this.serialize(dependencyResults) : null
+                };
+
+                return this.hash(JSON.stringify(parts));
+            });
+    }
+
+    private hashFile(file: string): Promise<string> {
+        return new Promise((resolve, reject) => {
+            fs.readFile(file, (error, contents) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(`${path.relative(process.cwd(), file)}:${this.hash(contents)}`);
+                }
+            });
+        });
+    }
+
+    private hash(data: string | Buffer): string {
+        return crypto.createHash("sha256").update(data).digest("hex");
+    }
+
+    /**
+     * JSON.stringify with object keys sorted, so that equal values always serialize the same way.
+     */
+    private serialize(value: any): string {
+        return JSON.stringify(value, (key, nestedValue) => {
+            if (nestedValue && typeof nestedValue === "object" && !Array.isArray(nestedValue)) {
+                const sorted: { [key: string]: any } = {};
+                for (const nestedKey of Object.keys(nestedValue).sort()) {
+                    sorted[nestedKey] = nestedValue[nestedKey];
+                }
+                return sorted;
+            }
+
+            return nestedValue;
+        }) || "undefined";
+    }
+}
+
+export { Fingerprinter };
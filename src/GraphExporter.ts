@@ -0,0 +1,85 @@
+import { ExportedGraph, GraphFormat } from "./ExportedGraph";
+
+/**
+ * Renders an exported task tree as Graphviz DOT, a Mermaid flowchart or JSON. Edges point from a task to its
+ * dependencies, and dependencies on missing tasks are drawn dashed.
+ */
+class GraphExporter {
+
+    /**
+     * Renders the graph in the given format.
+     *
+     * @param graph - The graph to render.
+     * @param format - One of "dot", "mermaid" or "json".
+     */
+    export(graph: ExportedGraph, format: GraphFormat): string {
+        switch (format) {
+            case "dot":
+                return this.toDot(graph);
+            case "mermaid":
+                return this.toMermaid(graph);
+            case "json":
+                return JSON.stringify(graph, null, 2);
+            default:
+                throw new Error(`Unknown graph format '${format}'`);
+        }
+    }
+
+    private toDot(graph: ExportedGraph): string {
+        const quote = (value: string) => `"${value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+        const lines = ["digraph tasks {"];
+
+        for (const taskName of graph.tasks) {
+            lines.push(`    ${quote(taskName)};`);
+        }
+        for (const missingTask of this.getMissingTasks(graph)) {
+            lines.push(`    ${quote(missingTask)} [style=dashed, color=red];`);
+        }
+        for (const link of graph.dependencies) {
+            const attributes = link.missing ? " [style=dashed]" : "";
+            lines.push(`    ${quote(link.taskName)} -> ${quote(link.dependency)}${attributes};`);
+        }
+
+        lines.push("}");
+        return lines.join("\n") + "\n";
+    }
+
+    private toMermaid(graph: ExportedGraph): string {
+        const ids: { [taskName: string]: string } = {};
+        const label = (value: string) => `"${value.replace(/"/g, "#quot;")}"`;
+        const lines = ["flowchart TD"];
+
+        const missingTasks = this.getMissingTasks(graph);
+        graph.tasks.concat(missingTasks).forEach((taskName, index) => {
+            ids[taskName] = `task${index}`;
+        });
+
+        for (const taskName of graph.tasks) {
+            lines.push(`    ${ids[taskName]}[${label(taskName)}]`);
+        }
+        for (const missingTask of missingTasks) {
+            lines.push(`    ${ids[missingTask]}[${label(missingTask)}]:::missing`);
+        }
+        for (const link of graph.dependencies) {
+            lines.push(`    ${ids[link.taskName]} ${link.missing ? "-.->" : "-->"} ${ids[link.dependency]}`);
+        }
+        if (missingTasks.length > 0) {
+            lines.push("    classDef missing stroke-dasharray: 5 5");
+        }
+
+        return lines.join("\n") + "\n";
+    }
+
+    private getMissingTasks(graph: ExportedGraph): string[] {
+        const missingTasks: string[] = [];
+        for (const link of graph.dependencies) {
+            if (link.missing && missingTasks.indexOf(link.dependency) === -1) {
+                missingTasks.push(link.dependency);
+            }
+        }
+
+        return missingTasks;
+    }
+}
+
+export { GraphExporter };
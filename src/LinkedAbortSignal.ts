@@ -0,0 +1,67 @@
+import { AbortSignalLike } from "./AbortSignalLike";
+
+/**
+ * An AbortSignalLike which is aborted either through abort, or when the signal it is linked to is aborted. Gives an
+ * attempt of a task a signal of its own, so that it can be stopped on its own when it times out.
+ */
+class LinkedAbortSignal implements AbortSignalLike {
+    private parent?: AbortSignalLike;
+    private listeners: (() => void)[] = [];
+    private isAborted = false;
+    private onParentAbort = () => this.abort();
+
+    /**
+     * @param parent - The signal to link to, if any.
+     */
+    constructor(parent?: AbortSignalLike) {
+        this.parent = parent;
+        if (parent && parent.aborted) {
+            this.isAborted = true;
+        } else if (parent) {
+            parent.addEventListener("abort", this.onParentAbort);
+        }
+    }
+
+    get aborted(): boolean {
+        return this.isAborted;
+    }
+
+    addEventListener(type: "abort", listener: () => void) {
+        if (this.listeners.indexOf(listener) === -1) {
+            this.listeners.push(listener);
+        }
+    }
+
+    removeEventListener(type: "abort", listener: () => void) {
+        const index = this.listeners.indexOf(listener);
+        if (index !== -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Aborts the signal, calling every listener, unless it is already aborted.
+     */
+    abort() {
+        if (this.isAborted) {
+            return;
+        }
+
+        this.isAborted = true;
+        this.unlink();
+        for (const listener of this.listeners.slice()) {
+            listener();
+        }
+    }
+
+    /**
+     * Stops listening to the signal it is linked to, once the signal is no longer needed.
+     */
+    unlink() {
+        if (this.parent) {
+            this.parent.removeEventListener("abort", this.onParentAbort);
+        }
+    }
+}
+
+export { LinkedAbortSignal };
@@ -0,0 +1,19 @@
+import { CacheEntry, CacheStore } from "./CacheStore";
+
+/**
+ * A CacheStore which keeps entries in memory. Results are reused between runs of the same process only.
+ */
+class MemoryCacheStore implements CacheStore {
+    private entries: { [taskName: string]: CacheEntry } = {};
+
+    get(taskName: string): Promise<CacheEntry | undefined> {
+        return Promise.resolve(this.entries.hasOwnProperty(taskName) ? this.entries[taskName] : undefined);
+    }
+
+    set(taskName: string, entry: CacheEntry): Promise<void> {
+        this.entries[taskName] = entry;
+        return Promise.resolve();
+    }
+}
+
+export { MemoryCacheStore };
@@ -0,0 +1,18 @@
+import { TaskContext } from "./TaskContext";
+import { TaskResult } from "./TaskResult";
+
+/**
+ * A function wrapped around the execution of every task, added with TaskRunner.use.
+ *
+ * @param taskName - The unique name of the task.
+ * @param results - The results of the task's dependencies.
+ * @param next - Runs the rest of the chain, and eventually the task itself, returning a promise for its result. May be
+ * skipped to short-circuit the task, or called again to run it again.
+ * @param context - The context passed to the task.
+ * @returns The result of the task, or a promise for it.
+ */
+interface Middleware {
+    (taskName: string, results: TaskResult, next: () => Promise<any>, context: TaskContext): any;
+}
+
+export { Middleware };
@@ -1,4 +1,5 @@
-import { Task, AsyncTask, SyncTask } from "./Task";
+import { Task, CallbackContextTask, ContextTask, TaskStyle } from "./Task";
+import { TaskContext } from "./TaskContext";
 import { TaskResult } from "./TaskResult";
 
 /**
@@ -12,37 +13,131 @@ class Promisifier {
      * Supports:
      *  - Promises
      *  - "done" callback
-     *  - sync returns (including Promises, Gulp streams, etc.)
+     *  - sync returns
+     *  - Node.js streams (including Gulp streams), awaited until they end or finish. Resolves with the chunks read from
+     *    a readable stream: concatenated for byte and string streams, as a list for object streams. Writable streams,
+     *    including duplex streams such as gulp.dest, resolve with undefined once they finish.
+     *  - Observable-like objects, with a "subscribe" method, awaited until they complete. Resolves with the list of
+     *    values emitted.
+     *  - Async iterables, such as async generators, iterated until done. Resolves with the list of values produced.
      *
-     * @param {(results, done) => any} fn
-     * @returns {(results) => Promise}
+     * Unless a style is given, functions with exactly two parameters are expected to call "done", and any other
+     * function to return its result. Since default and rest parameters are not counted, functions using them, and
+     * functions which take the context, should declare their style.
+     *
+     * The optional context is passed through as the last argument: after "done" for asynchronous functions, and after
+     * the results otherwise.
+     *
+     * @param {(results, done, context) => any} fn
+     * @param {TaskStyle} style - "callback" for functions which call "done", or "sync" or "promise" for functions which
+     * return their result.
+     * @returns {(results, context) => Promise}
      */
-    wrap<T>(fn: Task<T>): (results: T) => Promise<TaskResult> {
-        return (results) => {
+    wrap<T>(fn: Task<T> | ContextTask<T> | CallbackContextTask<T>, style?: TaskStyle):
+        (results: T, context?: TaskContext) => Promise<TaskResult> {
+        const isCallback = style ? style === "callback" : fn.length === 2;
+
+        return (results, context) => {
 
             /*
-             * 2nd param is "done" -- if the user fn has exactly two params then it is expected that they are using a
-             * classic asynchronous function and will call "done" when complete.
+             * 2nd param is "done" -- if the user fn has two params, or declares its style as "callback", then it is
+             * expected that they are using a classic asynchronous function and will call "done" when complete.
              */
-            if (fn.length === 2) {
+            if (isCallback) {
                 return new Promise((resolve, reject) => {
-                    (<AsyncTask<T>> fn)(results, (result) => {
+                    (<CallbackContextTask<T>> fn)(results, (result) => {
                         if (result instanceof Error) {
                             reject(result);
                         } else {
                             resolve(result);
                         }
-                    });
+                    }, <TaskContext> context);
                 });
             } else {
                 try {
-                    return Promise.resolve((<SyncTask<T>> fn)(results));
+                    return this.toPromise((<ContextTask<T>> fn)(results, <TaskContext> context));
                 } catch (e) {
                     return Promise.reject(e);
                 }
             }
         }
     }
+
+    /**
+     * Returns a promise for a value returned by a task, waiting for it to complete if it is a promise, stream,
+     * Observable or async iterable.
+     */
+    private toPromise(value: any): Promise<any> {
+        if (!value || (typeof value !== "object" && typeof value !== "function") || typeof value.then === "function") {
+            return Promise.resolve(value);
+        } else if (typeof value.pipe === "function" && typeof value.on === "function") {
+            return typeof value.write === "function" ? this.awaitWritable(value) : this.awaitReadable(value);
+        } else if (typeof value.subscribe === "function") {
+            return this.awaitObservable(value);
+        } else if (typeof Symbol !== "undefined" && typeof value[Symbol.asyncIterator] === "function") {
+            return this.awaitAsyncIterable(value);
+        }
+
+        return Promise.resolve(value);
+    }
+
+    private awaitReadable(stream: NodeJS.ReadableStream & { readableEnded?: boolean, readableObjectMode?: boolean }) {
+        return new Promise((resolve, reject) => {
+            const chunks: any[] = [];
+            const end = () => {
+                if (stream.readableObjectMode !== false) {
+                    resolve(chunks);
+                } else if (chunks.every((chunk) => typeof chunk === "string")) {
+                    resolve(chunks.join(""));
+                } else {
+                    resolve(Buffer.concat(chunks));
+                }
+            };
+
+            if (stream.readableEnded) {
+                return end();
+            }
+            stream.on("data", (chunk) => chunks.push(chunk));
+            stream.on("end", end);
+            stream.on("error", reject);
+        });
+    }
+
+    private awaitWritable(stream: NodeJS.WritableStream & { writableFinished?: boolean }) {
+        return new Promise((resolve, reject) => {
+            if (stream.writableFinished) {
+                return resolve();
+            }
+            stream.on("finish", () => resolve());
+            stream.on("error", reject);
+        });
+    }
+
+    private awaitObservable(observable: { subscribe(observer: object): any }) {
+        return new Promise((resolve, reject) => {
+            const values: any[] = [];
+            observable.subscribe({
+                next: (value: any) => values.push(value),
+                error: reject,
+                complete: () => resolve(values)
+            });
+        });
+    }
+
+    private awaitAsyncIterable(iterable: { [Symbol.asyncIterator](): { next(): PromiseLike<IteratorResult<any>> } }) {
+        const iterator = iterable[Symbol.asyncIterator]();
+        const values: any[] = [];
+        const next = (): Promise<any[]> => Promise.resolve(iterator.next()).then((step) => {
+            if (step.done) {
+                return values;
+            }
+
+            values.push(step.value);
+            return next();
+        });
+
+        return next();
+    }
 }
 
 export { Promisifier };
@@ -0,0 +1,14 @@
+/**
+ * Options to be used to configure a call to TaskRunner.removeTask.
+ */
+interface RemoveTaskOptions {
+
+    /**
+     * What to do with the tasks which depend on the removed task: "unlink" removes it from their dependencies,
+     * "remove" removes them as well, along with everything depending on them, and "throw" refuses to remove a task
+     * while other tasks depend on it. By default, they are left depending on a task which no longer exists.
+     */
+    cascade?: "unlink" | "remove" | "throw";
+}
+
+export { RemoveTaskOptions };
@@ -0,0 +1,93 @@
+/**
+ * Limits how many operations may hold each named resource at the same time. An operation needing several resources
+ * acquires all of them at once, only when every one has a free slot, so that operations never hold some resources
+ * while waiting for others and cannot deadlock. An operation never starts ahead of an earlier one waiting for any of
+ * the same resources, so that none waits forever, but may start ahead of operations waiting for other resources.
+ */
+class ResourcePool {
+    private getCapacity: (resource: string) => number;
+    private held: { [resource: string]: number } = {};
+    private queue: { resources: string[], start: () => void }[] = [];
+
+    /**
+     * @param getCapacity - Returns the number of operations which may hold the given resource at once.
+     */
+    constructor(getCapacity: (resource: string) => number) {
+        this.getCapacity = getCapacity;
+    }
+
+    /**
+     * Schedules the given operation, starting it immediately if all of its resources are free or queueing it otherwise.
+     *
+     * @param resources - The names of the resources the operation needs.
+     * @param operation - A function which starts the operation and returns a promise for its completion.
+     * @param onWait - An optional function called if the operation has to wait for its resources.
+     * @returns A promise which settles with the result of the operation, after its resources have been released.
+     */
+    schedule<T>(resources: string[], operation: () => Promise<T>, onWait?: () => void): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            const start = () => {
+                this.acquire(resources);
+
+                let promise: Promise<T>;
+                try {
+                    promise = operation();
+                } catch (e) {
+                    promise = Promise.reject(e);
+                }
+
+                promise.then((result) => {
+                    this.release(resources);
+                    resolve(result);
+                }, (error) => {
+                    this.release(resources);
+                    reject(error);
+                });
+            };
+
+            if (this.canStart(resources, this.queue)) {
+                start();
+            } else {
+                this.queue.push({resources: resources, start: start});
+                if (onWait) {
+                    onWait();
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether an operation needing the given resources may start ahead of the given waiting operations.
+     */
+    private canStart(resources: string[], waiting: { resources: string[] }[]): boolean {
+        const isFree = (resource: string) => (this.held[resource] || 0) < this.getCapacity(resource);
+        const isWanted = (resource: string) => waiting.some((entry) => entry.resources.indexOf(resource) !== -1);
+
+        return resources.every((resource) => isFree(resource) && !isWanted(resource));
+    }
+
+    private acquire(resources: string[]) {
+        for (const resource of resources) {
+            this.held[resource] = (this.held[resource] || 0) + 1;
+        }
+    }
+
+    private release(resources: string[]) {
+        for (const resource of resources) {
+            this.held[resource]--;
+        }
+
+        // Starting an operation only takes resources, so each waiting operation needs to be checked once.
+        const waiting = this.queue;
+        this.queue = [];
+        for (const entry of waiting) {
+            if (this.canStart(entry.resources, this.queue)) {
+                entry.start();
+            } else {
+                this.queue.push(entry);
+            }
+        }
+    }
+}
+
+export { ResourcePool };
@@ -0,0 +1,109 @@
+import { AbortError } from "./AbortError";
+import { AbortSignalLike } from "./AbortSignalLike";
+import { BackoffOptions } from "./TaskOptions";
+
+/**
+ * Retries a failing asynchronous operation a fixed number of times, waiting between attempts according to the backoff
+ * options.
+ */
+class RetryPolicy {
+    private retries: number;
+    private backoff: BackoffOptions;
+
+    /**
+     * @param retries - The number of times to retry after the first attempt fails. Must be a non-negative integer.
+     * @param backoff - The delay between attempts.
+     */
+    constructor(retries: number = 0, backoff: BackoffOptions = {}) {
+        if (!(retries >= 0 && Math.floor(retries) === retries)) {
+            throw new Error(`retries must be a non-negative integer, got '${retries}'`);
+        }
+        if (backoff.jitter !== undefined && !(backoff.jitter >= 0 && backoff.jitter <= 1)) {
+            throw new Error(`jitter must be between 0 and 1, got '${backoff.jitter}'`);
+        }
+        this.retries = retries;
+        this.backoff = backoff;
+    }
+
+    /**
+     * Whether a failing operation may be retried at all.
+     */
+    hasRetries(): boolean {
+        return this.retries > 0;
+    }
+
+    /**
+     * Returns the delay in milliseconds before the given retry.
+     *
+     * @param retry - The retry to get the delay for, starting at 1 for the first retry.
+     */
+    getDelay(retry: number): number {
+        const baseDelay = this.backoff.delay || 0;
+        let delay = this.backoff.type === "exponential" ? baseDelay * Math.pow(2, retry - 1) : baseDelay;
+        if (this.backoff.maxDelay !== undefined) {
+            delay = Math.min(delay, this.backoff.maxDelay);
+        }
+        if (this.backoff.jitter) {
+            delay -= delay * this.backoff.jitter * Math.random();
+        }
+
+        return delay;
+    }
+
+    /**
+     * Executes the given operation, retrying it while it fails and retries remain.
+     *
+     * @param operation - A function which starts an attempt and returns a promise for its completion.
+     * @param onRetry - Called with the retry number and the error of the previous attempt before each retry.
+     * @param shouldRetry - An optional check which may prevent a failed operation from being retried.
+     * @param signal - An optional signal which cancels the delay before a retry once aborted.
+     * @returns A promise which settles with the result of the first successful attempt, or the error of the last one.
+     * Rejected with an AbortError if the signal is aborted while waiting for a retry.
+     */
+    execute<T>(operation: () => Promise<T>,
+               onRetry: (retry: number, error: any) => void = () => {},
+               shouldRetry: (error: any) => boolean = () => true,
+               signal?: AbortSignalLike): Promise<T> {
+        const attempt = (retry: number): Promise<T> => {
+            return operation().catch((error) => {
+                if (retry > this.retries || !shouldRetry(error)) {
+                    throw error;
+                }
+
+                onRetry(retry, error);
+                return this.wait(this.getDelay(retry), signal).then(() => attempt(retry + 1));
+            });
+        };
+
+        return attempt(1);
+    }
+
+    /**
+     * Returns a promise which resolves after the delay, or is rejected with an AbortError as soon as the signal is
+     * aborted.
+     */
+    private wait(delay: number, signal?: AbortSignalLike): Promise<void> {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+
+        return new Promise<void>((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                resolve();
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+        });
+    }
+}
+
+export { RetryPolicy };
@@ -0,0 +1,28 @@
+import { TaskFailure } from "./TaskFailure";
+import { TaskResult } from "./TaskResult";
+
+/**
+ * The error a run is rejected with when it continues on error (failFast = false) and one or more of its tasks failed.
+ * Lists every failed task, along with the results of the tasks which completed.
+ */
+class RunFailedError extends Error {
+    readonly failures: TaskFailure[];
+    readonly results: TaskResult;
+
+    constructor(failures: TaskFailure[], results: TaskResult) {
+        const details = failures.map((failure) => {
+            const error = failure.error;
+            return `'${failure.taskName}': ${error && error.message !== undefined ? error.message : error}`;
+        });
+
+        super(`${failures.length} task${failures.length === 1 ? "" : "s"} failed: ${details.join("; ")}`);
+        this.name = "RunFailedError";
+        this.failures = failures;
+        this.results = results;
+
+        // Restore the prototype chain, which is lost when extending built-ins with an ES5 target.
+        Object.setPrototypeOf(this, RunFailedError.prototype);
+    }
+}
+
+export { RunFailedError };
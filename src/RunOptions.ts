@@ -0,0 +1,48 @@
+import { AbortSignalLike } from "./AbortSignalLike";
+
+/**
+ * Options to be used to configure a single call to TaskRunner.run. These take precedence over the options the
+ * TaskRunner was created with.
+ */
+interface RunOptions {
+
+    /**
+     * The maximum number of tasks which may execute at the same time during this run. Overrides the maxConcurrency
+     * option of the TaskRunner, giving this run a queue of its own.
+     */
+    maxConcurrency?: number;
+
+    /**
+     * An optional signal used to abort the run. Once aborted, tasks which have not started yet are cancelled, running
+     * tasks are handed the signal so they can stop early, and the run is rejected with an AbortError.
+     */
+    signal?: AbortSignalLike;
+
+    /**
+     * Whether the run is rejected as soon as a task fails. Overrides the failFast option of the TaskRunner.
+     */
+    failFast?: boolean;
+
+    /**
+     * If true, the tree is walked and the onTaskStart and onTaskEnd callbacks are fired as in a regular run, but no task
+     * function is called. Every task resolves with undefined. Defaults to false.
+     */
+    dryRun?: boolean;
+
+    /**
+     * An optional path of a checkpoint file, rewritten with the result of every task as it completes. If the process
+     * dies, a later run can resume from it with resumeFrom. Task results must be JSON-serializable. The run waits for
+     * the file to be written before it settles, and is rejected if it cannot be.
+     */
+    checkpoint?: string;
+
+    /**
+     * An optional path of a checkpoint file written by an earlier run of the same tasks. Tasks recorded in it are not
+     * executed, and their recorded results are passed to the tasks depending on them. The run is rejected with a
+     * CheckpointError if the file cannot be read, or if the graph or the definition of a recorded task has changed
+     * since it was written.
+     */
+    resumeFrom?: string;
+}
+
+export { RunOptions };
@@ -0,0 +1,154 @@
+import * as childProcess from "child_process";
+import { AbortError } from "./AbortError";
+import { AbortSignalLike } from "./AbortSignalLike";
+import { ShellCommandError } from "./ShellCommandError";
+import { ShellOptions, ShellResult } from "./ShellOptions";
+
+/**
+ * A command run in a child process. A command given as a string is run through the shell, while a list of arguments is
+ * run directly, without any shell parsing.
+ *
+ * Except on Windows, the child process leads a process group of its own, so that killing it also kills the processes
+ * it started, such as those of a compound command line, which would otherwise keep running and hold its output open.
+ */
+class ShellCommand {
+    private command: string | string[];
+    private options: ShellOptions;
+
+    /**
+     * @param command - The command line to run through the shell, or the executable and its arguments.
+     * @param options - The working directory, environment and output streams of the command.
+     */
+    constructor(command: string | string[], options: ShellOptions = {}) {
+        if (command.length === 0) {
+            throw new Error("Missing command");
+        }
+
+        this.command = command;
+        this.options = options;
+    }
+
+    /**
+     * Returns the command as it would be typed in a shell, for use in messages.
+     */
+    toString(): string {
+        return typeof this.command === "string" ? this.command : this.command.join(" ");
+    }
+
+    /**
+     * Runs the command, streaming its output line by line as it is written.
+     *
+     * @param taskName - An optional name each streamed line is prefixed with.
+     * @param signal - An optional signal which kills the child process when aborted.
+     * @returns A promise for the captured output and exit code, rejected with a ShellCommandError if the command exits
+     * with a non-zero code or is killed.
+     */
+    run(taskName?: string, signal?: AbortSignalLike): Promise<ShellResult> {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+
+        return new Promise<ShellResult>((resolve, reject) => {
+            const spawnOptions: childProcess.SpawnOptions = {
+                cwd: this.options.cwd,
+                env: {...process.env, ...this.options.env},
+                stdio: ["ignore", "pipe", "pipe"],
+                detached: process.platform !== "win32"
+            };
+            const child = typeof this.command === "string" ?
+                childProcess.spawn(this.command, {...spawnOptions, shell: true}) :
+                childProcess.spawn(this.command[0], this.command.slice(1), spawnOptions);
+
+            const prefix = taskName ? `[${taskName}] ` : "";
+            const stdout = this.capture(<NodeJS.ReadableStream> child.stdout, prefix,
+                this.options.stdout === undefined ? process.stdout : this.options.stdout);
+            const stderr = this.capture(<NodeJS.ReadableStream> child.stderr, prefix,
+                this.options.stderr === undefined ? process.stderr : this.options.stderr);
+
+            const onAbort = () => this.kill(child, !!spawnOptions.detached);
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+
+            let settled = false;
+            const settle = () => {
+                settled = true;
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            };
+
+            child.on("error", (error) => {
+                if (!settled) {
+                    settle();
+                    reject(error);
+                }
+            });
+            child.on("close", (exitCode: number | null, exitSignal: string | null) => {
+                if (settled) {
+                    return;
+                }
+                settle();
+
+                const output = stdout.end();
+                const errorOutput = stderr.end();
+                if (exitCode === 0) {
+                    resolve({stdout: output, stderr: errorOutput, exitCode: exitCode});
+                } else {
+                    reject(new ShellCommandError(this.toString(), exitCode, exitSignal, output, errorOutput));
+                }
+            });
+        });
+    }
+
+    /**
+     * Kills the child process, along with every process in its group if it leads one.
+     */
+    private kill(child: childProcess.ChildProcess, group: boolean) {
+        if (group && child.pid !== undefined) {
+            try {
+                process.kill(-child.pid);
+                return;
+            } catch (e) {
+                // The group has already exited.
+            }
+        }
+
+        child.kill();
+    }
+
+    /**
+     * Collects the output of a stream, and writes each complete line to the destination, if any, with the given prefix.
+     * Calling end flushes the last incomplete line and returns everything collected.
+     */
+    private capture(stream: NodeJS.ReadableStream, prefix: string, destination: NodeJS.WritableStream | null) {
+        let output = "";
+        let line = "";
+        stream.setEncoding("utf8");
+        stream.on("data", (chunk: string) => {
+            output += chunk;
+            if (!destination) {
+                return;
+            }
+
+            const lines = (line + chunk).split("\n");
+            line = <string> lines.pop();
+            for (const completeLine of lines) {
+                destination.write(prefix + completeLine + "\n");
+            }
+        });
+
+        return {
+            end: () => {
+                if (destination && line) {
+                    destination.write(prefix + line + "\n");
+                }
+                line = "";
+
+                return output;
+            }
+        };
+    }
+}
+
+export { ShellCommand };
@@ -0,0 +1,42 @@
+/**
+ * The number of lines of stderr included in the message.
+ */
+const MAX_STDERR_LINES = 10;
+
+/**
+ * The error a shell command task is rejected with when the command exits with a non-zero code or is killed by a
+ * signal. The message includes the command and the last lines it wrote to stderr.
+ */
+class ShellCommandError extends Error {
+    readonly command: string;
+    readonly exitCode: number | null;
+    readonly signal: string | null;
+    readonly stdout: string;
+    readonly stderr: string;
+
+    constructor(command: string, exitCode: number | null, signal: string | null, stdout: string, stderr: string) {
+        super(ShellCommandError.getMessage(command, exitCode, signal, stderr));
+        this.name = "ShellCommandError";
+        this.command = command;
+        this.exitCode = exitCode;
+        this.signal = signal;
+        this.stdout = stdout;
+        this.stderr = stderr;
+
+        // Restore the prototype chain, which is lost when extending built-ins with an ES5 target.
+        Object.setPrototypeOf(this, ShellCommandError.prototype);
+    }
+
+    private static getMessage(command: string, exitCode: number | null, signal: string | null, stderr: string): string {
+        const reason = signal ? `was killed by signal ${signal}` : `failed with exit code ${exitCode}`;
+        const lines = stderr.split("\n");
+        if (lines[lines.length - 1] === "") {
+            lines.pop();
+        }
+        const tail = lines.slice(-MAX_STDERR_LINES).join("\n");
+
+        return `Command '${command}' ${reason}` + (tail ? `:\n${tail}` : "");
+    }
+}
+
+export { ShellCommandError };
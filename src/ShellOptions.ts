@@ -0,0 +1,50 @@
+/**
+ * Options to be used to configure a shell command task.
+ */
+interface ShellOptions {
+
+    /**
+     * The working directory of the command. Defaults to the current working directory.
+     */
+    cwd?: string;
+
+    /**
+     * Environment variables for the command, added to those of the current process.
+     */
+    env?: { [name: string]: string | undefined };
+
+    /**
+     * Where the output the command writes to stdout is streamed, each line prefixed with the name of the task. Set to
+     * null to only capture it. Defaults to process.stdout.
+     */
+    stdout?: NodeJS.WritableStream | null;
+
+    /**
+     * Where the output the command writes to stderr is streamed, each line prefixed with the name of the task. Set to
+     * null to only capture it. Defaults to process.stderr.
+     */
+    stderr?: NodeJS.WritableStream | null;
+}
+
+/**
+ * The result of a shell command task which exited successfully.
+ */
+interface ShellResult {
+
+    /**
+     * Everything the command wrote to stdout.
+     */
+    stdout: string;
+
+    /**
+     * Everything the command wrote to stderr.
+     */
+    stderr: string;
+
+    /**
+     * The exit code of the command, which is always 0 for a command which succeeded.
+     */
+    exitCode: number;
+}
+
+export { ShellOptions, ShellResult };
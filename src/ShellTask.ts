@@ -0,0 +1,47 @@
+import { ShellCommand } from "./ShellCommand";
+import { ShellOptions, ShellResult } from "./ShellOptions";
+import { TaskContext } from "./TaskContext";
+import { TaskResult } from "./TaskResult";
+
+/**
+ * A task which runs a shell command. When added to a TaskRunner, the output of the command is prefixed with the name of
+ * the task, and the command is killed when the run is aborted.
+ */
+interface ShellTask {
+    (results?: TaskResult, context?: TaskContext): Promise<ShellResult>;
+
+    /**
+     * The command run by this task.
+     */
+    readonly command: ShellCommand;
+}
+
+/**
+ * Creates a task which runs a command in a child process, for use with TaskRunner.addTask. The task resolves with the
+ * captured output and exit code of the command, and is rejected with a ShellCommandError if the command exits with a
+ * non-zero code or is killed.
+ *
+ * @param command - A command line, run through the shell, or an executable and its arguments, run directly.
+ * @param options - The working directory, environment and output streams of the command.
+ * @returns The task.
+ */
+function shell(command: string | string[], options?: ShellOptions): ShellTask {
+    const shellCommand = new ShellCommand(command, options);
+
+    // Declared without parameters, so that the Promisifier does not mistake the context for a "done" callback.
+    const task = function () {
+        const context: TaskContext | undefined = arguments[1];
+        return shellCommand.run(undefined, context && context.signal);
+    };
+
+    return Object.defineProperty(task, "command", {value: shellCommand});
+}
+
+/**
+ * Whether a task was created by shell.
+ */
+function isShellTask(task: any): task is ShellTask {
+    return typeof task === "function" && task.command instanceof ShellCommand;
+}
+
+export { isShellTask, shell, ShellTask };
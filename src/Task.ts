@@ -1,3 +1,4 @@
+import { TaskContext } from "./TaskContext";
 import { TaskResult } from "./TaskResult";
 
 export interface AsyncTask<T> {
@@ -13,3 +14,45 @@ export interface PromiseTask<T> {
 }
 
 export type Task<T> = SyncTask<T> | AsyncTask<T> | PromiseTask<T>;
+
+/**
+ * A task which returns its result, or a promise for it, and takes the context after the results. Since it has two
+ * parameters, like a task which calls "done", it can only be added with its style declared as "sync" or "promise".
+ */
+export interface ContextTask<T> {
+    (results: TaskResult, context: TaskContext): T | PromiseLike<T>;
+}
+
+/**
+ * A task which calls "done" and takes the context after it. Since it has three parameters, like the task functions
+ * which have always been expected to return their result, it can only be added with its style declared as "callback".
+ */
+export interface CallbackContextTask<T> {
+    (results: TaskResult, done: (result: T) => void, context: TaskContext): void;
+}
+
+/**
+ * How a task delivers its result: "callback" for a task which calls "done", or "sync" or "promise" for a task which
+ * returns it.
+ */
+export type TaskStyle = "sync" | "promise" | "callback";
+
+/**
+ * A task of a TaskRunner with a typed registry. A single signature covering every task style, so that the parameters
+ * of an inline function are typed from the registry. Since a task using "done" returns nothing, a task returning
+ * nothing is accepted whatever its result type.
+ */
+export type RegistryTask<T, Results> = (results: Results, done: (result: T) => void) => T | PromiseLike<T> | void;
+
+/**
+ * A task of a TaskRunner with a typed registry which returns its result and takes the context, declared with its style
+ * as "sync" or "promise".
+ */
+export type RegistryContextTask<T, Results> = (results: Results, context: TaskContext) => T | PromiseLike<T>;
+
+/**
+ * A task of a TaskRunner with a typed registry which calls "done" and takes the context after it, declared with its
+ * style as "callback".
+ */
+export type RegistryCallbackContextTask<T, Results> =
+    (results: Results, done: (result: T) => void, context: TaskContext) => void;
@@ -0,0 +1,110 @@
+import { AbortSignalLike } from "./AbortSignalLike";
+import { Task } from "./Task";
+import { CallbackTaskOptions, StyledTaskOptions, TaskOptions } from "./TaskOptions";
+
+/**
+ * The severity of a message logged by a task.
+ */
+type LogLevel = "debug" | "info" | "warn" | "error";
+
+/**
+ * Logs messages on behalf of a task. Messages are emitted as "taskLog" events of the TaskRunner rather than written to
+ * the console, and are formatted like console.log.
+ */
+interface TaskLogger {
+    debug(...args: any[]): void;
+    info(...args: any[]): void;
+    warn(...args: any[]): void;
+    error(...args: any[]): void;
+}
+
+/**
+ * Describes the task being executed, and lets it report its progress and log messages. Passed to every task function
+ * as its last argument.
+ */
+interface TaskContext {
+
+    /**
+     * The unique name of the task.
+     */
+    taskName: string;
+
+    /**
+     * Identifies the run the task belongs to. Unique within a TaskRunner.
+     */
+    runId: number;
+
+    /**
+     * The signal of the run, if any. For a task with a timeout, a signal of the current attempt, which is also aborted
+     * once the attempt times out.
+     */
+    signal?: AbortSignalLike;
+
+    /**
+     * Reports the progress of the task, emitted as a "taskProgress" event and passed to onTaskProgress.
+     *
+     * @param fraction - How much of the task is done, between 0 and 1.
+     * @param message - An optional description of the current step.
+     */
+    progress(fraction: number, message?: string): void;
+
+    /**
+     * Logs messages on behalf of the task.
+     */
+    logger: TaskLogger;
+
+    /**
+     * Adds a task to the current run, for work only discovered while the task runs, and starts running it along with
+     * its dependencies. The generated task is not added to the task tree, so it only exists within this run.
+     *
+     * The task generating it completes once every task it generated has settled, and is cancelled if any of them
+     * failed. Tasks depending on it receive the results of the generated tasks along with its own.
+     *
+     * Throws an error if a task with the same name already exists, once this task has completed, or if this task has
+     * retries, since a retry would generate the same tasks again. Throws a ValidationError if the generated task
+     * depends on a task that does not exist, or would introduce a cycle, such as by depending on this task.
+     *
+     * @param taskName - The name of the generated task, unique among the tasks of the tree and of the run.
+     * @param task - The task function.
+     */
+    addTask(taskName: string, task?: Task<any>): void;
+
+    /**
+     * Adds a task to the current run, depending on the given tasks, which must already exist. Otherwise behaves like
+     * the other forms.
+     *
+     * @param taskName - The name of the generated task, unique among the tasks of the tree and of the run.
+     * @param dependencies - The task, or list of tasks, it depends on.
+     * @param task - The task function.
+     */
+    addTask(taskName: string, dependencies: string | string[], task: Task<any>): void;
+
+    /**
+     * Adds a task to the current run with the options addTask accepts, declaring the style of a task function which
+     * calls "done" and takes the context after it. Otherwise behaves like the other forms.
+     *
+     * @param taskName - The name of the generated task, unique among the tasks of the tree and of the run.
+     * @param taskOptions - The style, task function and options of the generated task.
+     */
+    addTask(taskName: string, taskOptions: CallbackTaskOptions<any>): void;
+
+    /**
+     * Adds a task to the current run with the options addTask accepts. Resources may be used, but their capacities
+     * are declared by the tasks of the tree. Otherwise behaves like the other forms.
+     *
+     * @param taskName - The name of the generated task, unique among the tasks of the tree and of the run.
+     * @param taskOptions - The dependencies, task function and options of the generated task.
+     */
+    addTask(taskName: string, taskOptions: TaskOptions<any>): void;
+
+    /**
+     * Adds a task to the current run with the options addTask accepts, declaring the style of a task function which
+     * returns its result. Otherwise behaves like the other forms.
+     *
+     * @param taskName - The name of the generated task, unique among the tasks of the tree and of the run.
+     * @param taskOptions - The style, task function and options of the generated task.
+     */
+    addTask(taskName: string, taskOptions: StyledTaskOptions<any>): void;
+}
+
+export { LogLevel, TaskContext, TaskLogger };
@@ -0,0 +1,17 @@
+/**
+ * A task which failed during a run, along with the error it failed with.
+ */
+interface TaskFailure {
+
+    /**
+     * The unique name of the task.
+     */
+    taskName: string;
+
+    /**
+     * The error the task failed with, after its last retry.
+     */
+    error: any;
+}
+
+export { TaskFailure };
@@ -0,0 +1,342 @@
+import { ExecutionPlan, PlannedTask } from "./ExecutionPlan";
+import { ExportedDependency, ExportedGraph } from "./ExportedGraph";
+import { ValidationError } from "./ValidationError";
+import { MissingDependency, ValidationResult } from "./ValidationResult";
+
+/**
+ * A read-only view of a task tree, as a map of task names to their dependencies, used to answer questions about its
+ * structure without running any task.
+ */
+class TaskGraph {
+    private taskList: { [taskName: string]: string[] };
+
+    /**
+     * @param taskList - A map of task names to their dependencies, as returned by TaskRunner.getTaskList.
+     */
+    constructor(taskList: { [taskName: string]: string[] }) {
+        this.taskList = taskList;
+    }
+
+    /**
+     * Returns whether the given task exists.
+     *
+     * @param taskName - The unique name of the task.
+     */
+    hasTask(taskName: string): boolean {
+        return this.taskList.hasOwnProperty(taskName);
+    }
+
+    /**
+     * Returns the graph, or the part of it reachable from the given tasks, as a list of tasks and dependency links.
+     * Links to missing tasks are included and marked as such.
+     *
+     * @param taskNames - The tasks to start from. Defaults to every task.
+     */
+    toExportedGraph(taskNames?: string[]): ExportedGraph {
+        const tasks = taskNames ? this.getReachable(taskNames) : Object.keys(this.taskList);
+        const dependencies: ExportedDependency[] = [];
+        for (const taskName of tasks) {
+            for (const dependency of this.taskList[taskName]) {
+                dependencies.push({
+                    taskName: taskName,
+                    dependency: dependency,
+                    missing: !this.hasTask(dependency)
+                });
+            }
+        }
+
+        return {
+            version: 1,
+            tasks: tasks,
+            dependencies: dependencies
+        };
+    }
+
+    /**
+     * Finds every missing dependency and every cycle in the graph, or in the part of it reachable from the given tasks.
+     *
+     * @param taskNames - The tasks to validate, along with everything they depend on. Defaults to every task.
+     */
+    validate(taskNames: string[] = Object.keys(this.taskList)): ValidationResult {
+        const tasks = this.getReachable(taskNames);
+
+        const missingDependencies: MissingDependency[] = [];
+        for (const taskName of tasks) {
+            for (const dependency of this.taskList[taskName]) {
+                if (!this.hasTask(dependency)) {
+                    missingDependencies.push({taskName: taskName, dependency: dependency});
+                }
+            }
+        }
+
+        const cycles: string[][] = [];
+        for (const component of this.getStronglyConnectedComponents(tasks)) {
+            cycles.push.apply(cycles, this.findCycles(component));
+        }
+
+        return {
+            valid: missingDependencies.length === 0 && cycles.length === 0,
+            missingDependencies: missingDependencies,
+            cycles: cycles
+        };
+    }
+
+    /**
+     * Groups the given tasks and everything they depend on into waves of tasks that can run in parallel, and lists the
+     * direct and transitive dependencies of each.
+     *
+     * Throws a ValidationError if any of those tasks has a missing dependency or is part of a cycle.
+     *
+     * @param taskNames - The tasks to plan for.
+     */
+    getExecutionPlan(taskNames: string[]): ExecutionPlan {
+        const result = this.validate(taskNames);
+        if (!result.valid) {
+            throw new ValidationError(result);
+        }
+
+        const tasks = this.getReachable(taskNames);
+        const levels: { [taskName: string]: number } = {};
+        const getLevel = (taskName: string): number => {
+            if (levels[taskName] === undefined) {
+                let level = 0;
+                for (const dependency of this.taskList[taskName]) {
+                    level = Math.max(level, getLevel(dependency) + 1);
+                }
+                levels[taskName] = level;
+            }
+
+            return levels[taskName];
+        };
+
+        const waves: string[][] = [];
+        for (const taskName of tasks) {
+            const level = getLevel(taskName);
+            while (waves.length <= level) {
+                waves.push([]);
+            }
+            waves[level].push(taskName);
+        }
+
+        const order: { [taskName: string]: number } = {};
+        let index = 0;
+        for (const wave of waves) {
+            for (const taskName of wave) {
+                order[taskName] = index++;
+            }
+        }
+
+        const plannedTasks: { [taskName: string]: PlannedTask } = {};
+        for (const taskName of tasks) {
+            plannedTasks[taskName] = {
+                dependencies: this.taskList[taskName].slice(),
+                transitiveDependencies: this.getReachable(this.taskList[taskName])
+                    .sort((a, b) => order[a] - order[b])
+            };
+        }
+
+        return {
+            waves: waves,
+            tasks: plannedTasks
+        };
+    }
+
+    /**
+     * Returns the given tasks and every existing task they depend on, directly or transitively, in the order they are
+     * first reached.
+     *
+     * @param taskNames - The tasks to start from. Tasks which do not exist are ignored.
+     */
+    getReachable(taskNames: string[]): string[] {
+        const reached: { [taskName: string]: boolean } = {};
+        const tasks: string[] = [];
+
+        const visit = (taskName: string) => {
+            if (reached[taskName] || !this.hasTask(taskName)) {
+                return;
+            }
+
+            reached[taskName] = true;
+            tasks.push(taskName);
+            for (const dependency of this.taskList[taskName]) {
+                visit(dependency);
+            }
+        };
+
+        for (const taskName of taskNames) {
+            visit(taskName);
+        }
+
+        return tasks;
+    }
+
+    /**
+     * Returns the given tasks and every task which depends on them, directly or transitively, in the order they are
+     * first reached.
+     *
+     * @param taskNames - The tasks to start from. Tasks which do not exist are ignored.
+     */
+    getDependents(taskNames: string[]): string[] {
+        const dependents: { [taskName: string]: string[] } = {};
+        for (const taskName in this.taskList) {
+            /* istanbul ignore else */
+            if (this.taskList.hasOwnProperty(taskName)) {
+                for (const dependency of this.taskList[taskName]) {
+                    (dependents[dependency] = dependents[dependency] || []).push(taskName);
+                }
+            }
+        }
+
+        const reached: { [taskName: string]: boolean } = {};
+        const tasks: string[] = [];
+
+        const visit = (taskName: string) => {
+            if (reached[taskName] || !this.hasTask(taskName)) {
+                return;
+            }
+
+            reached[taskName] = true;
+            tasks.push(taskName);
+            for (const dependent of dependents[taskName] || []) {
+                visit(dependent);
+            }
+        };
+
+        for (const taskName of taskNames) {
+            visit(taskName);
+        }
+
+        return tasks;
+    }
+
+    /**
+     * Returns every task the given task depends on, directly or transitively, in the order they are first reached.
+     * Dependencies which do not exist are included, but not followed.
+     *
+     * @param taskName - The task whose dependencies to return. Not included in the result.
+     */
+    getAllDependencies(taskName: string): string[] {
+        const reached: { [taskName: string]: boolean } = {[taskName]: true};
+        const tasks: string[] = [];
+
+        const visit = (taskName: string) => {
+            for (const dependency of this.hasTask(taskName) ? this.taskList[taskName] : []) {
+                if (!reached[dependency]) {
+                    reached[dependency] = true;
+                    tasks.push(dependency);
+                    visit(dependency);
+                }
+            }
+        };
+        visit(taskName);
+
+        return tasks;
+    }
+
+    /**
+     * Returns the tasks which directly depend on the given task, whether or not it exists.
+     *
+     * @param taskName - The task whose dependents to return.
+     */
+    getDirectDependents(taskName: string): string[] {
+        return Object.keys(this.taskList).filter((name) => this.taskList[name].indexOf(taskName) !== -1);
+    }
+
+    /**
+     * Groups the given tasks into strongly connected components using Tarjan's algorithm. Only components which
+     * contain a cycle are returned, each with its tasks in the order they were given.
+     */
+    private getStronglyConnectedComponents(tasks: string[]): string[][] {
+        const order: { [taskName: string]: number } = {};
+        tasks.forEach((taskName, index) => {
+            order[taskName] = index;
+        });
+
+        const indices: { [taskName: string]: number } = {};
+        const lowLinks: { [taskName: string]: number } = {};
+        const onStack: { [taskName: string]: boolean } = {};
+        const stack: string[] = [];
+        const components: string[][] = [];
+        let nextIndex = 0;
+
+        const connect = (taskName: string) => {
+            indices[taskName] = lowLinks[taskName] = nextIndex++;
+            stack.push(taskName);
+            onStack[taskName] = true;
+
+            for (const dependency of this.taskList[taskName]) {
+                if (!this.hasTask(dependency)) {
+                    continue;
+                }
+
+                if (indices[dependency] === undefined) {
+                    connect(dependency);
+                    lowLinks[taskName] = Math.min(lowLinks[taskName], lowLinks[dependency]);
+                } else if (onStack[dependency]) {
+                    lowLinks[taskName] = Math.min(lowLinks[taskName], indices[dependency]);
+                }
+            }
+
+            if (lowLinks[taskName] === indices[taskName]) {
+                const component: string[] = [];
+                let member: string;
+                do {
+                    member = <string> stack.pop();
+                    onStack[member] = false;
+                    component.push(member);
+                } while (member !== taskName);
+
+                if (component.length > 1 || this.taskList[taskName].indexOf(taskName) !== -1) {
+                    components.push(component.sort((a, b) => order[a] - order[b]));
+                }
+            }
+        };
+
+        for (const taskName of tasks) {
+            if (indices[taskName] === undefined) {
+                connect(taskName);
+            }
+        }
+
+        return components.sort((a, b) => order[a[0]] - order[b[0]]);
+    }
+
+    /**
+     * Finds every elementary cycle within a strongly connected component. Each cycle is reported once, starting at
+     * its earliest task in the component.
+     */
+    private findCycles(component: string[]): string[][] {
+        const cycles: string[][] = [];
+
+        component.forEach((start, startIndex) => {
+            const allowed: { [taskName: string]: boolean } = {};
+            for (const taskName of component.slice(startIndex)) {
+                allowed[taskName] = true;
+            }
+
+            const path: string[] = [];
+            const onPath: { [taskName: string]: boolean } = {};
+            const visit = (taskName: string) => {
+                path.push(taskName);
+                onPath[taskName] = true;
+
+                for (const dependency of this.taskList[taskName]) {
+                    if (dependency === start) {
+                        cycles.push(path.concat(start));
+                    } else if (allowed[dependency] && !onPath[dependency]) {
+                        visit(dependency);
+                    }
+                }
+
+                path.pop();
+                onPath[taskName] = false;
+            };
+
+            visit(start);
+        });
+
+        return cycles;
+    }
+}
+
+export { TaskGraph };
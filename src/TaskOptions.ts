@@ -0,0 +1,284 @@
+import {
+    CallbackContextTask,
+    ContextTask,
+    RegistryCallbackContextTask,
+    RegistryContextTask,
+    RegistryTask,
+    Task
+} from "./Task";
+import { DependencyResults } from "./TaskRegistry";
+import { TaskResult } from "./TaskResult";
+
+/**
+ * Configures the delay between the attempts of a task which is retried.
+ */
+interface BackoffOptions {
+
+    /**
+     * "fixed" waits the same delay before every retry, while "exponential" doubles the delay after each retry. Defaults
+     * to "fixed".
+     */
+    type?: "fixed" | "exponential";
+
+    /**
+     * The delay in milliseconds before the first retry. Defaults to 0.
+     */
+    delay?: number;
+
+    /**
+     * An optional upper bound in milliseconds for the delay between retries.
+     */
+    maxDelay?: number;
+
+    /**
+     * A fraction between 0 and 1 by which each delay is randomly reduced, to avoid retrying many tasks in lockstep.
+     * Defaults to 0.
+     */
+    jitter?: number;
+}
+
+/**
+ * Declares what the result of a task depends on. When the fingerprint of the inputs matches the one stored in the
+ * TaskRunner's cache, the task is skipped and the cached result is used instead.
+ */
+interface TaskInputs {
+
+    /**
+     * File paths or glob patterns whose contents the task depends on. Relative paths are resolved against the current
+     * working directory.
+     */
+    files?: string | string[];
+
+    /**
+     * An optional function returning any JSON-serializable value the task depends on, such as an environment variable
+     * or a version number. Receives the results of the task's dependencies.
+     */
+    key?: (results: TaskResult) => any;
+
+    /**
+     * Whether the results of the task's dependencies are part of the fingerprint. Defaults to true.
+     */
+    dependencies?: boolean;
+}
+
+/**
+ * Identifies a function exported by a module, to be run in a worker thread.
+ */
+interface WorkerTaskOptions {
+
+    /**
+     * The path of the module. Relative paths are resolved against the current working directory when the task is
+     * added.
+     */
+    module: string;
+
+    /**
+     * The name of the exported function. Defaults to "default", which also matches a CommonJS module that is itself a
+     * function.
+     */
+    exportName?: string;
+}
+
+/**
+ * The options form of a task definition, for use with TaskRunner.addTask.
+ */
+interface TaskOptions<T> {
+
+    /**
+     * An optional list of dependencies needed before this task can be executed.
+     */
+    dependencies?: string | string[];
+
+    /**
+     * An optional list of dependencies this task can do without. When the run continues on error (failFast = false)
+     * and one of these fails or is cancelled, this task still runs and receives undefined as its result. They are
+     * added to the dependencies of the task, and are treated like any other dependency in fail-fast mode.
+     */
+    optionalDependencies?: string | string[];
+
+    /**
+     * The function to execute for this task.
+     */
+    task?: Task<T>;
+
+    /**
+     * Declares that the task function calls "done", whatever its number of parameters. By default, functions with two
+     * parameters are expected to call "done", and any other function to return its result. Since default and rest
+     * parameters are not counted, functions using them should declare their style. Functions which take the context
+     * are declared with CallbackTaskOptions or StyledTaskOptions.
+     */
+    style?: "callback";
+
+    /**
+     * Runs this task in a worker thread instead of the function given as "task", so that CPU-bound work does not block
+     * other tasks. The exported function receives the results of the task's dependencies and may return a value or a
+     * promise. Both the results and the value returned are passed by structured cloning, so they cannot contain
+     * functions. The worker is terminated when the run is aborted, or when an attempt times out.
+     */
+    worker?: WorkerTaskOptions;
+
+    /**
+     * An optional time in milliseconds after which an attempt of this task is rejected with a TimeoutError. The
+     * attempt is given a signal of its own, as context.signal, which is aborted once it times out, killing a shell
+     * command or terminating a worker. A retry only starts once the attempt which timed out has settled, while the
+     * last attempt is rejected without waiting for it.
+     */
+    timeout?: number;
+
+    /**
+     * The number of times this task is retried after failing or timing out. Defaults to 0.
+     */
+    retries?: number;
+
+    /**
+     * The delay between retries.
+     */
+    backoff?: BackoffOptions;
+
+    /**
+     * The inputs of this task, used to reuse its result from the cache when nothing has changed. Tasks without inputs
+     * are never cached.
+     */
+    inputs?: TaskInputs;
+
+    /**
+     * File paths or glob patterns which, when changed, cause this task and the tasks depending on it to be re-run by
+     * TaskRunner.watch. Relative paths are resolved against the current working directory.
+     */
+    watch?: string | string[];
+
+    /**
+     * Named resources this task needs exclusive use of while it executes, such as a test database or a port. Tasks
+     * sharing a resource never execute at the same time, or no more of them than its capacity allows when resources
+     * are given as a map of names to capacities. Capacities default to 1, and may be declared by any task using the
+     * resource, but must agree. A task waiting for its resources fires onTaskWait, and acquires all of them at once.
+     */
+    resources?: string | string[] | { [resource: string]: number };
+
+    /**
+     * An optional predicate deciding whether this task runs. Receives the results of the task's dependencies, and may
+     * return a promise. If false, the task is skipped: it is not executed, onTaskSkip is fired and its result is
+     * undefined. An error thrown by the predicate fails the task.
+     */
+    when?: (results: TaskResult) => boolean | PromiseLike<boolean>;
+
+    /**
+     * What to do when one of this task's dependencies was skipped: "run" runs this task anyway, with undefined as the
+     * result of the skipped dependency, while "skip" skips this task as well. Defaults to "run".
+     */
+    ifDependencySkipped?: "run" | "skip";
+}
+
+/**
+ * The options form of a task definition for a TaskRunner with a typed registry. Dependency names are checked against
+ * the registry, and the results the task receives are typed from them.
+ */
+interface RegistryTaskOptions<Registry, N extends keyof Registry, D extends keyof Registry, O extends keyof Registry>
+    extends Pick<TaskOptions<Registry[N]>,
+        "timeout" | "retries" | "backoff" | "inputs" | "watch" | "ifDependencySkipped" | "worker" | "style" |
+        "resources"> {
+
+    /**
+     * An optional list of dependencies needed before this task can be executed.
+     */
+    dependencies?: D | D[];
+
+    /**
+     * An optional list of dependencies this task can do without, when the run continues on error.
+     */
+    optionalDependencies?: O | O[];
+
+    /**
+     * The function to execute for this task.
+     */
+    task?: RegistryTask<Registry[N], DependencyResults<Registry, D, O>>;
+
+    /**
+     * An optional predicate deciding whether this task runs, given the results of its dependencies.
+     */
+    when?: (results: DependencyResults<Registry, D, O>) => boolean | PromiseLike<boolean>;
+}
+
+/**
+ * The options form of a task whose function returns its result, with its style declared, for use with
+ * TaskRunner.addTask. Unlike other task functions, its function may take the context after the results.
+ */
+interface StyledTaskOptions<T> extends Omit<TaskOptions<T>, "task" | "style"> {
+
+    /**
+     * The function to execute for this task.
+     */
+    task?: ContextTask<T>;
+
+    /**
+     * How the task function delivers its result: "sync" if it returns it, or "promise" if it returns a promise for it.
+     */
+    style: "sync" | "promise";
+}
+
+/**
+ * The options form of a task definition for a TaskRunner with a typed registry, whose function returns its result
+ * and may take the context after the results, with its style declared.
+ */
+interface StyledRegistryTaskOptions<Registry, N extends keyof Registry, D extends keyof Registry,
+                                    O extends keyof Registry>
+    extends Omit<RegistryTaskOptions<Registry, N, D, O>, "task" | "style"> {
+
+    /**
+     * The function to execute for this task.
+     */
+    task?: RegistryContextTask<Registry[N], DependencyResults<Registry, D, O>>;
+
+    /**
+     * How the task function delivers its result: "sync" if it returns it, or "promise" if it returns a promise for it.
+     */
+    style: "sync" | "promise";
+}
+
+/**
+ * The options form of a task whose function calls "done" and takes the context after it, with its style declared, for
+ * use with TaskRunner.addTask.
+ */
+interface CallbackTaskOptions<T> extends Omit<TaskOptions<T>, "task" | "style"> {
+
+    /**
+     * The function to execute for this task.
+     */
+    task?: CallbackContextTask<T>;
+
+    /**
+     * Declares that the task function calls "done".
+     */
+    style: "callback";
+}
+
+/**
+ * The options form of a task definition for a TaskRunner with a typed registry, whose function calls "done" and takes
+ * the context after it, with its style declared.
+ */
+interface CallbackRegistryTaskOptions<Registry, N extends keyof Registry, D extends keyof Registry,
+                                      O extends keyof Registry>
+    extends Omit<RegistryTaskOptions<Registry, N, D, O>, "task" | "style"> {
+
+    /**
+     * The function to execute for this task.
+     */
+    task?: RegistryCallbackContextTask<Registry[N], DependencyResults<Registry, D, O>>;
+
+    /**
+     * Declares that the task function calls "done".
+     */
+    style: "callback";
+}
+
+export {
+    BackoffOptions,
+    CallbackRegistryTaskOptions,
+    CallbackTaskOptions,
+    RegistryTaskOptions,
+    StyledRegistryTaskOptions,
+    StyledTaskOptions,
+    TaskInputs,
+    TaskOptions,
+    WorkerTaskOptions
+};
@@ -0,0 +1,25 @@
+/**
+ * The names of the tasks in a registry. For an untyped TaskRunner, any string.
+ */
+type TaskName<Registry> = Extract<keyof Registry, string>;
+
+/**
+ * Resolves to T for a typed registry, and to never for an untyped one, such as the default TaskResult. Used to enable
+ * the typed overloads of TaskRunner only when a registry is given.
+ */
+type IfTyped<Registry, T> = string extends keyof Registry ? never : T;
+
+/**
+ * Resolves to T for an untyped registry, and to never for a typed one. Used to enable the untyped overloads of
+ * TaskRunner only when no registry is given.
+ */
+type IfUntyped<Registry, T> = string extends keyof Registry ? T : never;
+
+/**
+ * The results a task receives from its dependencies, D, and its optional dependencies, O. The result of an optional
+ * dependency is undefined if it failed or was cancelled.
+ */
+type DependencyResults<Registry, D extends keyof Registry, O extends keyof Registry = never> =
+    Pick<Registry, D> & Partial<Pick<Registry, O>>;
+
+export { DependencyResults, IfTyped, IfUntyped, TaskName };
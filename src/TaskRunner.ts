@@ -1,33 +1,176 @@
+import * as os from "os";
+import * as path from "path";
+import * as util from "util";
+import { AbortError } from "./AbortError";
+import { AbortSignalLike } from "./AbortSignalLike";
+import { CacheStore } from "./CacheStore";
+import { Checkpoint, CheckpointData, CheckpointGraph, readCheckpoint } from "./Checkpoint";
+import { ConcurrencyLimiter } from "./ConcurrencyLimiter";
+import { DependencyQueryOptions } from "./DependencyQueryOptions";
+import { EventEmitter } from "./EventEmitter";
+import { ExecutionPlan } from "./ExecutionPlan";
+import { GraphFormat } from "./ExportedGraph";
+import { Fingerprinter } from "./Fingerprinter";
+import { GraphExporter } from "./GraphExporter";
+import { LinkedAbortSignal } from "./LinkedAbortSignal";
+import { Middleware } from "./Middleware";
 import { Promisifier } from "./Promisifier";
-import { Task } from "./Task";
+import { RemoveTaskOptions } from "./RemoveTaskOptions";
+import { ResourcePool } from "./ResourcePool";
+import { RetryPolicy } from "./RetryPolicy";
+import { isShellTask, ShellTask } from "./ShellTask";
+import { RunFailedError } from "./RunFailedError";
+import { RunOptions } from "./RunOptions";
+import { CallbackContextTask, ContextTask, RegistryTask, Task, TaskStyle } from "./Task";
+import { LogLevel, TaskContext } from "./TaskContext";
+import { TaskFailure } from "./TaskFailure";
+import { TaskGraph } from "./TaskGraph";
+import {
+    CallbackRegistryTaskOptions,
+    CallbackTaskOptions,
+    RegistryTaskOptions,
+    StyledRegistryTaskOptions,
+    StyledTaskOptions,
+    TaskInputs,
+    TaskOptions,
+    WorkerTaskOptions
+} from "./TaskOptions";
+import { DependencyResults, IfTyped, IfUntyped, TaskName } from "./TaskRegistry";
 import { TaskResult } from "./TaskResult";
+import { TaskRunnerEvents } from "./TaskRunnerEvents";
 import { Options } from "./TaskRunnerOptions";
+import { WatchHandle, WatchOptions } from "./WatchOptions";
+import { Watcher } from "./Watcher";
+import { WorkerPool } from "./WorkerPool";
+import { TimeoutError } from "./TimeoutError";
+import { ValidationError } from "./ValidationError";
+import { ValidationResult } from "./ValidationResult";
 
 interface TaskInfo<T extends TaskResult> {
     taskName: string,
     dependencies: string[],
-    promise: Promise<TaskResult> | null,
-    task: (depResults: T) => Promise<TaskResult>,
-    visited?: boolean
+    optionalDependencies: string[],
+    task: (depResults: T, context?: TaskContext) => Promise<TaskResult>,
+    definition: string,
+    timeout?: number,
+    retryPolicy: RetryPolicy,
+    inputs?: TaskInputs,
+    watch: string[],
+    resources: string[],
+    resourceCapacities: { [resource: string]: number },
+    when?: (results: TaskResult) => boolean | PromiseLike<boolean>,
+    ifDependencySkipped: "run" | "skip"
 }
 
+/**
+ * The execution state of a single run, kept apart from the task tree so that runs may overlap.
+ */
+interface RunState {
+    runId: number,
+    limiter: ConcurrencyLimiter,
+    signal?: AbortSignalLike,
+    dryRun: boolean,
+    failFast: boolean,
+    checkpoint?: Checkpoint,
+    failures: TaskFailure[],
+    reused: TaskResult,
+    results: TaskResult,
+    transientResults: TaskResult,
+    skipped: { [taskName: string]: boolean },
+    promises: { [taskName: string]: Promise<TaskResult> },
+    visiting: { [taskName: string]: boolean },
+    generated: { [taskName: string]: TaskInfo<any> },
+    children: { [taskName: string]: string[] },
+    completed: { [taskName: string]: boolean }
+}
+
+const DEFAULT_WATCH_DEBOUNCE = 100;
+
+const NAMESPACE_SEPARATOR = ":";
+
+type AnyRegistryTaskOptions = RegistryTaskOptions<any, any, any, any> | StyledRegistryTaskOptions<any, any, any, any> |
+    CallbackRegistryTaskOptions<any, any, any, any>;
+
+/**
+ * The function of a task in any of the forms addTask accepts, whatever its style.
+ */
+type AnyTask<T> = Task<T> | ContextTask<T> | CallbackContextTask<T>;
+
+/**
+ * The options of a task in any of the forms addTask accepts, whose function may be of any style.
+ */
+type AnyTaskOptions = Omit<TaskOptions<any>, "task" | "style"> & { task?: AnyTask<any>, style?: TaskStyle };
+
+/**
+ * A task definition in any of the forms addTask accepts after the task name.
+ */
+type TaskDefinition<T> = string | string[] | Task<T> | TaskOptions<T> | StyledTaskOptions<T> | CallbackTaskOptions<T> |
+    RegistryTask<T, any> | AnyRegistryTaskOptions;
+
 const DEFAULT_OPTIONS: Options = {
     throwOnOverwrite: true
 };
 
+/**
+ * Merges a list of task results into a single map of task names to results.
+ */
+const mergeResults = function (results: TaskResult[]): TaskResult {
+    const mergedResults: TaskResult = {};
+    for (const result of results) {
+        for (const taskName in result) {
+            /* istanbul ignore else */
+            if (result.hasOwnProperty(taskName)) {
+                mergedResults[taskName] = result[taskName];
+            }
+        }
+    }
+
+    return mergedResults;
+};
+
 /**
  * A basic task runner with support for asynchronous tasks. To use, create a task tree before selecting a task to run
- * by name. The task as well as any and all dependent tasks will be asynchronously executed. Tasks can consume the results
- * of their dependencies.
+ * by name. The task as well as any and all dependent tasks will be asynchronously executed. Tasks can consume the
+ * results of their dependencies.
  *
- * Cycles are not supported and will result in an error being thrown.
+ * Cycles are not supported and will result in an error being thrown. The task tree can be checked for missing
+ * dependencies and cycles ahead of time with validate, or on every change in strict mode.
  *
- * The task tree cannot be modified while task execution is in progress. Attempting to do so will result in an error
- * being thrown.
+ * One or more tasks may be run at a time, and several runs may be in progress at once. The task tree cannot be modified
+ * while any run is in progress. Attempting to do so will result in an error being thrown.
  *
  * Adding a task that already exists with the same name will result in an error being thrown unless throwOnOverwrite is
  * set to false.
  *
+ * The number of tasks executing at the same time may be limited with the maxConcurrency option, in which case tasks
+ * that are ready to execute are queued until a slot frees up. The limit is shared by all runs in progress.
+ *
+ * Tasks added with the options form of addTask may be given a timeout and retried with a fixed or exponential backoff.
+ *
+ * Tasks which declare their inputs may have their results reused from a cache store when none of the inputs changed.
+ *
+ * By default, a run stops at the first failed task. With failFast set to false, it keeps running every task which does
+ * not depend on a failure and reports all of them at the end.
+ *
+ * Tasks may be given a when predicate, in which case they are skipped if it is false for the results of their
+ * dependencies. Tasks depending on a skipped task receive undefined as its result, or are skipped as well.
+ *
+ * The tasks of other TaskRunners may be mounted under a namespace, combining them into a single task tree.
+ *
+ * With watch, tasks are re-run whenever the paths they watch change, reusing the results of the tasks not affected.
+ *
+ * Work only discovered during a run can be added to it as generated tasks, through the context of a running task.
+ *
+ * A run may be aborted through an AbortSignal, which is also handed to the running tasks so that they can stop early.
+ *
+ * Progress can be followed through the onTask* callbacks, or in more detail through the events emitted to listeners
+ * added with on.
+ *
+ * A registry type mapping task names to their result types may be given, as in
+ * TaskRunner<{ lint: void, build: string }>. Task and dependency names are then checked at compile time, tasks receive
+ * typed results, and run resolves with the type of the task's result. Without one, any task name may be used and
+ * results are untyped.
+ *
  * Supports the following task types:
  *  - Synchronous tasks.
  *  - Promise tasks.
@@ -35,12 +178,20 @@ const DEFAULT_OPTIONS: Options = {
  *
  * Refer to README.md for examples.
  */
-class TaskRunner {
+class TaskRunner<Registry = TaskResult> {
     private promisifier: Promisifier;
+    private fingerprinter: Fingerprinter;
+    private graphExporter = new GraphExporter();
     private options: Options;
 
     private taskMap: { [taskName: string]: TaskInfo<any> } = {};
-    private execInProgress = false;
+    private activeRunCount = 0;
+    private nextRunId = 1;
+    private emitter = new EventEmitter<TaskRunnerEvents>();
+    private middlewares: Middleware[] = [];
+    private limiter: ConcurrencyLimiter | null = null;
+    private resourcePool = new ResourcePool((resource) => this.getResourceCapacity(resource));
+    private workerPool: WorkerPool | null = null;
 
     /**
      * Creates a new TaskRunner
@@ -57,9 +208,11 @@ class TaskRunner {
     /**
      * @internal
      */
-    constructor(options: Options = DEFAULT_OPTIONS, promisifier = new Promisifier()) {
+    constructor(options: Options = DEFAULT_OPTIONS, promisifier = new Promisifier(),
+                fingerprinter = new Fingerprinter()) {
         this.options = options;
         this.promisifier = promisifier;
+        this.fingerprinter = fingerprinter;
     }
 
     /**
@@ -73,11 +226,14 @@ class TaskRunner {
      *                           tasks.
      *  - done?: (result: T) => void - If defined, this function *must* be called to trigger task completion.
      *
+     * Tasks which take a TaskContext, with the name, run id and signal of the task and functions to report its progress
+     * and log messages, are added in the options form with their style declared.
+     *
      * @param taskName -  The unique name for this task.
-     * @param task - A function to execute for this task. May be a synchronous function (regular return value), promise function (return a promise), or other
-     * asynchronous function (return nothing, call "done" when complete).
+     * @param task - A function to execute for this task. May be a synchronous function (regular return value), promise
+     * function (return a promise), or other asynchronous function (return nothing, call "done" when complete).
      */
-    addTask<T>(taskName: string, task: Task<T>): void;
+    addTask<T>(taskName: IfUntyped<Registry, string>, task?: Task<T>): void;
     /**
      * Add a task to the task tree with an optional set of dependencies.
      *
@@ -89,15 +245,108 @@ class TaskRunner {
      *                           tasks.
      *  - done?: (result: T) => void - If defined, this function *must* be called to trigger task completion.
      *
+     * Tasks which take a TaskContext, with the name, run id and signal of the task and functions to report its progress
+     * and log messages, are added in the options form with their style declared.
+     *
      * @param taskName -  The unique name for this task.
      * @param dependencies - An optional list of dependencies needed before this task can be executed.
-     * These do not need to exist when adding this task, but do need to exist when running the task later.
-     * @param task - A function to execute for this task. May be a synchronous function (regular return value), promise function (return a promise), or other
-     * asynchronous function (return nothing, call "done" when complete).
+     * These do not need to exist when adding this task, but do need to exist when running the task later. In strict
+     * mode, they must already exist and must not introduce a cycle, or a ValidationError is thrown.
+     * @param task - A function to execute for this task. May be a synchronous function (regular return value), promise
+     * function (return a promise), or other asynchronous function (return nothing, call "done" when complete).
+     */
+    addTask<T>(taskName: IfUntyped<Registry, string>, dependencies: string | string[], task: Task<T>): void;
+    /**
+     * Add a task to the task tree, described by an options object which declares the style of a task function calling
+     * "done" as "callback". The task function then receives the context after "done". Otherwise behaves like the other
+     * options form.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param taskOptions - The style, task function and other options of this task.
+     */
+    addTask<T>(taskName: IfUntyped<Registry, string>, taskOptions: CallbackTaskOptions<T>): void;
+    /**
+     * Add a task to the task tree, described by an options object. In addition to the dependencies and the task
+     * function, the options form allows optional dependencies, a condition, a timeout, a retry policy, cache inputs and
+     * watched paths to be configured for the task.
+     *
+     * Adding a task that already exists with the same name will result in an error being thrown unless the TaskRunner
+     * is created with the option "throwOnOverwrite" set to false.
+     *
+     * Throws an error if the timeout or retry options are invalid, and a ValidationError in strict mode if a dependency
+     * does not exist yet or would introduce a cycle.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param taskOptions - The dependencies, optional dependencies, task function, timeout, retries, backoff and inputs
+     * for this task.
+     */
+    addTask<T>(taskName: IfUntyped<Registry, string>, taskOptions: TaskOptions<T>): void;
+    /**
+     * Add a task to the task tree, described by an options object which declares the style of a task function
+     * returning its result as "sync" or "promise". The task function then receives the context after the results.
+     * Otherwise behaves like the other options form.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param taskOptions - The style, task function and other options of this task.
+     */
+    addTask<T>(taskName: IfUntyped<Registry, string>, taskOptions: StyledTaskOptions<T>): void;
+    /**
+     * Add a task without dependencies to a TaskRunner with a typed registry. The task name must be in the registry, and
+     * the task must resolve to the type the registry gives it.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param task - A function to execute for this task.
+     */
+    addTask<N extends TaskName<Registry>>(taskName: IfTyped<Registry, N>, task?: RegistryTask<Registry[N], {}>): void;
+    /**
+     * Add a task with dependencies to a TaskRunner with a typed registry. The task name and dependencies must be in the
+     * registry, the task receives the typed results of its dependencies, and must resolve to the type the registry
+     * gives it.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param dependencies - The dependencies needed before this task can be executed.
+     * @param task - A function to execute for this task.
+     */
+    addTask<N extends TaskName<Registry>, D extends TaskName<Registry>>(
+        taskName: IfTyped<Registry, N>,
+        dependencies: D | D[],
+        task: RegistryTask<Registry[N], DependencyResults<Registry, D>>): void;
+    /**
+     * Add a task to a TaskRunner with a typed registry, described by an options object which declares the style of a
+     * task function calling "done" as "callback". The task function then receives the context after "done". Otherwise
+     * behaves like the other typed options form.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param taskOptions - The style, task function and other options of this task.
+     */
+    addTask<N extends TaskName<Registry>, D extends TaskName<Registry> = never, O extends TaskName<Registry> = never>(
+        taskName: IfTyped<Registry, N>,
+        taskOptions: CallbackRegistryTaskOptions<Registry, N, D, O>): void;
+    /**
+     * Add a task to a TaskRunner with a typed registry, described by an options object. The task name and
+     * dependencies must be in the registry, the task receives the typed results of its dependencies, and must resolve
+     * to the type the registry gives it.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param taskOptions - The dependencies, optional dependencies, task function, timeout, retries, backoff and inputs
+     * for this task.
+     */
+    addTask<N extends TaskName<Registry>, D extends TaskName<Registry> = never, O extends TaskName<Registry> = never>(
+        taskName: IfTyped<Registry, N>,
+        taskOptions: RegistryTaskOptions<Registry, N, D, O>): void;
+    /**
+     * Add a task to a TaskRunner with a typed registry, described by an options object which declares the style of a
+     * task function returning its result as "sync" or "promise". The task function then receives the context after
+     * the results. Otherwise behaves like the other typed options form.
+     *
+     * @param taskName -  The unique name for this task.
+     * @param taskOptions - The style, task function and other options of this task.
      */
-    addTask<T>(taskName: string, dependencies: string | string[], task: Task<T>): void;
+    addTask<N extends TaskName<Registry>, D extends TaskName<Registry> = never, O extends TaskName<Registry> = never>(
+        taskName: IfTyped<Registry, N>,
+        taskOptions: StyledRegistryTaskOptions<Registry, N, D, O>): void;
 
-    addTask<T>(taskName: string, dependencies?: string | string[] | Task<T>, task?: Task<T>): void {
+    addTask<T>(taskName: string, definition?: TaskDefinition<T>, taskFunction?: Task<T> | RegistryTask<T, any>): void {
         if (taskName === null || taskName === undefined) {
             throw new Error("Missing task name");
         }
@@ -107,38 +356,146 @@ class TaskRunner {
             throw new Error(`Task ${taskName} already exists.`);
         }
 
-        if (typeof dependencies === "function") {
-            task = dependencies;
-            dependencies = [];
-        } else if (typeof dependencies === "string") {
-            dependencies = [dependencies];
-        } else if (!dependencies) {
-            dependencies = [];
+        const task = this.createTaskInfo(taskName, definition, taskFunction);
+        this.throwIfInvalid({[taskName]: task.dependencies});
+        this.taskMap[taskName] = task;
+    }
+
+    /**
+     * Adds every task of another TaskRunner to this one under a namespace. A task "build" mounted under the namespace
+     * "api" becomes "api:build", and its dependencies are renamed the same way. The mounted tasks still receive the
+     * results of their dependencies in the same namespace under their original names, so they work unchanged.
+     *
+     * Tasks of different namespaces may depend on each other, for example with addDependencies("api:build",
+     * "shared:codegen"), in which case the result is passed under the full name.
+     *
+     * The tasks are copied when mounting, so later changes to the other TaskRunner are not reflected. Its options,
+     * such as its callbacks, do not apply to the mounted tasks: they are run with the options of this TaskRunner.
+     *
+     * Mounting a task that already exists with the same name will result in an error being thrown unless the
+     * TaskRunner is created with the option "throwOnOverwrite" set to false. Throws an error if a mounted task declares
+     * a different capacity for a resource than a task of this TaskRunner. In strict mode, throws a ValidationError if
+     * a mounted task has a missing dependency or would introduce a cycle.
+     *
+     * @param namespace - The namespace to mount the tasks under.
+     * @param taskRunner - The TaskRunner whose tasks to mount.
+     */
+    mount(namespace: string, taskRunner: TaskRunner<any>): void {
+        if (!namespace) {
+            throw new Error("Missing namespace");
+        }
+        if (taskRunner === this) {
+            throw new Error("A TaskRunner cannot be mounted into itself");
         }
+        this.throwIfInProgress();
 
-        this.taskMap[taskName] = {
-            taskName: taskName,
-            dependencies: dependencies,
-            promise: null,
-            task: task ? this.promisifier.wrap(task) : () => Promise.resolve({})
-        };
+        const prefix = namespace + NAMESPACE_SEPARATOR;
+        const mounted: { [taskName: string]: TaskInfo<any> } = {};
+        const changes: { [taskName: string]: string[] } = {};
+        for (const localName of Object.keys(taskRunner.taskMap)) {
+            const taskName = prefix + localName;
+            if (this.options.throwOnOverwrite && this.taskMap[taskName]) {
+                throw new Error(`Task ${taskName} already exists.`);
+            }
+
+            mounted[taskName] = this.mountTask(prefix, taskRunner.taskMap[localName]);
+            this.throwIfCapacityConflicts(taskName, mounted[taskName].resourceCapacities);
+            changes[taskName] = mounted[taskName].dependencies;
+        }
+        this.throwIfInvalid(changes);
+
+        for (const taskName of Object.keys(mounted)) {
+            this.taskMap[taskName] = mounted[taskName];
+        }
     }
 
     /**
-     * Removes a given task from the task tree. This will result in the task no longer existing, but will *not* affect
-     * any tasks that may depend on it.
+     * Removes a given task from the task tree. By default, this will result in the task no longer existing, but will
+     * *not* affect any tasks that may depend on it. The "cascade" option decides what happens to them instead.
      *
      * @param taskName - The unique name of the task to remove. Does nothing if the task does not exist.
+     * @param removeOptions - An optional object whose "cascade" option is "unlink" to remove the task from the
+     * dependencies of its dependents, "remove" to remove its dependents as well, transitively, or "throw" to throw an
+     * error instead of removing a task which other tasks depend on.
      */
-    removeTask(taskName: string): void {
+    removeTask(taskName: TaskName<Registry>, removeOptions: RemoveTaskOptions = {}): void {
         if (taskName === null || taskName === undefined) {
             throw new Error("Missing task name");
         }
+        const cascade = removeOptions.cascade;
+        if (cascade !== undefined && cascade !== "unlink" && cascade !== "remove" && cascade !== "throw") {
+            throw new Error(`cascade must be "unlink", "remove" or "throw", got '${cascade}'`);
+        }
         this.throwIfInProgress();
 
+        if (!this.taskMap[taskName]) {
+            return;
+        }
+
+        const graph = new TaskGraph(this.getTaskList());
+        const dependents = graph.getDirectDependents(taskName).filter((dependent) => dependent !== taskName);
+        if (cascade === "throw" && dependents.length > 0) {
+            const names = dependents.map((dependent) => `'${dependent}'`).join(", ");
+            throw new Error(`Task ${taskName} cannot be removed while tasks depend on it: ${names}`);
+        } else if (cascade === "remove") {
+            for (const dependent of graph.getDependents([taskName])) {
+                delete this.taskMap[dependent];
+            }
+        } else if (cascade === "unlink") {
+            for (const dependent of dependents) {
+                const task = this.taskMap[dependent];
+                task.dependencies = task.dependencies.filter((dependency) => dependency !== taskName);
+                task.optionalDependencies = task.optionalDependencies.filter((dependency) => dependency !== taskName);
+            }
+        }
+
         delete this.taskMap[taskName];
     }
 
+    /**
+     * Returns the tasks which the given task depends on. Dependencies which have not been added yet are included.
+     *
+     * @param taskName - The unique name of the task.
+     * @param queryOptions - An optional object whose "transitive" option, if true, also includes the dependencies of
+     * dependencies, and so on, in the order they are first reached.
+     * @returns The names of the dependencies.
+     */
+    getDependencies(taskName: TaskName<Registry>, queryOptions: DependencyQueryOptions = {}): TaskName<Registry>[] {
+        if (taskName === null || taskName === undefined) {
+            throw new Error("Missing task name");
+        }
+
+        const graph = new TaskGraph(this.getTaskList());
+        this.getExistingTaskNames(graph, taskName);
+
+        const dependencies = queryOptions.transitive ?
+            graph.getAllDependencies(taskName) :
+            this.taskMap[taskName].dependencies.slice();
+        return <TaskName<Registry>[]> dependencies;
+    }
+
+    /**
+     * Returns the tasks which depend on the given task.
+     *
+     * @param taskName - The unique name of the task.
+     * @param queryOptions - An optional object whose "transitive" option, if true, also includes the tasks depending on
+     * dependents, and so on, in the order they are first reached.
+     * @returns The names of the dependents.
+     */
+    getDependents(taskName: TaskName<Registry>, queryOptions: DependencyQueryOptions = {}): TaskName<Registry>[] {
+        if (taskName === null || taskName === undefined) {
+            throw new Error("Missing task name");
+        }
+
+        const graph = new TaskGraph(this.getTaskList());
+        this.getExistingTaskNames(graph, taskName);
+
+        const dependents = queryOptions.transitive ?
+            graph.getDependents([taskName]).filter((dependent) => dependent !== taskName) :
+            graph.getDirectDependents(taskName);
+        return <TaskName<Registry>[]> dependents;
+    }
+
     /**
      * Adds one or more new dependencies to the given parent task. The parent task must exist when adding dependencies,
      * but the dependent tasks do not need to exist until run is called. This does nothing if the task-dependency link
@@ -146,10 +503,12 @@ class TaskRunner {
      *
      * Throws an error if the parent task does not exist.
      *
+     * In strict mode, throws a ValidationError if a dependency does not exist yet or would introduce a cycle.
+     *
      * @param taskName - The unique name of the task to add dependencies to.
      * @param dependencies - One or more dependencies to add to the given task.
      */
-    addDependencies(taskName: string, dependencies: string | string[]): void {
+    addDependencies(taskName: TaskName<Registry>, dependencies: TaskName<Registry> | TaskName<Registry>[]): void {
         if (taskName === null || taskName === undefined) {
             throw new Error("Missing task name");
         }
@@ -164,10 +523,13 @@ class TaskRunner {
                 dependencies = [dependencies];
             }
 
-            for (const dependency of dependencies) {
-                if (task.dependencies.indexOf(dependency) === -1) {
-                    task.dependencies.push(dependency);
-                }
+            const newDependencies = dependencies.filter((dependency, index) => {
+                return task.dependencies.indexOf(dependency) === -1 && dependencies.indexOf(dependency) === index;
+            });
+            this.throwIfInvalid({[taskName]: task.dependencies.concat(newDependencies)});
+
+            for (const dependency of newDependencies) {
+                task.dependencies.push(dependency);
             }
         } else {
             throw new Error(`Can't add dependency for missing task ${taskName}`);
@@ -182,7 +544,7 @@ class TaskRunner {
      * @param taskName - The unique name of the task to remove dependencies from.
      * @param dependencies - One ore more dependencies to remove from the given task.
      */
-    removeDependencies(taskName: string, dependencies: string | string[]): void {
+    removeDependencies(taskName: TaskName<Registry>, dependencies: TaskName<Registry> | TaskName<Registry>[]): void {
         if (taskName === null || taskName === undefined) {
             throw new Error("Missing task name");
         }
@@ -198,7 +560,10 @@ class TaskRunner {
             }
 
             task.dependencies = task.dependencies.filter((dependency) => {
-                return dependencies.indexOf(dependency) === -1;
+                return (<string[]> dependencies).indexOf(dependency) === -1;
+            });
+            task.optionalDependencies = task.optionalDependencies.filter((dependency) => {
+                return (<string[]> dependencies).indexOf(dependency) === -1;
             });
         }
     }
@@ -218,6 +583,113 @@ class TaskRunner {
         return map;
     }
 
+    /**
+     * Adds a middleware wrapped around the execution of every task, including tasks added before it. Middlewares are
+     * called in the order they were added, each with a "next" function which runs the following middleware or, for the
+     * last one, the task itself. A middleware may change the result, catch or decorate errors, or short-circuit the
+     * task by not calling "next".
+     *
+     * Middlewares are called for each attempt of a task, within its timeout. They are not called for tasks whose result
+     * comes from the cache or a checkpoint, nor in a dry run. Tasks mounted from another TaskRunner are wrapped by the
+     * middlewares of this one.
+     *
+     * @param middleware - Called with the task name, the results of its dependencies, "next" and the task context.
+     * @returns This TaskRunner, for chaining.
+     */
+    use(middleware: Middleware): this {
+        if (typeof middleware !== "function") {
+            throw new Error("Middleware must be a function");
+        }
+
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Adds a listener for one of the lifecycle events of this TaskRunner:
+     *  - runStart, runEnd - When a run starts and completes, with its result or error.
+     *  - taskStart - When a task starts executing, after its dependencies have completed, with the time it waited for
+     *              its resources.
+     *  - taskWait - When a task has to wait for resources held by other tasks.
+     *  - taskGenerate - When a running task generates a task through its context.
+     *  - taskEnd - When a task has completed, with its result and whether it came from the cache.
+     *  - taskFail - When a task has failed, after its last retry, with the error.
+     *  - taskCancel - When a task will not be executed, with the dependency that caused it, if any.
+     *  - taskRetry - Before a failed task is retried.
+     *  - taskCached - When a task is skipped because its result was found in the cache.
+     *  - taskSkip - When a task is skipped because of its when predicate, with the skipped dependency that caused it,
+     *              if any.
+     *  - taskProgress - When a task reports its progress through its context.
+     *  - taskLog - When a task logs a message through the logger of its context.
+     *
+     * Every task event carries the task name and the id of its run, and events with a duration carry their start and
+     * end timestamps in milliseconds.
+     *
+     * @param event - The name of the event.
+     * @param listener - Called with the event payload every time the event is emitted.
+     * @returns This TaskRunner, for chaining.
+     */
+    on<K extends keyof TaskRunnerEvents>(event: K, listener: (payload: TaskRunnerEvents[K]) => void): this {
+        this.emitter.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener previously added with on. Does nothing if the listener was not added.
+     *
+     * @param event - The name of the event.
+     * @param listener - The listener to remove.
+     * @returns This TaskRunner, for chaining.
+     */
+    off<K extends keyof TaskRunnerEvents>(event: K, listener: (payload: TaskRunnerEvents[K]) => void): this {
+        this.emitter.off(event, listener);
+        return this;
+    }
+
+    /**
+     * Checks the task tree for missing dependencies and cycles without running any task. Unlike run, which stops at
+     * the first problem it finds, every problem is reported.
+     *
+     * @param taskName - An optional task, or list of tasks, to validate along with everything they depend on. Defaults
+     * to every task.
+     * @returns Every missing dependency, along with the task that references it, and every cycle as its full path.
+     */
+    validate(taskName?: TaskName<Registry> | TaskName<Registry>[]): ValidationResult {
+        const graph = new TaskGraph(this.getTaskList());
+        return taskName === undefined ? graph.validate() : graph.validate(this.getExistingTaskNames(graph, taskName));
+    }
+
+    /**
+     * Returns what running the given task, or list of tasks, would execute without executing anything. The tasks are
+     * grouped into topological waves: every task only depends on tasks in earlier waves, so the tasks within a wave
+     * can run in parallel. The direct and transitive dependencies of each task are listed as well.
+     *
+     * Throws a ValidationError if any of the tasks to execute has a missing dependency or is part of a cycle.
+     *
+     * @param taskName - The task, or list of tasks, to plan for.
+     * @returns The waves of tasks to execute, and the dependencies of each task.
+     */
+    getExecutionPlan(taskName: TaskName<Registry> | TaskName<Registry>[]): ExecutionPlan {
+        const graph = new TaskGraph(this.getTaskList());
+        return graph.getExecutionPlan(this.getExistingTaskNames(graph, taskName));
+    }
+
+    /**
+     * Exports the task tree as a Graphviz DOT digraph, a Mermaid flowchart, or versioned JSON. Edges point from a task
+     * to its dependencies. Dependencies on tasks which have not been added yet are included and marked as missing.
+     *
+     * @param format - One of "dot", "mermaid" or "json".
+     * @param taskName - An optional task, or list of tasks, to limit the export to, along with everything they depend
+     * on. Defaults to every task.
+     * @returns The exported graph.
+     */
+    exportGraph(format: GraphFormat, taskName?: TaskName<Registry> | TaskName<Registry>[]): string {
+        const graph = new TaskGraph(this.getTaskList());
+        const taskNames = taskName === undefined ? undefined : this.getExistingTaskNames(graph, taskName);
+
+        return this.graphExporter.export(graph.toExportedGraph(taskNames), format);
+    }
+
     /**
      * Run the given task and any dependencies that it requires. Returns a promise which will be resolved when the task
      * is completed.
@@ -226,101 +698,1121 @@ class TaskRunner {
      *
      * Rejects the promise if there is a cycle in the task tree.
      *
+     * Rejects the promise with an AbortError if the run is aborted through the signal in runOptions. Tasks which have
+     * not started by then will not be started and are cancelled. The promise is only rejected, and the task tree only
+     * unlocked, once the tasks already running have settled.
+     *
+     * If failFast is false, rejects the promise with a RunFailedError listing every failed task once all other tasks
+     * have completed, or with a ValidationError before running anything if the tree is invalid.
+     *
+     * Multiple runs may be in progress at the same time. Each run executes its own copy of the required tasks.
+     *
+     * In a dry run, the tree is walked and the onTaskStart and onTaskEnd callbacks are fired, but no task is executed.
+     *
      * @param taskName - The unique name of the task to run.
+     * @param runOptions - An optional object containing options for this run only.
      * @returns A promise that resolves when the task has completed.
      */
-    run<T>(taskName: string): Promise<T> {
-        if (taskName === null || taskName === undefined) {
+    run<T>(taskName: IfUntyped<Registry, string>, runOptions?: RunOptions): Promise<T>;
+    /**
+     * Run the given tasks and any dependencies that they require. Dependencies shared between the tasks are only run
+     * once. Returns a promise which will be resolved with a map of task names to results once every task is completed.
+     *
+     * Rejects the promise if no tasks exist with one of the given names, or a task is found with a non-existent
+     * dependency.
+     *
+     * Rejects the promise if there is a cycle in the task tree.
+     *
+     * Rejects the promise with an AbortError if the run is aborted through the signal in runOptions. Tasks which have
+     * not started by then will not be started and are cancelled. The promise is only rejected, and the task tree only
+     * unlocked, once the tasks already running have settled.
+     *
+     * If failFast is false, rejects the promise with a RunFailedError listing every failed task once all other tasks
+     * have completed, or with a ValidationError before running anything if the tree is invalid.
+     *
+     * Multiple runs may be in progress at the same time. Each run executes its own copy of the required tasks.
+     *
+     * In a dry run, the tree is walked and the onTaskStart and onTaskEnd callbacks are fired, but no task is executed.
+     *
+     * @param taskNames - The unique names of the tasks to run.
+     * @param runOptions - An optional object containing options for this run only.
+     * @returns A promise that resolves with the results of the given tasks when they have completed.
+     */
+    run<T extends TaskResult = TaskResult>(taskNames: IfUntyped<Registry, string[]>,
+                                           runOptions?: RunOptions): Promise<T>;
+    /**
+     * Run the given task of a TaskRunner with a typed registry, and any dependencies that it requires. Resolves with
+     * the result type the registry gives the task. Otherwise behaves like the untyped form.
+     *
+     * @param taskName - The unique name of the task to run.
+     * @param runOptions - An optional object containing options for this run only.
+     * @returns A promise that resolves when the task has completed.
+     */
+    run<N extends TaskName<Registry>>(taskName: IfTyped<Registry, N>, runOptions?: RunOptions): Promise<Registry[N]>;
+    /**
+     * Run the given tasks of a TaskRunner with a typed registry, and any dependencies that they require. Resolves with
+     * a map of the given task names to their results, typed from the registry. Otherwise behaves like the untyped form.
+     *
+     * @param taskNames - The unique names of the tasks to run.
+     * @param runOptions - An optional object containing options for this run only.
+     * @returns A promise that resolves with the results of the given tasks when they have completed.
+     */
+    run<N extends TaskName<Registry>>(taskNames: IfTyped<Registry, N[]>,
+                                      runOptions?: RunOptions): Promise<Pick<Registry, N>>;
+
+    run(taskNames: string | string[], runOptions: RunOptions = {}): Promise<any> {
+        if (taskNames === null || taskNames === undefined) {
             return Promise.reject(new Error("Missing task name"));
         }
-        this.throwIfInProgress();
 
-        this.execInProgress = true;
-        return this.runTask(taskName)
-            .then((results) => results ? results[taskName] : null)
+        const targets = typeof taskNames === "string" ? [taskNames] : taskNames;
+        for (const taskName of targets) {
+            if (taskName === null || taskName === undefined) {
+                return Promise.reject(new Error("Missing task name"));
+            }
+        }
+
+        const resumeFrom = runOptions.resumeFrom;
+        if (resumeFrom === undefined) {
+            return this.execute(taskNames, runOptions, {}, {});
+        }
+
+        return readCheckpoint(resumeFrom).then((checkpointData) => {
+            return this.execute(taskNames, runOptions, {}, {}, checkpointData);
+        });
+    }
+
+    /**
+     * Runs the given tasks once, then re-runs the affected tasks whenever the paths watched by any of them or their
+     * dependencies change. Only the tasks whose paths changed, and the tasks depending on them, are re-run: the
+     * results of every other task are reused from the previous run. Tasks which failed or were cancelled are re-run
+     * as well.
+     *
+     * Each run emits the same events as run. Since failures are reported through the events, a failed run does not
+     * stop the watch.
+     *
+     * The watched paths are collected when the watch starts, so tasks added later are not watched.
+     *
+     * Throws an error if one of the tasks does not exist.
+     *
+     * @param taskName - The task, or list of tasks, to run and watch.
+     * @param watchOptions - An optional object containing options for the runs of this watch.
+     * @returns A handle to stop watching.
+     */
+    watch(taskName: TaskName<Registry> | TaskName<Registry>[], watchOptions: WatchOptions = {}): WatchHandle {
+        const debounce = watchOptions.debounce !== undefined ? watchOptions.debounce : DEFAULT_WATCH_DEBOUNCE;
+        if (!(debounce >= 0)) {
+            throw new Error(`debounce must be a non-negative number, got '${debounce}'`);
+        }
+
+        const graph = new TaskGraph(this.getTaskList());
+        const paths: { [taskName: string]: string[] } = {};
+        for (const reachable of graph.getReachable(this.getExistingTaskNames(graph, taskName))) {
+            if (this.taskMap[reachable].watch.length > 0) {
+                paths[reachable] = this.taskMap[reachable].watch;
+            }
+        }
+
+        const runOptions: RunOptions = {maxConcurrency: watchOptions.maxConcurrency, failFast: watchOptions.failFast};
+        let previousResults: TaskResult = {};
+        let changed: string[] = [];
+        let running: Promise<void> | null = null;
+        let stopped = false;
+
+        const runChanged = () => {
+            const affected = new TaskGraph(this.getTaskList()).getDependents(changed);
+            const reused: TaskResult = {};
+            for (const reusedTask in previousResults) {
+                if (previousResults.hasOwnProperty(reusedTask) && affected.indexOf(reusedTask) === -1) {
+                    reused[reusedTask] = previousResults[reusedTask];
+                }
+            }
+
+            const results: TaskResult = {};
+            changed = [];
+            running = this.execute(taskName, runOptions, reused, results)
+                .catch(() => undefined)
+                .then(() => {
+                    previousResults = results;
+                    running = null;
+                    if (changed.length > 0 && !stopped) {
+                        runChanged();
+                    }
+                });
+        };
+
+        const watcher = new Watcher(paths, debounce, (taskNames) => {
+            changed = changed.concat(taskNames);
+            if (!running) {
+                runChanged();
+            }
+        });
+        watcher.start();
+        runChanged();
+
+        return {
+            stop: () => {
+                stopped = true;
+                watcher.stop();
+                return running || Promise.resolve();
+            }
+        };
+    }
+
+    /**
+     * Runs the given tasks, using the reused results instead of running the tasks they belong to. The result of every
+     * completed task, other than generated tasks and the tasks generating them, is added to results as the run
+     * progresses.
+     */
+    private execute(taskNames: string | string[], runOptions: RunOptions, reused: TaskResult,
+                    results: TaskResult, checkpointData?: CheckpointData): Promise<any> {
+        const targets = typeof taskNames === "string" ? [taskNames] : taskNames;
+        const signal = runOptions.signal;
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+
+        const startTime = Date.now();
+        let runState: RunState;
+        try {
+            let checkpoint: Checkpoint | undefined;
+            if (runOptions.checkpoint !== undefined || checkpointData) {
+                checkpoint = new Checkpoint(this.getCheckpointGraph(targets), runOptions.checkpoint);
+                if (checkpointData) {
+                    reused = {...reused, ...checkpoint.restore(checkpointData, <string> runOptions.resumeFrom)};
+                }
+            }
+
+            runState = {
+                runId: this.nextRunId++,
+                limiter: runOptions.maxConcurrency !== undefined ?
+                    new ConcurrencyLimiter(runOptions.maxConcurrency) :
+                    this.getLimiter(),
+                signal: signal,
+                dryRun: !!runOptions.dryRun,
+                failFast: runOptions.failFast !== undefined ?
+                    runOptions.failFast :
+                    this.options.failFast !== false,
+                checkpoint: checkpoint,
+                failures: [],
+                reused: reused,
+                results: results,
+                transientResults: {},
+                skipped: {},
+                promises: {},
+                visiting: {},
+                generated: {},
+                children: {},
+                completed: {}
+            };
+
+            // A listener which throws rejects the run before the task tree is locked.
+            this.emitter.emit("runStart", {runId: runState.runId, taskNames: targets, startTime: startTime});
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        let onAbort = () => {};
+        let abortError: AbortError | undefined;
+        const aborted = new Promise<never>((resolve, reject) => {
+            onAbort = () => {
+                const error = abortError = new AbortError();
+                const checkpoint = runState.checkpoint;
+
+                // The tree stays locked until every task already running has settled.
+                this.settle(runState)
+                    .then(() => checkpoint && checkpoint.flush().catch(() => undefined))
+                    .then(() => reject(error));
+            };
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+        });
+        const finish = (outcome: { result?: any, error?: any }) => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            this.activeRunCount--;
+
+            const endTime = Date.now();
+            this.emitter.emit("runEnd", {
+                runId: runState.runId,
+                taskNames: targets,
+                startTime: startTime,
+                endTime: endTime,
+                duration: endTime - startTime,
+                result: outcome.result,
+                error: outcome.error
+            });
+        };
+
+        this.activeRunCount++;
+        let execution = runState.failFast ? this.runTargets(targets, runState) : this.runAll(targets, runState);
+        const checkpoint = runState.checkpoint;
+        if (checkpoint) {
+            // The run settles once the checkpoint is written, which only fails it if the tasks succeeded.
+            execution = execution.then((mergedResults) => checkpoint.flush().then(() => mergedResults), (error) => {
+                return checkpoint.flush().catch(() => undefined).then(() => Promise.reject(error));
+            });
+        }
+        execution = execution.then((mergedResults) => {
+            if (abortError) {
+                return aborted;
+            }
+
+            return typeof taskNames === "string" ? mergedResults[taskNames] : mergedResults;
+        }, (error) => abortError ? aborted : Promise.reject(error));
+
+        return Promise.race([execution, aborted])
             .then((results) => {
-                this.execInProgress = false;
+                finish({result: results});
                 return results;
-            })
-            .catch((error) => {
-                this.execInProgress = false;
+            }, (error) => {
+                finish({error: error});
                 throw error;
             });
     }
 
-    private runTask(taskName: string): Promise<TaskResult> {
-        const task = this.taskMap[taskName];
+    /**
+     * Returns a promise which resolves once every task of the run has settled, including tasks started while waiting.
+     */
+    private settle(runState: RunState): Promise<void> {
+        const promises = Object.keys(runState.promises).map((taskName) => runState.promises[taskName]);
+        return Promise.all(promises.map((promise) => promise.catch(() => undefined))).then(() => {
+            return Object.keys(runState.promises).length > promises.length ? this.settle(runState) : undefined;
+        });
+    }
+
+    private runTargets(targets: string[], runState: RunState): Promise<TaskResult> {
+        return Promise.all(targets.map((taskName) => this.runTask(taskName, runState))).then(mergeResults);
+    }
+
+    /**
+     * Runs the given tasks without stopping at the first failure. Waits for every task of the run to settle, then
+     * rejects with a RunFailedError if any of them failed.
+     *
+     * Since a missing dependency or a cycle would otherwise only cancel part of the run, the tree is validated first.
+     */
+    private runAll(targets: string[], runState: RunState): Promise<TaskResult> {
+        try {
+            const graph = new TaskGraph(this.getTaskList());
+            const result = graph.validate(this.getExistingTaskNames(graph, targets));
+            if (!result.valid) {
+                throw new ValidationError(result);
+            }
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        const execution = this.runTargets(targets, runState);
+        const settled = Object.keys(runState.promises)
+            .map((taskName) => runState.promises[taskName])
+            .concat(execution)
+            .map((promise) => promise.catch(() => ({})));
+
+        return Promise.all(settled).then((results) => {
+            if (runState.failures.length > 0) {
+                throw new RunFailedError(runState.failures, mergeResults(results));
+            }
+
+            return execution;
+        });
+    }
+
+    private runTask(taskName: string, runState: RunState): Promise<TaskResult> {
+        const task = this.taskMap[taskName] || runState.generated[taskName];
         if (task) {
-            if (task.visited) {
+            if (runState.visiting[taskName]) {
                 return Promise.reject(new Error(`Cycle found at '${taskName}'`));
             }
 
-            if (task.promise) {
-                return task.promise;
+            if (runState.promises[taskName]) {
+                return runState.promises[taskName];
+            }
+
+            if (runState.reused.hasOwnProperty(taskName)) {
+                runState.results[taskName] = runState.reused[taskName];
+                runState.promises[taskName] = Promise.resolve({[taskName]: runState.reused[taskName]});
+                return runState.promises[taskName];
             }
 
-            if (this.options.onTaskStart) {
+            if (this.options.onTaskStart && !this.isQueued(task, runState)) {
                 this.options.onTaskStart(taskName, task.dependencies);
             }
 
-            task.visited = true;
+            runState.visiting[taskName] = true;
+            let promise: Promise<TaskResult>;
             if (task.dependencies && task.dependencies.length > 0) {
-                task.promise = Promise.all(task.dependencies.map((dependency) => this.runTask(dependency)))
+                let cause: string | undefined;
+                const dependencyPromises = task.dependencies.map((dependency) => {
+                    const optional = !runState.failFast && task.optionalDependencies.indexOf(dependency) !== -1;
+                    return this.runTask(dependency, runState).catch((e) => {
+                        if (optional) {
+                            return {[dependency]: undefined};
+                        }
+                        if (cause === undefined) {
+                            cause = dependency;
+                        }
+                        throw e;
+                    });
+                });
+
+                promise = Promise.all(dependencyPromises)
                     .then((results: TaskResult[]) => {
                         const mergedResults: TaskResult = {};
                         for (const result of results) {
                             for (const taskName in result) {
                                 /* istanbul ignore else */
-                                if (this.taskMap.hasOwnProperty(taskName)) {
+                                if (this.taskMap.hasOwnProperty(taskName) ||
+                                    runState.generated.hasOwnProperty(taskName)) {
                                     mergedResults[taskName] = result[taskName];
                                 }
                             }
                         }
 
+                        // The results of the tasks generated by a dependency are passed along with its own.
+                        for (const dependency of task.dependencies) {
+                            for (const generated of this.getGeneratedTasks(dependency, runState)) {
+                                mergedResults[generated] = runState.transientResults[generated];
+                            }
+                        }
+
                         return mergedResults;
                     })
                     .catch((e) => {
-                        if (this.options.onTaskCancel) {
-                            this.options.onTaskCancel(taskName);
-                        }
+                        this.cancelTask(taskName, runState, e, cause);
                         throw e;
                     })
-                    .then((previousResults) => this.runSingleTask(task, taskName, previousResults));
+                    .then((previousResults) => this.runSingleTask(task, taskName, previousResults, runState));
             } else {
-                task.promise = this.runSingleTask(task, taskName, {});
+                promise = this.runSingleTask(task, taskName, {}, runState);
             }
-            task.visited = false;
-
-            return task.promise.then((result: TaskResult) => {
-                if (this.options.onTaskEnd) {
-                    this.options.onTaskEnd(taskName);
-                }
+            runState.visiting[taskName] = false;
 
-                task.promise = null;
-                return result;
-            });
+            runState.promises[taskName] = promise;
+            return promise;
         } else {
             return Promise.reject(new Error(`Task '${taskName}' not found`));
         }
     }
 
-    private runSingleTask(task: TaskInfo<any>, taskName: string, dependencyResults: TaskResult): Promise<TaskResult> {
-        return task.task(dependencyResults)
-            .then((result: TaskResult) => {
+    private runSingleTask(task: TaskInfo<any>, taskName: string, dependencyResults: TaskResult,
+                          runState: RunState): Promise<TaskResult> {
+        let startTime = Date.now();
+        let cached = false;
+        let cancelled = false;
+        let skipped = false;
+        let cause: string | undefined;
+        let waitTime = 0;
+
+        // onTaskStart was already fired when the task was reached unless it may wait in a queue. Otherwise it is fired
+        // once the task starts, is skipped or is found in the cache, so that every mode fires the same callbacks.
+        let startFired = !this.isQueued(task, runState);
+        const fireStart = () => {
+            if (!startFired && this.options.onTaskStart) {
+                this.options.onTaskStart(taskName, task.dependencies);
+            }
+            startFired = true;
+        };
+
+        // A retry only starts once the attempt which timed out before it has settled.
+        let timedOut: Promise<void> | undefined;
+        const attempt = (): Promise<TaskResult> => {
+            if (runState.signal && runState.signal.aborted) {
+                cancelled = true;
+                return Promise.reject(new AbortError());
+            }
+            if (timedOut) {
+                const previous = timedOut;
+                timedOut = undefined;
+                return previous.then(attempt);
+            }
+
+            const start = (signal?: AbortSignalLike) => {
+                const context = this.createContext(taskName, runState, signal);
+                return this.runMiddlewares(task, dependencyResults, runState, context);
+            };
+            if (task.timeout === undefined) {
+                return start(runState.signal);
+            }
+
+            return this.withTimeout(taskName, task.timeout, runState.signal, start, (settled) => timedOut = settled);
+        };
+        const onRetry = (retry: number, error: any) => {
+            if (this.options.onTaskRetry) {
+                this.options.onTaskRetry(taskName, retry, error);
+            }
+            this.emitter.emit("taskRetry", {runId: runState.runId, taskName: taskName, retry: retry, error: error});
+        };
+        const execute = () => {
+            if (runState.signal && runState.signal.aborted) {
+                cancelled = true;
+                return Promise.reject(new AbortError());
+            }
+
+            fireStart();
+            startTime = Date.now();
+            this.emitter.emit("taskStart", {
+                runId: runState.runId,
+                taskName: taskName,
+                dependencies: task.dependencies.slice(),
+                startTime: startTime,
+                waitTime: waitTime
+            });
+
+            return runState.dryRun ?
+                Promise.resolve<any>(undefined) :
+                task.retryPolicy.execute(attempt, onRetry, () => !cancelled, runState.signal);
+        };
+        const onCached = (result: any) => {
+            fireStart();
+            cached = true;
+            if (this.options.onTaskCached) {
+                this.options.onTaskCached(taskName);
+            }
+            this.emitter.emit("taskCached", {runId: runState.runId, taskName: taskName, result: result});
+        };
+
+        const onWait = () => {
+            if (this.options.onTaskWait) {
+                this.options.onTaskWait(taskName, task.resources.slice());
+            }
+            this.emitter.emit("taskWait", {
+                runId: runState.runId,
+                taskName: taskName,
+                resources: task.resources.slice(),
+                time: Date.now()
+            });
+        };
+        const run = () => {
+            if (task.resources.length === 0 || runState.dryRun) {
+                return runState.limiter.schedule(execute);
+            }
+
+            const waitStart = Date.now();
+            return this.resourcePool.schedule(task.resources, () => {
+                waitTime = Date.now() - waitStart;
+                return runState.limiter.schedule(execute);
+            }, onWait);
+        };
+        const cacheStore = this.options.cacheStore;
+        const skippedDependency = task.ifDependencySkipped === "skip" ?
+            task.dependencies.filter((dependency) => runState.skipped[dependency])[0] :
+            undefined;
+        // Tasks which generated tasks are not cached, since their generated tasks would be lost.
+        const shouldCache = () => !runState.children[taskName];
+        const start = () => task.inputs && cacheStore && !runState.dryRun ?
+            this.runCached(task, taskName, dependencyResults, cacheStore, run, onCached, shouldCache) :
+            run();
+        const skip = () => {
+            fireStart();
+            skipped = true;
+            return Promise.resolve<any>(undefined);
+        };
+
+        // The when predicate is not called in a dry run.
+        const when = task.when;
+        let resultPromise: Promise<TaskResult>;
+        if (skippedDependency !== undefined) {
+            resultPromise = skip();
+        } else if (when && !runState.dryRun) {
+            resultPromise = Promise.resolve()
+                .then(() => when(dependencyResults))
+                .then((shouldRun) => shouldRun ? start() : skip());
+        } else {
+            resultPromise = start();
+        }
+
+        const onEnd = (result: TaskResult) => {
+            if (skipped) {
+                this.skipTask(taskName, runState, skippedDependency);
                 return {
-                    [taskName]: result
+                    [taskName]: undefined
                 };
-            })
-            .catch((e) => {
+            }
+
+            // Generated tasks, and the tasks generating them, are neither checkpointed nor reused when watching, so
+            // that the tasks generating them run again.
+            const generating = runState.generated[taskName] || runState.children[taskName];
+            if (generating) {
+                runState.transientResults[taskName] = result;
+            } else {
+                runState.results[taskName] = result;
+            }
+            if (runState.checkpoint && !runState.dryRun && !generating) {
+                try {
+                    runState.checkpoint.record(taskName, result);
+                } catch (e) {
+                    return onError(e);
+                }
+            }
+            const endTime = Date.now();
+            this.emitter.emit("taskEnd", {
+                runId: runState.runId,
+                taskName: taskName,
+                startTime: startTime,
+                endTime: endTime,
+                duration: endTime - startTime,
+                result: result,
+                cached: cached
+            });
+            if (this.options.onTaskEnd) {
+                this.options.onTaskEnd(taskName);
+            }
+
+            return {
+                [taskName]: result
+            };
+        };
+        const onError = (e: any): never => {
+            // A task whose wait for a retry was cut short by the abort of the run was cancelled rather than failed.
+            if (cancelled || e instanceof AbortError && runState.signal && runState.signal.aborted) {
+                this.cancelTask(taskName, runState, e, cause);
+            } else {
+                runState.failures.push({taskName: taskName, error: e});
                 if (this.options.onTaskFail) {
                     this.options.onTaskFail(taskName);
                 }
-                throw e;
+
+                const endTime = Date.now();
+                this.emitter.emit("taskFail", {
+                    runId: runState.runId,
+                    taskName: taskName,
+                    startTime: startTime,
+                    endTime: endTime,
+                    duration: endTime - startTime,
+                    error: e
+                });
+            }
+            throw e;
+        };
+
+        // A task only completes once every task it generated has settled, and is cancelled if any of them failed.
+        return resultPromise.then((result: TaskResult) => {
+            const generated = this.closeGeneration(taskName, runState);
+            return !generated ? onEnd(result) : generated.then((failure) => {
+                if (failure) {
+                    cancelled = true;
+                    cause = failure.taskName;
+                    return onError(failure.error);
+                }
+
+                return onEnd(result);
+            });
+        }, (e: any) => {
+            const generated = this.closeGeneration(taskName, runState);
+            return !generated ? onError(e) : generated.then(() => onError(e));
+        });
+    }
+
+    /**
+     * Runs a task through every middleware. The first middleware is called synchronously, so that a task without
+     * middleware starts as soon as it is executed.
+     */
+    private runMiddlewares(task: TaskInfo<any>, dependencyResults: TaskResult, runState: RunState,
+                           context: TaskContext): Promise<TaskResult> {
+        const middlewares = this.middlewares.slice();
+        const dispatch = (index: number): Promise<TaskResult> => {
+            if (index === middlewares.length) {
+                return task.task(dependencyResults, context);
+            }
+
+            const next = () => dispatch(index + 1);
+            try {
+                return Promise.resolve(middlewares[index](context.taskName, dependencyResults, next, context));
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        };
+
+        return dispatch(0);
+    }
+
+    /**
+     * Returns the tasks which a run of the given targets may execute, as recorded by a checkpoint.
+     */
+    private getCheckpointGraph(targets: string[]): CheckpointGraph {
+        const graph: CheckpointGraph = {};
+        for (const taskName of new TaskGraph(this.getTaskList()).getReachable(targets)) {
+            const task = this.taskMap[taskName];
+            graph[taskName] = {dependencies: task.dependencies, definition: task.definition};
+        }
+
+        return graph;
+    }
+
+    /**
+     * Creates the context passed to an attempt of a task, whose progress and log messages are emitted as events of
+     * this TaskRunner.
+     */
+    private createContext(taskName: string, runState: RunState, signal?: AbortSignalLike): TaskContext {
+        const log = (level: LogLevel) => (...args: any[]) => {
+            this.emitter.emit("taskLog", {
+                runId: runState.runId,
+                taskName: taskName,
+                level: level,
+                message: util.format.apply(util, <[any, ...any[]]> args),
+                time: Date.now()
+            });
+        };
+
+        return {
+            taskName: taskName,
+            runId: runState.runId,
+            signal: signal,
+            progress: (fraction: number, message?: string) => {
+                if (!(fraction >= 0 && fraction <= 1)) {
+                    throw new Error(`progress must be between 0 and 1, got '${fraction}'`);
+                }
+
+                if (this.options.onTaskProgress) {
+                    this.options.onTaskProgress(taskName, fraction, message);
+                }
+                this.emitter.emit("taskProgress", {
+                    runId: runState.runId,
+                    taskName: taskName,
+                    fraction: fraction,
+                    message: message,
+                    time: Date.now()
+                });
+            },
+            logger: {
+                debug: log("debug"),
+                info: log("info"),
+                warn: log("warn"),
+                error: log("error")
+            },
+            addTask: (generatedName: string, definition?: any, taskFunction?: any) => {
+                this.generateTask(taskName, generatedName, runState, definition, taskFunction);
+            }
+        };
+    }
+
+    /**
+     * Adds a task generated by a running task to its run, and starts running it. Throws an error if the task already
+     * exists, if the generating task has completed or may be retried, or if its options are invalid, and a
+     * ValidationError if it has a missing dependency or would introduce a cycle, such as by depending on the task
+     * generating it.
+     */
+    private generateTask(parentName: string, taskName: string, runState: RunState,
+                         definition?: TaskDefinition<any>, taskFunction?: Task<any>) {
+        if (taskName === null || taskName === undefined) {
+            throw new Error("Missing task name");
+        }
+        if (runState.completed[parentName]) {
+            throw new Error(`Task ${parentName} cannot add tasks after it has completed`);
+        }
+        // A retry would generate the same tasks again.
+        if ((this.taskMap[parentName] || runState.generated[parentName]).retryPolicy.hasRetries()) {
+            throw new Error(`Task ${parentName} cannot add tasks, since it may be retried`);
+        }
+        if (this.taskMap[taskName] || runState.generated[taskName]) {
+            throw new Error(`Task ${taskName} already exists.`);
+        }
+
+        const task = this.createTaskInfo(taskName, definition, taskFunction);
+        for (const resource of task.resources) {
+            const capacity = task.resourceCapacities[resource];
+            if (capacity && capacity !== this.getResourceCapacity(resource)) {
+                throw new Error(`Generated task ${taskName} cannot change the capacity of resource '${resource}'`);
+            }
+        }
+
+        // A task waits for the tasks it generated, so they are its dependencies as far as cycles are concerned.
+        const taskList = this.getTaskList();
+        for (const generatedName of Object.keys(runState.generated)) {
+            taskList[generatedName] = runState.generated[generatedName].dependencies.slice();
+        }
+        for (const generatingName of Object.keys(runState.children)) {
+            taskList[generatingName] = taskList[generatingName].concat(runState.children[generatingName]);
+        }
+        taskList[taskName] = task.dependencies;
+        taskList[parentName] = taskList[parentName].concat(taskName);
+
+        const result = new TaskGraph(taskList).validate([taskName]);
+        if (!result.valid) {
+            throw new ValidationError(result);
+        }
+
+        runState.generated[taskName] = task;
+        runState.children[parentName] = (runState.children[parentName] || []).concat(taskName);
+        this.emitter.emit("taskGenerate", {
+            runId: runState.runId,
+            taskName: taskName,
+            parent: parentName,
+            dependencies: task.dependencies.slice(),
+            time: Date.now()
+        });
+
+        // Failures are reported through the task generating it, which waits for it to settle.
+        this.runTask(taskName, runState).catch(() => undefined);
+    }
+
+    /**
+     * Stops the given task from generating further tasks. Returns null if it did not generate any, and otherwise a
+     * promise which resolves once all of them have settled, with the first one which failed, if any.
+     */
+    private closeGeneration(taskName: string, runState: RunState): Promise<TaskFailure | undefined> | null {
+        runState.completed[taskName] = true;
+        const children = runState.children[taskName];
+        if (!children) {
+            return null;
+        }
+
+        let failure: TaskFailure | undefined;
+        return Promise.all(children.map((child) => runState.promises[child].catch((error) => {
+            failure = failure || {taskName: child, error: error};
+        }))).then(() => failure);
+    }
+
+    /**
+     * Returns every task generated by the given task during a run, and by the tasks it generated in turn.
+     */
+    private getGeneratedTasks(taskName: string, runState: RunState): string[] {
+        let generated: string[] = [];
+        for (const child of runState.children[taskName] || []) {
+            generated = generated.concat(child, this.getGeneratedTasks(child, runState));
+        }
+
+        return generated;
+    }
+
+    /**
+     * Notifies listeners that a task was skipped, either because its when predicate was false or because one of its
+     * dependencies was skipped.
+     */
+    private skipTask(taskName: string, runState: RunState, cause?: string) {
+        runState.skipped[taskName] = true;
+        if (this.options.onTaskSkip) {
+            this.options.onTaskSkip(taskName);
+        }
+        this.emitter.emit("taskSkip", {runId: runState.runId, taskName: taskName, cause: cause, time: Date.now()});
+    }
+
+    /**
+     * Notifies listeners that a task will not be executed, either because of a failed dependency or an aborted run.
+     */
+    private cancelTask(taskName: string, runState: RunState, error: any, cause?: string) {
+        if (this.options.onTaskCancel) {
+            this.options.onTaskCancel(taskName);
+        }
+        this.emitter.emit("taskCancel", {
+            runId: runState.runId,
+            taskName: taskName,
+            cause: cause,
+            error: error,
+            time: Date.now()
+        });
+    }
+
+    /**
+     * Returns the cached result of the task if the fingerprint of its inputs and definition is unchanged, and runs it
+     * otherwise, caching its result unless shouldCache returns false once it has completed.
+     */
+    private runCached(task: TaskInfo<any>, taskName: string, dependencyResults: TaskResult, cacheStore: CacheStore,
+                      run: () => Promise<TaskResult>, onCached: (result: any) => void,
+                      shouldCache: () => boolean): Promise<TaskResult> {
+        const inputs = <TaskInputs> task.inputs;
+        return this.fingerprinter.fingerprint(inputs, dependencyResults, task.definition)
+            .then((fingerprint) => cacheStore.get(taskName).then((entry) => {
+                if (entry && entry.fingerprint === fingerprint) {
+                    onCached(entry.result);
+                    return entry.result;
+                }
+
+                return run().then((result) => {
+                    if (!shouldCache()) {
+                        return result;
+                    }
+
+                    return cacheStore.set(taskName, {fingerprint: fingerprint, result: result}).then(() => result);
+                });
+            }));
+    }
+
+    /**
+     * Starts an attempt of a task with a signal of its own, linked to the signal of the run. Once the timeout elapses,
+     * the signal is aborted, onTimeout is called with a promise which resolves once the attempt has settled, and the
+     * returned promise is rejected with a TimeoutError without waiting for it.
+     */
+    private withTimeout(taskName: string, timeout: number, runSignal: AbortSignalLike | undefined,
+                        start: (signal: AbortSignalLike) => Promise<TaskResult>,
+                        onTimeout: (settled: Promise<void>) => void): Promise<TaskResult> {
+        const signal = new LinkedAbortSignal(runSignal);
+        const promise = start(signal);
+        const settled = promise.then(() => signal.unlink(), () => signal.unlink());
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal.abort();
+                onTimeout(settled);
+                reject(new TimeoutError(taskName, timeout));
+            }, timeout);
+            promise.then((result) => {
+                clearTimeout(timer);
+                resolve(result);
+            }, (error) => {
+                clearTimeout(timer);
+                reject(error);
             });
+        });
+    }
+
+    /**
+     * Whether a task may wait in a queue once its dependencies have completed, in which case onTaskStart is fired when
+     * it actually starts rather than when it is reached.
+     */
+    private isQueued(task: TaskInfo<any>, runState: RunState): boolean {
+        return runState.limiter.isLimited() || (task.resources.length > 0 && !runState.dryRun);
+    }
+
+    /**
+     * Normalizes the resources declared by a task to a map of resource names to capacities, where 0 stands for a
+     * resource whose capacity the task does not declare. Throws an error if a capacity is invalid, or differs from the
+     * one declared by another task.
+     */
+    private getResourceCapacities(taskName: string, resources: string | string[] | { [resource: string]: number } = []):
+        { [resource: string]: number } {
+        const capacities: { [resource: string]: number } = {};
+        if (typeof resources === "string" || Array.isArray(resources)) {
+            for (const resource of typeof resources === "string" ? [resources] : resources) {
+                capacities[resource] = 0;
+            }
+            return capacities;
+        }
+
+        for (const resource of Object.keys(resources)) {
+            const capacity = resources[resource];
+            if (!(capacity >= 1) || Math.floor(capacity) !== capacity) {
+                throw new Error(`The capacity of resource '${resource}' must be a positive integer, got '${capacity}'`);
+            }
+            capacities[resource] = capacity;
+        }
+
+        this.throwIfCapacityConflicts(taskName, capacities);
+        return capacities;
+    }
+
+    /**
+     * Throws an error if any of the capacities declared by a task differs from the one declared for the same resource
+     * by another task.
+     */
+    private throwIfCapacityConflicts(taskName: string, capacities: { [resource: string]: number }) {
+        for (const resource of Object.keys(capacities)) {
+            const capacity = capacities[resource];
+            for (const otherName of Object.keys(this.taskMap)) {
+                const otherCapacity = this.taskMap[otherName].resourceCapacities[resource];
+                if (otherName !== taskName && capacity && otherCapacity && otherCapacity !== capacity) {
+                    throw new Error(
+                        `Resource '${resource}' already has capacity ${otherCapacity}, set by task ${otherName}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the capacity of a resource, as declared by any task using it. Defaults to 1.
+     */
+    private getResourceCapacity(resource: string): number {
+        for (const taskName of Object.keys(this.taskMap)) {
+            const capacity = this.taskMap[taskName].resourceCapacities[resource];
+            if (capacity) {
+                return capacity;
+            }
+        }
+
+        return 1;
+    }
+
+    /**
+     * Creates the entry of a task from any form of addTask. Throws an error if any of its options is invalid.
+     */
+    private createTaskInfo<T>(taskName: string, definition?: TaskDefinition<T>,
+                              taskFunction?: Task<T> | RegistryTask<T, any>): TaskInfo<any> {
+        // The typed forms only differ from the untyped ones at compile time.
+        let dependencies = <string | string[] | Task<T> | AnyTaskOptions | undefined> definition;
+        let task = <AnyTask<T> | undefined> taskFunction;
+        let taskOptions: AnyTaskOptions = {};
+        let optionalDependencies: string[] = [];
+        if (typeof dependencies === "function") {
+            task = dependencies;
+            dependencies = [];
+        } else if (typeof dependencies === "string") {
+            dependencies = [dependencies];
+        } else if (!dependencies) {
+            dependencies = [];
+        } else if (!Array.isArray(dependencies)) {
+            taskOptions = dependencies;
+            task = taskOptions.task;
+            dependencies = typeof taskOptions.dependencies === "string" ?
+                [taskOptions.dependencies] :
+                taskOptions.dependencies || [];
+            optionalDependencies = typeof taskOptions.optionalDependencies === "string" ?
+                [taskOptions.optionalDependencies] :
+                taskOptions.optionalDependencies || [];
+            dependencies = dependencies.concat(optionalDependencies.filter((dependency) => {
+                return (<string[]> dependencies).indexOf(dependency) === -1;
+            }));
+        }
+
+        if (taskOptions.timeout !== undefined && !(taskOptions.timeout > 0)) {
+            throw new Error(`timeout must be a positive number, got '${taskOptions.timeout}'`);
+        }
+        const resourceCapacities = this.getResourceCapacities(taskName, taskOptions.resources);
+        if (taskOptions.worker && task) {
+            throw new Error(`Task ${taskName} cannot have both a task function and a worker`);
+        }
+        if (taskOptions.worker && !taskOptions.worker.module) {
+            throw new Error(`Missing worker module for task ${taskName}`);
+        }
+
+        return {
+            taskName: taskName,
+            dependencies: dependencies,
+            optionalDependencies: optionalDependencies,
+            task: taskOptions.worker ? this.createWorkerTask(taskOptions.worker) :
+                isShellTask(task) ? this.createShellTask(task) :
+                task ? this.promisifier.wrap(task, taskOptions.style) : () => Promise.resolve({}),
+            definition: this.getDefinition(task, taskOptions),
+            timeout: taskOptions.timeout,
+            inputs: taskOptions.inputs,
+            watch: typeof taskOptions.watch === "string" ? [taskOptions.watch] : taskOptions.watch || [],
+            resources: Object.keys(resourceCapacities),
+            resourceCapacities: resourceCapacities,
+            when: taskOptions.when,
+            ifDependencySkipped: taskOptions.ifDependencySkipped || "run",
+            retryPolicy: new RetryPolicy(taskOptions.retries, taskOptions.backoff)
+        };
+    }
+
+    /**
+     * Returns the limiter shared by every run which does not override maxConcurrency, creating it on first use.
+     */
+    private getLimiter(): ConcurrencyLimiter {
+        if (!this.limiter) {
+            this.limiter = new ConcurrencyLimiter(this.options.maxConcurrency);
+        }
+
+        return this.limiter;
+    }
+
+    /**
+     * Returns the source of a task's definition, which identifies it in checkpoints and cache fingerprints.
+     */
+    private getDefinition(task: AnyTask<any> | undefined, taskOptions: AnyTaskOptions): string {
+        if (taskOptions.worker) {
+            return `worker:${path.resolve(taskOptions.worker.module)}#${taskOptions.worker.exportName || "default"}`;
+        } else if (isShellTask(task)) {
+            return `shell:${task.command}`;
+        }
+
+        return task ? String(task) : "";
+    }
+
+    /**
+     * Creates the function of a task which runs in a worker thread. The worker pool is created on first use, and shared
+     * by every run. The worker is terminated once the signal of the attempt is aborted.
+     */
+    private createWorkerTask(worker: WorkerTaskOptions): TaskInfo<any>["task"] {
+        const modulePath = path.resolve(worker.module);
+        const exportName = worker.exportName || "default";
+
+        return (results: TaskResult, context?: TaskContext) => {
+            if (!this.workerPool) {
+                this.workerPool = new WorkerPool(this.options.workerPoolSize !== undefined ?
+                    this.options.workerPoolSize :
+                    os.cpus().length);
+            }
+
+            return this.workerPool.run(modulePath, exportName, results, context && context.signal);
+        };
+    }
+
+    /**
+     * Creates the function of a task which runs a shell command, prefixing its output with the name the task runs
+     * under, which includes the namespace of a mounted task.
+     */
+    private createShellTask(task: ShellTask): TaskInfo<any>["task"] {
+        return (results: TaskResult, context?: TaskContext) => {
+            return task.command.run(context && context.taskName, context && context.signal);
+        };
+    }
+
+    /**
+     * Normalizes a task name, or list of task names, to a list. Throws an error if any of them does not exist.
+     */
+    private getExistingTaskNames(graph: TaskGraph, taskName: string | string[]): string[] {
+        const taskNames = typeof taskName === "string" ? [taskName] : taskName;
+        for (const name of taskNames) {
+            if (!graph.hasTask(name)) {
+                throw new Error(`Task '${name}' not found`);
+            }
+        }
+
+        return taskNames;
+    }
+
+    /**
+     * In strict mode, throws a ValidationError if setting the dependencies of the given tasks would leave any of them
+     * with a missing dependency or in a cycle.
+     */
+    private throwIfInvalid(changes: { [taskName: string]: string[] }) {
+        if (!this.options.strict) {
+            return;
+        }
+
+        const taskList = this.getTaskList();
+        for (const taskName of Object.keys(changes)) {
+            taskList[taskName] = changes[taskName];
+        }
+
+        const result = new TaskGraph(taskList).validate(Object.keys(changes));
+        if (!result.valid) {
+            throw new ValidationError(result);
+        }
+    }
+
+    /**
+     * Copies a task for mounting under the given prefix. Its functions receive the results of dependencies with the
+     * same prefix under their original names.
+     */
+    private mountTask(prefix: string, task: TaskInfo<any>): TaskInfo<any> {
+        const localize = (results: TaskResult): TaskResult => {
+            const localResults: TaskResult = {};
+            for (const taskName in results) {
+                /* istanbul ignore else */
+                if (results.hasOwnProperty(taskName)) {
+                    const isLocal = taskName.indexOf(prefix) === 0;
+                    localResults[isLocal ? taskName.slice(prefix.length) : taskName] = results[taskName];
+                }
+            }
+
+            return localResults;
+        };
+        const addPrefix = (taskName: string) => prefix + taskName;
+
+        const when = task.when;
+        const inputs = task.inputs;
+        const key = inputs && inputs.key;
+        return {
+            taskName: addPrefix(task.taskName),
+            dependencies: task.dependencies.map(addPrefix),
+            optionalDependencies: task.optionalDependencies.map(addPrefix),
+            task: (results, context) => task.task(localize(results), context),
+            definition: task.definition,
+            timeout: task.timeout,
+            inputs: inputs && key ? {...inputs, key: (results: TaskResult) => key(localize(results))} : inputs,
+            watch: task.watch,
+            resources: task.resources,
+            resourceCapacities: task.resourceCapacities,
+            when: when && ((results: TaskResult) => when(localize(results))),
+            ifDependencySkipped: task.ifDependencySkipped,
+            retryPolicy: task.retryPolicy
+        };
     }
 
     private throwIfInProgress() {
-        if (this.execInProgress) {
+        if (this.activeRunCount > 0) {
             throw new Error(`You cannot modify the task tree while execution is in progress.`);
         }
     }
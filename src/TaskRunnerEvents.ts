@@ -0,0 +1,197 @@
+import { LogLevel } from "./TaskContext";
+
+/**
+ * Properties shared by every task event.
+ */
+interface TaskEvent {
+
+    /**
+     * Identifies the run the task belongs to. Unique within a TaskRunner.
+     */
+    runId: number;
+
+    /**
+     * The unique name of the task.
+     */
+    taskName: string;
+}
+
+/**
+ * Emitted when a task starts executing, after its dependencies have completed.
+ */
+interface TaskStartEvent extends TaskEvent {
+    dependencies: string[];
+    startTime: number;
+
+    /**
+     * The time in milliseconds the task waited for its resources, if any.
+     */
+    waitTime: number;
+}
+
+/**
+ * Emitted when a running task generates a task through its context, before the generated task starts.
+ */
+interface TaskGenerateEvent extends TaskEvent {
+
+    /**
+     * The task which generated it.
+     */
+    parent: string;
+    dependencies: string[];
+    time: number;
+}
+
+/**
+ * Emitted when a task has to wait for resources held by other tasks before it can start.
+ */
+interface TaskWaitEvent extends TaskEvent {
+    resources: string[];
+    time: number;
+}
+
+/**
+ * Emitted when a task has completed, whether it was executed or its result came from the cache.
+ */
+interface TaskEndEvent extends TaskEvent {
+    startTime: number;
+    endTime: number;
+    duration: number;
+    result: any;
+    cached: boolean;
+}
+
+/**
+ * Emitted when a task has failed, after its last retry.
+ */
+interface TaskFailEvent extends TaskEvent {
+    startTime: number;
+    endTime: number;
+    duration: number;
+    error: any;
+}
+
+/**
+ * Emitted when a task will not be executed because one of its dependencies failed or the run was aborted.
+ */
+interface TaskCancelEvent extends TaskEvent {
+
+    /**
+     * The dependency whose failure caused the cancellation. Undefined if the run was aborted.
+     */
+    cause?: string;
+    error: any;
+    time: number;
+}
+
+/**
+ * Emitted before a failed task is retried.
+ */
+interface TaskRetryEvent extends TaskEvent {
+
+    /**
+     * The retry about to be made, starting at 1 for the first retry.
+     */
+    retry: number;
+    error: any;
+}
+
+/**
+ * Emitted when a task is skipped because its result was found in the cache.
+ */
+interface TaskCachedEvent extends TaskEvent {
+    result: any;
+}
+
+/**
+ * Emitted when a task is skipped, because its when predicate was false or because one of its dependencies was skipped.
+ */
+interface TaskSkipEvent extends TaskEvent {
+
+    /**
+     * The skipped dependency which caused this task to be skipped. Undefined if its when predicate was false.
+     */
+    cause?: string;
+    time: number;
+}
+
+/**
+ * Emitted when a task reports its progress through its context.
+ */
+interface TaskProgressEvent extends TaskEvent {
+
+    /**
+     * How much of the task is done, between 0 and 1.
+     */
+    fraction: number;
+    message?: string;
+    time: number;
+}
+
+/**
+ * Emitted when a task logs a message through the logger of its context.
+ */
+interface TaskLogEvent extends TaskEvent {
+    level: LogLevel;
+    message: string;
+    time: number;
+}
+
+/**
+ * Emitted when a run starts.
+ */
+interface RunStartEvent {
+    runId: number;
+    taskNames: string[];
+    startTime: number;
+}
+
+/**
+ * Emitted when a run has completed, with either the result of the run or the error it was rejected with.
+ */
+interface RunEndEvent {
+    runId: number;
+    taskNames: string[];
+    startTime: number;
+    endTime: number;
+    duration: number;
+    result?: any;
+    error?: any;
+}
+
+/**
+ * Maps the name of each event emitted by a TaskRunner to the type of its payload.
+ */
+interface TaskRunnerEvents {
+    runStart: RunStartEvent;
+    runEnd: RunEndEvent;
+    taskStart: TaskStartEvent;
+    taskEnd: TaskEndEvent;
+    taskFail: TaskFailEvent;
+    taskCancel: TaskCancelEvent;
+    taskRetry: TaskRetryEvent;
+    taskCached: TaskCachedEvent;
+    taskSkip: TaskSkipEvent;
+    taskProgress: TaskProgressEvent;
+    taskLog: TaskLogEvent;
+    taskWait: TaskWaitEvent;
+    taskGenerate: TaskGenerateEvent;
+}
+
+export {
+    RunEndEvent,
+    RunStartEvent,
+    TaskCachedEvent,
+    TaskCancelEvent,
+    TaskEndEvent,
+    TaskEvent,
+    TaskFailEvent,
+    TaskGenerateEvent,
+    TaskLogEvent,
+    TaskProgressEvent,
+    TaskRetryEvent,
+    TaskRunnerEvents,
+    TaskSkipEvent,
+    TaskStartEvent,
+    TaskWaitEvent
+};
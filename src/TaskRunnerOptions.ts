@@ -1,10 +1,13 @@
+import { CacheStore } from "./CacheStore";
+
 /**
  * Options to be used to configure a TaskRunner.
  */
 interface Options {
 
     /**
-     * An optional callback which will be fired before each task is executed.
+     * An optional callback which will be fired before each task is executed. If maxConcurrency is set, this is fired
+     * once the task has left the queue and actually starts executing, or is skipped or found in the cache.
      *
      * @param {string} taskName
      */
@@ -18,12 +21,56 @@ interface Options {
     onTaskEnd?: (taskName: string) => void;
 
     /**
-     * An optional callback which will be fired after a task has failed.
+     * An optional callback which will be fired when a task is skipped because its result was found in the cache. This
+     * is fired instead of running the task, and before onTaskEnd.
+     *
+     * @param {string} taskName
+     */
+    onTaskCached?: (taskName: string) => void;
+
+    /**
+     * An optional callback which will be fired when a task is skipped, because its when predicate was false or because
+     * one of its dependencies was skipped. Skipped tasks do not fire onTaskEnd.
+     *
+     * @param {string} taskName
+     */
+    onTaskSkip?: (taskName: string) => void;
+
+    /**
+     * An optional callback which will be fired after a task has failed. For tasks with retries, this is only fired once
+     * the last retry has failed.
      *
      * @param {string} taskName
      */
     onTaskFail?: (taskName: string) => void;
 
+    /**
+     * An optional callback which will be fired before a failed task is retried.
+     *
+     * @param {string} taskName
+     * @param {number} retry - The retry about to be made, starting at 1 for the first retry.
+     * @param {any} error - The error the previous attempt failed with.
+     */
+    onTaskRetry?: (taskName: string, retry: number, error: any) => void;
+
+    /**
+     * An optional callback which will be fired when a task has to wait for resources held by other tasks before it can
+     * start. onTaskStart is fired once it has acquired them.
+     *
+     * @param {string} taskName
+     * @param {string[]} resources - The resources the task needs.
+     */
+    onTaskWait?: (taskName: string, resources: string[]) => void;
+
+    /**
+     * An optional callback which will be fired when a task reports its progress through its context.
+     *
+     * @param {string} taskName
+     * @param {number} fraction - How much of the task is done, between 0 and 1.
+     * @param {string} message - An optional description of the current step.
+     */
+    onTaskProgress?: (taskName: string, fraction: number, message?: string) => void;
+
     /**
      * An optional callback which will be fired after each task has been cancelled. A task will be cancelled if a 
      * depenendent task fails, preventing it from running.
@@ -37,6 +84,38 @@ interface Options {
      * throwOnOverwrite is set to false.
      */
     throwOnOverwrite?: boolean;
+
+    /**
+     * In strict mode, addTask and addDependencies throw a ValidationError if a dependency does not exist yet or the
+     * change would introduce a cycle, instead of leaving the problem to be found by run. Dependencies must therefore be
+     * added before the tasks that depend on them. Defaults to false.
+     */
+    strict?: boolean;
+
+    /**
+     * The maximum number of tasks which may execute at the same time, across all runs in progress. Tasks whose
+     * dependencies have completed are queued until a slot frees up. Defaults to no limit.
+     */
+    maxConcurrency?: number;
+
+    /**
+     * The maximum number of worker threads used to run tasks defined with the "worker" option. Workers are started as
+     * needed and shared by every run. Defaults to the number of CPUs.
+     */
+    workerPoolSize?: number;
+
+    /**
+     * By default, a run is rejected as soon as a task fails. If failFast is false, every task which does not depend on
+     * a failed task keeps running, tasks which do are cancelled, and the run is then rejected with a RunFailedError
+     * listing every failure. Defaults to true.
+     */
+    failFast?: boolean;
+
+    /**
+     * An optional store for the results of tasks which declare inputs. Use a MemoryCacheStore to reuse results between
+     * runs of the same process, or a FileCacheStore to reuse them between processes. Without a store, nothing is cached.
+     */
+    cacheStore?: CacheStore;
 }
 
 export { Options };
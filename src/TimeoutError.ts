@@ -0,0 +1,19 @@
+/**
+ * The error a task attempt is rejected with when it does not complete within the timeout configured for the task.
+ */
+class TimeoutError extends Error {
+    readonly taskName: string;
+    readonly timeout: number;
+
+    constructor(taskName: string, timeout: number) {
+        super(`Task '${taskName}' timed out after ${timeout}ms`);
+        this.name = "TimeoutError";
+        this.taskName = taskName;
+        this.timeout = timeout;
+
+        // Restore the prototype chain, which is lost when extending built-ins with an ES5 target.
+        Object.setPrototypeOf(this, TimeoutError.prototype);
+    }
+}
+
+export { TimeoutError };
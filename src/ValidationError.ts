@@ -0,0 +1,24 @@
+import { ValidationResult } from "./ValidationResult";
+
+/**
+ * The error thrown when the task tree is invalid, such as when a change would introduce a missing dependency or a cycle
+ * while the TaskRunner is in strict mode.
+ */
+class ValidationError extends Error {
+    readonly result: ValidationResult;
+
+    constructor(result: ValidationResult) {
+        const problems = result.missingDependencies
+            .map((missing) => `task '${missing.taskName}' depends on missing task '${missing.dependency}'`)
+            .concat(result.cycles.map((cycle) => `cycle ${cycle.join(" -> ")}`));
+
+        super(`Invalid task tree: ${problems.join("; ")}`);
+        this.name = "ValidationError";
+        this.result = result;
+
+        // Restore the prototype chain, which is lost when extending built-ins with an ES5 target.
+        Object.setPrototypeOf(this, ValidationError.prototype);
+    }
+}
+
+export { ValidationError };
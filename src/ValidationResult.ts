@@ -0,0 +1,39 @@
+/**
+ * A dependency which points to a task that does not exist.
+ */
+interface MissingDependency {
+
+    /**
+     * The task which depends on the missing task.
+     */
+    taskName: string;
+
+    /**
+     * The name of the missing task.
+     */
+    dependency: string;
+}
+
+/**
+ * The result of validating a task tree.
+ */
+interface ValidationResult {
+
+    /**
+     * True if there are no missing dependencies and no cycles.
+     */
+    valid: boolean;
+
+    /**
+     * Every dependency which points to a task that does not exist, along with the task that references it.
+     */
+    missingDependencies: MissingDependency[];
+
+    /**
+     * Every cycle as its ordered path, starting and ending with the same task. For example, ["a", "b", "a"] means
+     * that "a" depends on "b", which depends on "a".
+     */
+    cycles: string[][];
+}
+
+export { MissingDependency, ValidationResult };
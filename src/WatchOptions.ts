@@ -0,0 +1,34 @@
+/**
+ * Options to be used to configure a call to TaskRunner.watch.
+ */
+interface WatchOptions {
+
+    /**
+     * The time in milliseconds to wait for further changes before re-running the affected tasks. Defaults to 100.
+     */
+    debounce?: number;
+
+    /**
+     * The maximum number of tasks which may execute at the same time during each run. Overrides the maxConcurrency
+     * option of the TaskRunner.
+     */
+    maxConcurrency?: number;
+
+    /**
+     * Whether each run is rejected as soon as a task fails. Overrides the failFast option of the TaskRunner.
+     */
+    failFast?: boolean;
+}
+
+/**
+ * A handle to a watch started with TaskRunner.watch.
+ */
+interface WatchHandle {
+
+    /**
+     * Stops watching for changes. Returns a promise which resolves once the run in progress, if any, has completed.
+     */
+    stop(): Promise<void>;
+}
+
+export { WatchHandle, WatchOptions };
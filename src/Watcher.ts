@@ -0,0 +1,253 @@
+import * as fs from "fs";
+import * as path from "path";
+import { FileMatcher } from "./FileMatcher";
+
+type WatchFunction = (directory: string, options: { recursive: boolean },
+                      listener: (eventType: string, filename: string | null) => void) => fs.FSWatcher;
+
+/**
+ * A directory being watched, and whether its watcher also reports changes in its subdirectories.
+ */
+interface WatchedDirectory {
+    watcher: fs.FSWatcher;
+    recursive: boolean;
+}
+
+/**
+ * Directories which are not walked into where subdirectories have to be watched one by one.
+ */
+const UNWALKED_DIRECTORIES = ["node_modules", ".git"];
+
+/**
+ * Watches the paths declared by a set of tasks and reports which tasks are affected by file changes. Changes are
+ * debounced, so that a burst of changes, such as saving many files at once, is reported only once.
+ *
+ * The base directory of each path is watched along with its subdirectories, and only the directory containing it for a
+ * path to an existing file. Where fs.watch does not support recursive watching, such as on Linux before Node.js 20,
+ * every subdirectory is watched on its own, except for node_modules and .git, and directories created later are
+ * watched as they appear. For a path whose base does not exist yet, only its nearest existing ancestor is watched,
+ * without its subdirectories, until the base is created.
+ */
+class Watcher {
+    private paths: { [taskName: string]: string[] };
+    private delay: number;
+    private onChange: (taskNames: string[]) => void;
+    private fileMatcher: FileMatcher;
+    private watchFunction: WatchFunction;
+
+    private watched: { [directory: string]: WatchedDirectory } = {};
+    private recursiveUnavailable = false;
+    private changed: { [taskName: string]: boolean } = {};
+    private timer: any = null;
+
+    /**
+     * @param paths - A map of task names to the file paths and glob patterns they watch.
+     * @param delay - The time in milliseconds to wait for further changes before reporting them.
+     * @param onChange - Called with the names of the tasks whose paths changed.
+     */
+    constructor(paths: { [taskName: string]: string[] }, delay: number, onChange: (taskNames: string[]) => void,
+                fileMatcher = new FileMatcher(), watchFunction: WatchFunction = fs.watch) {
+        this.paths = paths;
+        this.delay = delay;
+        this.onChange = onChange;
+        this.fileMatcher = fileMatcher;
+        this.watchFunction = watchFunction;
+    }
+
+    /**
+     * Starts watching. Throws if a directory cannot be watched, after closing the watchers already started.
+     */
+    start(): void {
+        try {
+            this.update();
+        } catch (e) {
+            this.stop();
+            throw e;
+        }
+    }
+
+    /**
+     * Stops watching. Changes which have not been reported yet are discarded.
+     */
+    stop(): void {
+        for (const directory of Object.keys(this.watched)) {
+            this.watched[directory].watcher.close();
+        }
+        this.watched = {};
+
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.changed = {};
+    }
+
+    /**
+     * Starts watching every directory the paths need which is not watched yet, such as a directory which was created
+     * since the last update.
+     */
+    private update() {
+        // Whether each directory is watched recursively, which it is if any path needs it to be.
+        const directories: { [directory: string]: boolean } = {};
+        this.forEachPattern((pattern) => {
+            const { directory, recursive } = this.getDirectory(pattern);
+            directories[directory] = directories[directory] || recursive;
+        });
+
+        for (const directory of Object.keys(directories)) {
+            if (!directories[directory]) {
+                this.watchDirectory(directory, false);
+            } else if (!this.watchDirectory(directory, true)) {
+                for (const subdirectory of this.getSubdirectories(directory)) {
+                    this.watchDirectory(subdirectory, false);
+                }
+            }
+        }
+    }
+
+    /**
+     * Watches the directory unless it is already watched, as recursively as requested. A directory watched without its
+     * subdirectories is watched again if they are needed.
+     *
+     * @returns Whether the subdirectories are watched, which they are not where recursive watching is unavailable.
+     */
+    private watchDirectory(directory: string, recursive: boolean): boolean {
+        recursive = recursive && !this.recursiveUnavailable;
+        const existing = this.watched[directory];
+        if (existing && (existing.recursive || !recursive)) {
+            return existing.recursive;
+        }
+
+        const listener = (eventType: string, filename: string | null) => this.handleChange(directory, filename);
+        let watcher: fs.FSWatcher;
+        try {
+            watcher = this.watchFunction(directory, {recursive: recursive}, listener);
+        } catch (e) {
+            if (!recursive || !e || e.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+                throw e;
+            }
+
+            this.recursiveUnavailable = true;
+            return this.watchDirectory(directory, false);
+        }
+
+        if (existing) {
+            existing.watcher.close();
+        }
+        this.watched[directory] = {watcher: watcher, recursive: recursive};
+        return recursive;
+    }
+
+    private handleChange(directory: string, filename: string | null) {
+        const file = filename ? path.join(directory, filename) : null;
+        this.forEachPattern((pattern, taskName) => {
+            const affected = file ?
+                this.fileMatcher.matches(pattern, file) :
+                this.isWatchedFor(pattern, directory);
+            if (affected) {
+                this.changed[taskName] = true;
+            }
+        });
+
+        // A new directory may need watching, either as the base of a path or as a subdirectory of one.
+        const stats = file ? this.stat(file) : null;
+        if (stats && stats.isDirectory()) {
+            try {
+                this.update();
+            } catch (e) {
+                // The directory is no longer watchable, such as when it is removed again right away.
+            }
+        }
+
+        if (Object.keys(this.changed).length > 0) {
+            if (this.timer !== null) {
+                clearTimeout(this.timer);
+            }
+            this.timer = setTimeout(() => {
+                const taskNames = Object.keys(this.changed);
+                this.changed = {};
+                this.timer = null;
+                this.onChange(taskNames);
+            }, this.delay);
+        }
+    }
+
+    private forEachPattern(callback: (pattern: string, taskName: string) => void) {
+        for (const taskName in this.paths) {
+            /* istanbul ignore else */
+            if (this.paths.hasOwnProperty(taskName)) {
+                for (const pattern of this.paths[taskName]) {
+                    callback(pattern, taskName);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether the directory is watched for the pattern: either the directory watched for it, or one of its
+     * subdirectories.
+     */
+    private isWatchedFor(pattern: string, directory: string): boolean {
+        const watched = this.getDirectory(pattern);
+        const relative = path.relative(watched.directory, directory);
+        return relative === "" ||
+            (watched.recursive && relative.indexOf("..") !== 0 && !path.isAbsolute(relative));
+    }
+
+    /**
+     * Returns the directory to watch for a pattern, and whether its subdirectories are watched too: its base if it is
+     * an existing directory, the directory containing it if it is an existing file, and otherwise its nearest existing
+     * ancestor, without its subdirectories.
+     */
+    private getDirectory(pattern: string): { directory: string, recursive: boolean } {
+        const base = this.fileMatcher.getBase(pattern);
+        let directory = base;
+        for (;;) {
+            const stats = this.stat(directory);
+            if (stats && stats.isDirectory()) {
+                return {directory: directory, recursive: directory === base};
+            } else if (stats) {
+                return {directory: path.dirname(directory), recursive: false};
+            }
+
+            const parent = path.dirname(directory);
+            if (parent === directory) {
+                return {directory: directory, recursive: false};
+            }
+            directory = parent;
+        }
+    }
+
+    /**
+     * Returns every subdirectory below the directory, skipping the contents of UNWALKED_DIRECTORIES.
+     */
+    private getSubdirectories(directory: string): string[] {
+        let entries: string[];
+        try {
+            entries = fs.readdirSync(directory);
+        } catch (e) {
+            return [];
+        }
+
+        const subdirectories: string[] = [];
+        for (const entry of entries) {
+            const subdirectory = path.join(directory, entry);
+            const stats = this.stat(subdirectory);
+            if (stats && stats.isDirectory() && UNWALKED_DIRECTORIES.indexOf(entry) === -1) {
+                subdirectories.push(subdirectory, ...this.getSubdirectories(subdirectory));
+            }
+        }
+
+        return subdirectories;
+    }
+
+    private stat(file: string): fs.Stats | null {
+        try {
+            return fs.statSync(file);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+export { Watcher };
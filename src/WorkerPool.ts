@@ -0,0 +1,243 @@
+import { Worker } from "worker_threads";
+import { AbortError } from "./AbortError";
+import { AbortSignalLike } from "./AbortSignalLike";
+import { TaskResult } from "./TaskResult";
+
+/**
+ * Loads the Worker class once a worker is started, rather than along with this module, so that versions of Node.js
+ * without worker_threads can load tasker-lib as long as they do not run worker tasks.
+ */
+const loadWorker = (): typeof Worker => {
+    try {
+        return require("worker_threads").Worker;
+    } catch (e) {
+        throw new Error(`Worker tasks need worker_threads, which is not available in Node.js ${process.version}`);
+    }
+};
+
+/**
+ * The script run by every worker. Loads the requested module, calls the export with the dependency results and posts
+ * back the result, or the error it failed with.
+ */
+const WORKER_SCRIPT = `
+const { parentPort } = require("worker_threads");
+parentPort.on("message", (job) => {
+    Promise.resolve()
+        .then(() => {
+            const exports = require(job.modulePath);
+            const fn = job.exportName === "default" && typeof exports === "function" ?
+                exports :
+                exports[job.exportName];
+            if (typeof fn !== "function") {
+                throw new Error("Export '" + job.exportName + "' of '" + job.modulePath + "' is not a function");
+            }
+            return fn(job.results);
+        })
+        .then((result) => parentPort.postMessage({ result: result }), (error) => {
+            parentPort.postMessage({
+                error: error instanceof Error ?
+                    { name: error.name, message: error.message, stack: error.stack } :
+                    { message: String(error) }
+            });
+        });
+});
+`;
+
+interface Job {
+    modulePath: string;
+    exportName: string;
+    results: TaskResult;
+    resolve: (result: any) => void;
+    reject: (error: any) => void;
+}
+
+/**
+ * A message posted back by a worker once a job has settled.
+ */
+interface WorkerMessage {
+    result?: any;
+    error?: { name?: string, message: string, stack?: string };
+}
+
+interface PooledWorker {
+    worker: Worker;
+    job: Job | null;
+}
+
+/**
+ * Runs functions exported by modules in a pool of worker threads, so that CPU-bound work does not block the main event
+ * loop. Workers are started as needed, up to the size of the pool, and reused for later jobs. Jobs wait in a FIFO queue
+ * while every worker is busy.
+ *
+ * Arguments and results are passed by structured cloning, so they cannot contain functions. Idle workers do not keep
+ * the process alive, and a worker which crashes is replaced.
+ */
+class WorkerPool {
+    private size: number;
+    private workers: PooledWorker[] = [];
+    private idle: PooledWorker[] = [];
+    private queue: Job[] = [];
+
+    /**
+     * @param size - The maximum number of workers. Must be a positive integer.
+     */
+    constructor(size: number) {
+        if (!(size >= 1) || Math.floor(size) !== size) {
+            throw new Error(`workerPoolSize must be a positive integer, got '${size}'`);
+        }
+
+        this.size = size;
+    }
+
+    /**
+     * Calls an exported function of a module in a worker. The function may return a value or a promise.
+     *
+     * @param modulePath - The absolute path of the module.
+     * @param exportName - The name of the exported function. "default" also matches a module which is itself a
+     * function.
+     * @param results - The argument to call the function with.
+     * @param signal - An optional signal which removes the job from the queue, or terminates the worker running it,
+     * once aborted.
+     * @returns A promise for the result of the function, rejected with its error if it fails, or with an AbortError if
+     * it is aborted.
+     */
+    run(modulePath: string, exportName: string, results: TaskResult, signal?: AbortSignalLike): Promise<any> {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError("The worker job was aborted"));
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                const queueIndex = this.queue.indexOf(job);
+                if (queueIndex !== -1) {
+                    this.queue.splice(queueIndex, 1);
+                }
+
+                // The worker is replaced once it has exited.
+                const pooled = this.workers.filter((worker) => worker.job === job)[0];
+                if (pooled) {
+                    pooled.job = null;
+                    pooled.worker.terminate();
+                }
+                job.reject(new AbortError("The worker job was aborted"));
+            };
+            const settle = (callback: (value: any) => void) => (value: any) => {
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                callback(value);
+            };
+            const job: Job = {
+                modulePath: modulePath,
+                exportName: exportName,
+                results: results,
+                resolve: settle(resolve),
+                reject: settle(reject)
+            };
+
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+            this.queue.push(job);
+            this.next();
+        });
+    }
+
+    /**
+     * Stops every worker. Jobs in progress are rejected, and later jobs start new workers.
+     */
+    terminate(): Promise<void> {
+        return Promise.all(this.workers.map((pooled) => pooled.worker.terminate())).then(() => undefined);
+    }
+
+    private next() {
+        while (this.queue.length > 0) {
+            let pooled = this.idle.pop();
+            if (!pooled) {
+                if (this.workers.length >= this.size) {
+                    return;
+                }
+
+                try {
+                    pooled = this.spawn();
+                } catch (e) {
+                    (<Job> this.queue.shift()).reject(e);
+                    continue;
+                }
+            }
+
+            this.execute(pooled, <Job> this.queue.shift());
+        }
+    }
+
+    private spawn(): PooledWorker {
+        const pooled: PooledWorker = {
+            worker: new (loadWorker())(WORKER_SCRIPT, {eval: true}),
+            job: null
+        };
+
+        pooled.worker.on("message", (message: WorkerMessage) => {
+            // A worker terminated because its job was aborted may still deliver the result of the job.
+            const job = pooled.job;
+            if (!job) {
+                return;
+            }
+            pooled.job = null;
+            pooled.worker.unref();
+            this.idle.push(pooled);
+
+            if (message.error) {
+                const error = new Error(message.error.message);
+                error.name = message.error.name || error.name;
+                error.stack = message.error.stack || error.stack;
+                job.reject(error);
+            } else {
+                job.resolve(message.result);
+            }
+            this.next();
+        });
+        pooled.worker.on("error", (error) => {
+            // The worker exits after an uncaught error, and is replaced then.
+            const job = pooled.job;
+            pooled.job = null;
+            if (job) {
+                job.reject(error);
+            }
+        });
+        pooled.worker.on("exit", (exitCode) => {
+            this.workers.splice(this.workers.indexOf(pooled), 1);
+            const idleIndex = this.idle.indexOf(pooled);
+            if (idleIndex !== -1) {
+                this.idle.splice(idleIndex, 1);
+            }
+
+            const job = pooled.job;
+            pooled.job = null;
+            if (job) {
+                job.reject(new Error(`The worker stopped with exit code ${exitCode}`));
+            }
+            this.next();
+        });
+
+        this.workers.push(pooled);
+        return pooled;
+    }
+
+    private execute(pooled: PooledWorker, job: Job) {
+        const { modulePath, exportName, results } = job;
+        try {
+            pooled.worker.postMessage({modulePath: modulePath, exportName: exportName, results: results});
+        } catch (e) {
+            // A worker which was just started is still referenced, and would keep the process alive.
+            pooled.worker.unref();
+            this.idle.push(pooled);
+            job.reject(e);
+            return;
+        }
+
+        pooled.job = job;
+        pooled.worker.ref();
+    }
+}
+
+export { WorkerPool };
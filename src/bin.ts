@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { Cli } from "./Cli";
+
+new Cli().run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+});
@@ -1,3 +1,23 @@
+import { AbortError } from "./AbortError";
+import { CheckpointError } from "./CheckpointError";
+import { FileCacheStore } from "./FileCacheStore";
+import { MemoryCacheStore } from "./MemoryCacheStore";
+import { RunFailedError } from "./RunFailedError";
+import { ShellCommandError } from "./ShellCommandError";
+import { shell } from "./ShellTask";
 import { TaskRunner } from "./TaskRunner";
+import { TimeoutError } from "./TimeoutError";
+import { ValidationError } from "./ValidationError";
 
-export { TaskRunner };
+export {
+    AbortError,
+    CheckpointError,
+    FileCacheStore,
+    MemoryCacheStore,
+    RunFailedError,
+    shell,
+    ShellCommandError,
+    TaskRunner,
+    TimeoutError,
+    ValidationError
+};
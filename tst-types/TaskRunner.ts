@@ -0,0 +1,111 @@
+// Type tests for TaskRunner, checked by tst/Types.test.ts. Every line following a "$ExpectError" comment must fail to
+// compile, and every other line must compile.
+import { TaskContext } from "../src/TaskContext";
+import { TaskRunner } from "../src/TaskRunner";
+
+interface Registry {
+    clean: void;
+    compile: string[];
+    bundle: { size: number };
+    report: string;
+}
+
+const typed = new TaskRunner<Registry>();
+
+typed.addTask("clean");
+typed.addTask("compile", () => ["a.js"]);
+typed.addTask("compile", () => Promise.resolve(["a.js"]));
+typed.addTask("compile", (results, done) => done(["a.js"]));
+typed.addTask("bundle", "compile", (results) => ({size: results.compile.length}));
+typed.addTask("bundle", ["clean", "compile"], (results) => ({size: results.compile.length}));
+typed.addTask("report", {
+    dependencies: "bundle",
+    optionalDependencies: ["compile"],
+    retries: 2,
+    task: (results) => `${results.bundle.size} ${results.compile ? results.compile.length : 0}`
+});
+typed.addTask("report", {dependencies: "bundle", when: (results) => results.bundle.size > 0, ifDependencySkipped: "skip"});
+typed.addTask("compile", (results, done) => done(["a.js"]));
+typed.addTask("compile", {style: "callback", task: (results, done, context) => done([context.taskName])});
+typed.addTask("report", {style: "callback", task: (results, ...args: any[]) => args[0]("report")});
+typed.addTask("report", {style: "sync", task: (results, context) => context.taskName});
+typed.addTask("report", {
+    dependencies: "bundle",
+    style: "promise",
+    task: (results, context) => Promise.resolve(`${results.bundle.size} ${context.runId}`)
+});
+
+// $ExpectError
+typed.addTask("missing", () => 1);
+// $ExpectError
+typed.addTask("compile", () => "a.js");
+// $ExpectError
+typed.addTask("bundle", ["missing"], () => ({size: 1}));
+// $ExpectError
+typed.addTask("bundle", ["clean"], (results) => ({size: results.compile.length}));
+// $ExpectError
+typed.addTask("report", {dependencies: ["missing"]});
+// $ExpectError
+typed.addTask("report", {optionalDependencies: "bundle", task: (results) => `${results.bundle.size}`});
+// $ExpectError
+typed.addTask("report", {dependencies: "bundle", when: (results) => results.compile.length > 0});
+// $ExpectError
+typed.addTask("report", {ifDependencySkipped: "maybe"});
+// $ExpectError
+typed.addTask("report", {task: (results, context) => context.taskName});
+// $ExpectError
+typed.addTask("report", {style: "callback", task: (results, context) => context.taskName});
+// $ExpectError
+typed.addTask("report", {style: "sync", task: (results, context) => context.runId});
+// $ExpectError
+typed.addTask("compile", (results, done, context) => done([context.taskName]));
+
+typed.addDependencies("report", ["compile"]);
+typed.removeDependencies("report", "compile");
+typed.validate(["report", "bundle"]);
+typed.getExecutionPlan("report");
+typed.exportGraph("dot", "report");
+typed.removeTask("report", {cascade: "unlink"});
+const dependents: (keyof Registry)[] = typed.getDependents("compile", {transitive: true});
+
+// $ExpectError
+typed.addDependencies("report", "missing");
+// $ExpectError
+typed.getExecutionPlan("missing");
+// $ExpectError
+typed.getDependencies("missing");
+// $ExpectError
+typed.removeTask("report", {cascade: "delete"});
+
+const bundle: Promise<{ size: number }> = typed.run("bundle");
+const results: Promise<{ compile: string[], report: string }> = typed.run(["compile", "report"], {failFast: false});
+
+// $ExpectError
+typed.run("missing");
+// $ExpectError
+typed.run<number>("compile");
+// $ExpectError
+const report: Promise<number> = typed.run("report");
+// $ExpectError
+typed.run(["compile"]).then((result) => result.report);
+
+const untyped = new TaskRunner();
+
+untyped.addTask("a");
+untyped.addTask("b", ["a"], (results: any) => results.a);
+untyped.addTask<number>("c", "b", () => 1);
+untyped.addTask("d", {dependencies: "c", task: () => Promise.resolve(1)});
+untyped.addTask("e", {style: "sync", task: (results, context) => context.taskName});
+untyped.addTask("f", {style: "callback", task: (results, done, context) => done(context.taskName)});
+
+// $ExpectError
+untyped.addTask("e", (results: any, context: TaskContext) => context.taskName);
+// $ExpectError
+untyped.addTask("e", {task: (results: any, context: TaskContext) => context.taskName});
+// $ExpectError
+untyped.addTask("f", (results: any, done: any, context: TaskContext) => done(context.taskName));
+untyped.addDependencies("d", "anything");
+
+const c: Promise<number> = untyped.run<number>("c");
+const anyResult: Promise<string> = untyped.run("d");
+const map: Promise<{ [taskName: string]: any }> = untyped.run(["c", "d"]);
@@ -0,0 +1,25 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+/**
+ * Creates a new, empty directory under the temporary directory of the OS.
+ */
+const createTemporaryDirectory = (): string => fs.mkdtempSync(path.join(os.tmpdir(), "tasker-lib-"));
+
+/**
+ * Removes a directory along with everything in it.
+ */
+const removeDirectory = (directory: string) => {
+    for (const entry of fs.readdirSync(directory)) {
+        const entryPath = path.join(directory, entry);
+        if (fs.statSync(entryPath).isDirectory()) {
+            removeDirectory(entryPath);
+        } else {
+            fs.unlinkSync(entryPath);
+        }
+    }
+    fs.rmdirSync(directory);
+};
+
+export { createTemporaryDirectory, removeDirectory };
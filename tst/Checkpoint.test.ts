@@ -0,0 +1,164 @@
+import * as fs from "fs";
+import * as path from "path";
+import { Checkpoint, CheckpointGraph, readCheckpoint } from "../src/Checkpoint";
+import { CheckpointError } from "../src/CheckpointError";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("Checkpoint", () => {
+    let root: string;
+    let filePath: string;
+
+    const graph: CheckpointGraph = {
+        a: {dependencies: [], definition: "() => 1"},
+        b: {dependencies: ["a"], definition: "(results) => results.a + 1"}
+    };
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+        filePath = path.join(root, "checkpoints", "run.json");
+    });
+
+    afterEach(() => {
+        removeDirectory(root);
+    });
+
+    it("should write each recorded result to the file, creating its directory", () => {
+        const checkpoint = new Checkpoint(graph, filePath);
+        checkpoint.record("a", 1);
+
+        return checkpoint.flush()
+            .then(() => readCheckpoint(filePath))
+            .then((data) => {
+                expect(Object.keys(data.tasks)).toEqual(["a"]);
+                expect(data.tasks.a.result).toBe(1);
+
+                checkpoint.record("b", 2);
+                return checkpoint.flush();
+            })
+            .then(() => readCheckpoint(filePath))
+            .then((data) => {
+                expect(Object.keys(data.tasks)).toEqual(["a", "b"]);
+                expect(data.tasks.b.result).toBe(2);
+            });
+    });
+
+    it("should not write anything without a file", () => {
+        const checkpoint = new Checkpoint(graph);
+        checkpoint.record("a", 1);
+
+        return checkpoint.flush().then(() => {
+            expect(fs.readdirSync(root)).toEqual([]);
+        });
+    });
+
+    it("should restore the results recorded for the same graph, and keep them", () => {
+        const checkpoint = new Checkpoint(graph, filePath);
+        checkpoint.record("a", {value: 1});
+
+        return checkpoint.flush()
+            .then(() => readCheckpoint(filePath))
+            .then((data) => {
+                const resumed = new Checkpoint({b: graph.b, a: graph.a}, filePath);
+                expect(resumed.restore(data, filePath)).toEqual({a: {value: 1}});
+
+                resumed.record("b", 2);
+                return resumed.flush();
+            })
+            .then(() => readCheckpoint(filePath))
+            .then((data) => {
+                expect(Object.keys(data.tasks).sort()).toEqual(["a", "b"]);
+            });
+    });
+
+    it("should reject a checkpoint created for a different graph", () => {
+        const checkpoint = new Checkpoint(graph, filePath);
+        checkpoint.record("a", 1);
+
+        return checkpoint.flush().then(() => readCheckpoint(filePath)).then((data) => {
+            const changed = new Checkpoint({...graph, b: {...graph.b, dependencies: []}});
+            expect(() => changed.restore(data, "run.json")).toThrow(CheckpointError);
+            expect(() => changed.restore(data, "run.json"))
+                .toThrow("Checkpoint 'run.json' was created for a different task graph");
+        });
+    });
+
+    it("should reject a checkpoint created for a different definition of a recorded task", () => {
+        const checkpoint = new Checkpoint(graph, filePath);
+        checkpoint.record("a", 1);
+
+        return checkpoint.flush().then(() => readCheckpoint(filePath)).then((data) => {
+            expect(() => new Checkpoint({...graph, b: {...graph.b, definition: "() => 3"}}).restore(data, "run.json"))
+                .not.toThrow();
+            expect(() => new Checkpoint({...graph, a: {...graph.a, definition: "() => 2"}}).restore(data, "run.json"))
+                .toThrow("Checkpoint 'run.json' was created for a different definition of task 'a'");
+        });
+    });
+
+    it("should reject a checkpoint with an unsupported version", () => {
+        const data = {version: 2, graph: "", tasks: {}};
+
+        expect(() => new Checkpoint(graph).restore(data, "run.json"))
+            .toThrow("Checkpoint 'run.json' has unsupported version '2'");
+    });
+
+    it("should reject with the first error writing the file", () => {
+        fs.writeFileSync(path.join(root, "checkpoints"), "");
+        const checkpoint = new Checkpoint(graph, filePath);
+        checkpoint.record("a", 1);
+        checkpoint.record("b", 2);
+
+        return expect(checkpoint.flush()).rejects.toThrow();
+    });
+
+    it("should not leave a failed write unhandled until it is flushed", () => {
+        fs.writeFileSync(path.join(root, "checkpoints"), "");
+        const checkpoint = new Checkpoint(graph, filePath);
+        const onUnhandledRejection = jest.fn();
+        process.on("unhandledRejection", onUnhandledRejection);
+        checkpoint.record("a", 1);
+
+        return new Promise((resolve) => setTimeout(resolve, 50))
+            .then(() => {
+                process.removeListener("unhandledRejection", onUnhandledRejection);
+                expect(onUnhandledRejection).not.toBeCalled();
+                return expect(checkpoint.flush()).rejects.toThrow();
+            });
+    });
+
+    it("should throw, without recording it, if a result cannot be serialized", () => {
+        const checkpoint = new Checkpoint(graph, filePath);
+        const circular: any = {};
+        circular.self = circular;
+
+        expect(() => checkpoint.record("a", circular)).toThrow(TypeError);
+        checkpoint.record("b", 2);
+
+        return checkpoint.flush().then(() => readCheckpoint(filePath)).then((data) => {
+            expect(Object.keys(data.tasks)).toEqual(["b"]);
+        });
+    });
+
+    describe("readCheckpoint", () => {
+        it("should reject if the file cannot be read", () => {
+            return readCheckpoint(filePath).then(() => {
+                throw new Error("Expected reading to fail");
+            }, (error) => {
+                expect(error).toBeInstanceOf(CheckpointError);
+                expect(error.filePath).toBe(filePath);
+                expect(error.message).toMatch(/^Checkpoint '.*' could not be read: ENOENT/);
+            });
+        });
+
+        it("should reject if the file is not valid JSON", () => {
+            fs.writeFileSync(path.join(root, "run.json"), "{");
+
+            return expect(readCheckpoint(path.join(root, "run.json"))).rejects.toThrow("is not valid JSON");
+        });
+
+        it("should reject if the file is not a checkpoint", () => {
+            fs.writeFileSync(path.join(root, "run.json"), "{\"a\": 1}");
+
+            return expect(readCheckpoint(path.join(root, "run.json"))).rejects.toThrow("is not a checkpoint");
+        });
+    });
+});
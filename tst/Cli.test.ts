@@ -0,0 +1,325 @@
+import * as fs from "fs";
+import * as path from "path";
+import { Cli } from "../src/Cli";
+import { ExitCode } from "../src/ExitCode";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("Cli", () => {
+    let root: string;
+    let stdout: string;
+    let stderr: string;
+    let cli: Cli;
+
+    const taskRunnerPath = JSON.stringify(path.resolve(__dirname, "../src/TaskRunner"));
+
+    const writeTasksfile = (source: string, fileName = "tasksfile.js") => {
+        fs.writeFileSync(path.join(root, fileName), source);
+    };
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+        stdout = "";
+        stderr = "";
+        cli = new Cli({
+            cwd: root,
+            stdout: <any> {write: (chunk: string) => stdout += chunk},
+            stderr: <any> {write: (chunk: string) => stderr += chunk}
+        });
+    });
+
+    afterEach(() => {
+        removeDirectory(root);
+    });
+
+    describe("list", () => {
+        it("should list the tasks exported by the tasksfile along with their dependencies", () => {
+            writeTasksfile(`
+                exports.build = () => 1;
+                exports.test = {dependencies: ["build"], task: () => 2};
+                exports.release = {dependencies: ["build", "test"], task: () => 3};
+            `);
+
+            return cli.run(["list"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toBe("build\ntest: build\nrelease: build, test\n");
+            });
+        });
+
+        it("should list the tasks of a TaskRunner exported by the tasksfile", () => {
+            writeTasksfile(`
+                const { TaskRunner } = require(${taskRunnerPath});
+                const taskRunner = new TaskRunner();
+                taskRunner.addTask("build", () => 1);
+                taskRunner.addTask("test", ["build"], () => 2);
+                module.exports = taskRunner;
+            `);
+
+            return cli.run(["list"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toBe("build\ntest: build\n");
+            });
+        });
+
+        it("should use a TaskRunner exported as the default export", () => {
+            writeTasksfile(`
+                const { TaskRunner } = require(${taskRunnerPath});
+                exports.default = new TaskRunner();
+                exports.default.addTask("build", () => 1);
+            `);
+
+            return cli.run(["list"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toBe("build\n");
+            });
+        });
+    });
+
+    describe("run", () => {
+        it("should run the given tasks and print their status", () => {
+            writeTasksfile(`
+                exports.build = () => 1;
+                exports.test = {dependencies: ["build"], task: (results) => results.build + 1};
+            `);
+
+            return cli.run(["run", "test"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toMatch(/^\[build\] started\n\[build\] finished in \d+ms\n/);
+                expect(stdout).toMatch(/\[test\] started\n\[test\] finished in \d+ms\nFinished in \d+ms\n$/);
+                expect(stderr).toBe("");
+            });
+        });
+
+        it("should run several tasks", () => {
+            writeTasksfile(`
+                exports.lint = () => 1;
+                exports.test = () => 2;
+                exports.build = () => 3;
+            `);
+
+            return cli.run(["run", "lint", "test"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toContain("[lint] finished");
+                expect(stdout).toContain("[test] finished");
+                expect(stdout).not.toContain("[build]");
+            });
+        });
+
+        it("should load the tasksfile given with --tasksfile", () => {
+            writeTasksfile("exports.build = () => 1;", "build.js");
+
+            return cli.run(["run", "build", "--tasksfile", "build.js"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toContain("[build] finished");
+            });
+        });
+
+        it("should limit the concurrency with --concurrency", () => {
+            writeTasksfile(`
+                const state = {running: 0, maxRunning: 0};
+                const task = (results, done) => {
+                    state.running++;
+                    state.maxRunning = Math.max(state.maxRunning, state.running);
+                    setTimeout(() => {
+                        state.running--;
+                        done();
+                    }, 0);
+                };
+                exports.a = task;
+                exports.b = task;
+                exports.c = task;
+                exports.check = {dependencies: ["a", "b", "c"], task: () => {
+                    if (state.maxRunning !== 1) {
+                        throw new Error("Ran " + state.maxRunning + " tasks at once");
+                    }
+                }};
+            `);
+
+            return cli.run(["run", "check", "--concurrency=1"]).then((exitCode) => {
+                expect(stderr).toBe("");
+                expect(exitCode).toBe(ExitCode.Success);
+            });
+        });
+
+        it("should only print failures with --quiet", () => {
+            writeTasksfile(`
+                exports.build = {style: "sync", task: (results, context) => {
+                    context.logger.info("building");
+                    context.logger.error("oops");
+                }};
+            `);
+
+            return cli.run(["run", "build", "-q"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toBe("");
+                expect(stderr).toBe("[build] error: oops\n");
+            });
+        });
+
+        it("should print logs, progress and waits for resources with --verbose", () => {
+            writeTasksfile(`
+                exports.first = {resources: "db", task: (results, done) => setTimeout(done, 10)};
+                exports.second = {resources: "db", style: "sync", task: (results, context) => {
+                    context.progress(0.5, "halfway");
+                    context.logger.debug("details");
+                }};
+            `);
+
+            return cli.run(["run", "first", "second", "--verbose"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toContain("[second] waiting for db\n");
+                expect(stdout).toMatch(/\[second\] started after waiting \d+ms for its resources\n/);
+                expect(stdout).toContain("[second] 50% halfway\n");
+                expect(stdout).toContain("[second] debug: details\n");
+            });
+        });
+
+        it("should not print debug logs by default", () => {
+            writeTasksfile(`
+                exports.build = {style: "sync", task: (results, context) => context.logger.debug("details")};
+            `);
+
+            return cli.run(["run", "build"]).then(() => {
+                expect(stdout).not.toContain("details");
+            });
+        });
+
+        it("should exit with TaskFailed if a task fails", () => {
+            writeTasksfile(`
+                exports.build = () => {
+                    throw new Error("broken");
+                };
+                exports.test = {dependencies: ["build"], task: () => 1};
+            `);
+
+            return cli.run(["run", "test"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.TaskFailed);
+                expect(stderr).toMatch(/^\[build\] failed after \d+ms: broken\ntasker: broken\n$/);
+            });
+        });
+
+        it("should exit with InvalidGraph without running anything if the graph is invalid", () => {
+            writeTasksfile(`
+                exports.build = {dependencies: ["missing"], task: () => 1};
+                exports.a = {dependencies: ["b"], task: () => 1};
+                exports.b = {dependencies: ["a"], task: () => 1};
+                exports.all = {dependencies: ["build", "a"], task: () => 1};
+            `);
+
+            return cli.run(["run", "all"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.InvalidGraph);
+                expect(stdout).toBe("");
+                expect(stderr).toContain("task 'build' depends on missing task 'missing'");
+                expect(stderr).toContain("cycle a -> b -> a");
+            });
+        });
+
+        it("should abort the run when interrupted", () => {
+            writeTasksfile(`
+                exports.serve = {
+                    style: "callback",
+                    task: (results, done, context) => {
+                        context.signal.addEventListener("abort", () => done());
+                        process.emit("SIGINT");
+                    }
+                };
+            `);
+
+            const listenerCount = process.listenerCount("SIGINT");
+            return cli.run(["run", "serve"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.TaskFailed);
+                expect(stderr).toContain("aborted");
+                expect(process.listenerCount("SIGINT")).toBe(listenerCount);
+            });
+        });
+
+        it("should exit with TaskFailed if the TaskRunner throws instead of rejecting", () => {
+            writeTasksfile(`
+                module.exports = {
+                    run: () => {
+                        throw new Error("broken runner");
+                    },
+                    getTaskList: () => ({build: []}),
+                    validate: () => ({valid: true}),
+                    on: () => undefined,
+                    off: () => undefined
+                };
+            `);
+
+            return cli.run(["run", "build"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.TaskFailed);
+                expect(stderr).toBe("tasker: broken runner\n");
+            });
+        });
+
+        it("should exit with InvalidUsage if a task does not exist", () => {
+            writeTasksfile("exports.build = () => 1;");
+
+            return cli.run(["run", "deploy"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.InvalidUsage);
+                expect(stderr).toBe("tasker: Task 'deploy' not found\n");
+            });
+        });
+    });
+
+    describe("arguments", () => {
+        it("should print the usage with --help", () => {
+            return cli.run(["--help"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+                expect(stdout).toContain("Usage: tasker [options] <command>");
+            });
+        });
+
+        it("should treat the arguments after -- as task names", () => {
+            writeTasksfile(`exports["-build"] = () => 1;`);
+
+            return cli.run(["run", "--", "-build"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.Success);
+            });
+        });
+
+        const invalidArguments: [string[], string][] = [
+            [[], "Missing command"],
+            [["deploy"], "Unknown command 'deploy'"],
+            [["run"], "Missing task name"],
+            [["run", "build", "--force"], "Unknown option '--force'"],
+            [["run", "build", "-c"], "Missing value for -c"],
+            [["run", "build", "-c", "0"], "-c must be a positive integer, got '0'"],
+            [["run", "build", "--concurrency=1.5"], "--concurrency must be a positive integer, got '1.5'"]
+        ];
+        for (const [argv, message] of invalidArguments) {
+            it(`should exit with InvalidUsage for '${argv.join(" ")}'`, () => {
+                writeTasksfile("exports.build = () => 1;");
+
+                return cli.run(argv).then((exitCode) => {
+                    expect(exitCode).toBe(ExitCode.InvalidUsage);
+                    expect(stderr).toBe(`tasker: ${message}\nRun 'tasker --help' for usage.\n`);
+                });
+            });
+        }
+
+        it("should exit with InvalidUsage if the tasksfile cannot be loaded", () => {
+            return cli.run(["list"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.InvalidUsage);
+                expect(stderr).toContain(`Tasksfile '${path.join(root, "tasksfile.js")}' could not be loaded`);
+            });
+        });
+
+        it("should exit with InvalidUsage if the tasksfile exports an incompatible TaskRunner", () => {
+            writeTasksfile("module.exports = {run: () => Promise.resolve(), getTaskList: () => ({build: []})};");
+
+            return cli.run(["run", "build"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.InvalidUsage);
+                expect(stderr).toContain("exports a TaskRunner which is incompatible with this version of tasker");
+            });
+        });
+
+        it("should exit with InvalidUsage if the tasksfile exports no tasks", () => {
+            writeTasksfile("module.exports = {};");
+
+            return cli.run(["list"]).then((exitCode) => {
+                expect(exitCode).toBe(ExitCode.InvalidUsage);
+                expect(stderr).toContain("exports neither a TaskRunner nor any tasks");
+            });
+        });
+    });
+});
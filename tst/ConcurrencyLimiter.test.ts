@@ -0,0 +1,90 @@
+import { ConcurrencyLimiter } from "../src/ConcurrencyLimiter";
+
+describe("ConcurrencyLimiter", () => {
+    const deferred = () => {
+        let resolve: (value?: any) => void;
+        let reject: (error: any) => void;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+
+        return { promise, resolve, reject };
+    };
+
+    it("should throw if the limit is not a positive integer", () => {
+        expect(() => new ConcurrencyLimiter(0)).toThrow();
+        expect(() => new ConcurrencyLimiter(-1)).toThrow();
+        expect(() => new ConcurrencyLimiter(1.5)).toThrow();
+        expect(() => new ConcurrencyLimiter(NaN)).toThrow();
+    });
+
+    it("should not be limited by default", () => {
+        expect(new ConcurrencyLimiter().isLimited()).toBe(false);
+        expect(new ConcurrencyLimiter(2).isLimited()).toBe(true);
+    });
+
+    it("should start operations immediately while under the limit", () => {
+        const limiter = new ConcurrencyLimiter(2);
+        const first = jest.fn(() => deferred().promise);
+        const second = jest.fn(() => deferred().promise);
+
+        limiter.schedule(first);
+        limiter.schedule(second);
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it("should queue operations over the limit and start them in order as slots free up", () => {
+        const limiter = new ConcurrencyLimiter(1);
+        const first = deferred();
+        const second = deferred();
+        const started: string[] = [];
+
+        const firstPromise = limiter.schedule(() => {
+            started.push("first");
+            return first.promise;
+        });
+        const secondPromise = limiter.schedule(() => {
+            started.push("second");
+            return second.promise;
+        });
+        const thirdPromise = limiter.schedule(() => {
+            started.push("third");
+            return Promise.resolve(3);
+        });
+
+        expect(started).toEqual(["first"]);
+
+        first.resolve(1);
+        return firstPromise
+            .then((result) => {
+                expect(result).toBe(1);
+                expect(started).toEqual(["first", "second"]);
+
+                second.reject(new Error("Rejected!"));
+                return secondPromise.catch((error) => expect(error.message).toBe("Rejected!"));
+            })
+            .then(() => thirdPromise)
+            .then((result) => {
+                expect(result).toBe(3);
+                expect(started).toEqual(["first", "second", "third"]);
+            });
+    });
+
+    it("should reject and free the slot if an operation throws", () => {
+        const limiter = new ConcurrencyLimiter(1);
+        const error = new Error("Thrown!");
+        const next = jest.fn(() => Promise.resolve());
+
+        const failed = limiter.schedule(() => {
+            throw error;
+        });
+
+        return failed
+            .catch((e) => expect(e).toBe(error))
+            .then(() => limiter.schedule(next))
+            .then(() => expect(next).toHaveBeenCalledTimes(1));
+    });
+});
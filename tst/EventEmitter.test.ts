@@ -0,0 +1,66 @@
+import { EventEmitter } from "../src/EventEmitter";
+
+interface TestEvents {
+    first: number;
+    second: string;
+}
+
+describe("EventEmitter", () => {
+    let emitter: EventEmitter<TestEvents>;
+    beforeEach(() => {
+        emitter = new EventEmitter<TestEvents>();
+    });
+
+    it("should call the listeners of an event with the payload", () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        emitter.on("first", first);
+        emitter.on("second", second);
+
+        emitter.emit("first", 1);
+
+        expect(first).toHaveBeenCalledWith(1);
+        expect(second).not.toHaveBeenCalled();
+    });
+
+    it("should call the listeners in the order they were added", () => {
+        const calls: string[] = [];
+        emitter.on("first", () => calls.push("a"));
+        emitter.on("first", () => calls.push("b"));
+
+        emitter.emit("first", 1);
+
+        expect(calls).toEqual(["a", "b"]);
+    });
+
+    it("should do nothing if an event has no listeners", () => {
+        expect(() => emitter.emit("first", 1)).not.toThrow();
+    });
+
+    it("should not call removed listeners", () => {
+        const listener = jest.fn();
+        emitter.on("first", listener);
+        emitter.off("first", listener);
+
+        emitter.emit("first", 1);
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("should ignore the removal of a listener that was not added", () => {
+        expect(() => emitter.off("first", jest.fn())).not.toThrow();
+    });
+
+    it("should call every listener even if one is removed while emitting", () => {
+        const second = jest.fn();
+        const first = jest.fn(() => emitter.off("first", second));
+        emitter.on("first", first);
+        emitter.on("first", second);
+
+        emitter.emit("first", 1);
+        emitter.emit("first", 2);
+
+        expect(first).toHaveBeenCalledTimes(2);
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,71 @@
+import * as fs from "fs";
+import * as path from "path";
+import { FileCacheStore } from "../src/FileCacheStore";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("FileCacheStore", () => {
+    let root: string;
+    let filePath: string;
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+        filePath = path.join(root, "cache", "tasks.json");
+    });
+
+    afterEach(() => {
+        removeDirectory(root);
+    });
+
+    it("should return undefined if the file does not exist", () => {
+        return new FileCacheStore(filePath).get("root").then((entry) => {
+            expect(entry).toBeUndefined();
+        });
+    });
+
+    it("should persist entries so that a new store can read them", () => {
+        const entry = {fingerprint: "abc", result: {files: ["a.js"]}};
+
+        return new FileCacheStore(filePath).set("root", entry)
+            .then(() => new FileCacheStore(filePath).get("root"))
+            .then((storedEntry) => expect(storedEntry).toEqual(entry));
+    });
+
+    it("should keep every entry when setting several at once", () => {
+        const store = new FileCacheStore(filePath);
+
+        return Promise.all([
+            store.set("child1", {fingerprint: "1", result: 1}),
+            store.set("child2", {fingerprint: "2", result: 2})
+        ]).then(() => {
+            expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toEqual({
+                child1: {fingerprint: "1", result: 1},
+                child2: {fingerprint: "2", result: 2}
+            });
+        });
+    });
+
+    it("should neither keep nor write an entry which cannot be serialized", () => {
+        const store = new FileCacheStore(filePath);
+        const circular: any = {};
+        circular.self = circular;
+
+        expect.assertions(3);
+        return store.set("child1", {fingerprint: "1", result: circular}).catch((error) => {
+            expect(error).toBeInstanceOf(TypeError);
+            return store.set("child2", {fingerprint: "2", result: 2});
+        }).then(() => {
+            expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toEqual({child2: {fingerprint: "2", result: 2}});
+            return store.get("child1");
+        }).then((entry) => expect(entry).toBeUndefined());
+    });
+
+    it("should reject if the file is not valid JSON", () => {
+        fs.mkdirSync(path.dirname(filePath));
+        fs.writeFileSync(filePath, "{");
+
+        expect.assertions(1);
+        return new FileCacheStore(filePath).get("root").catch((error) => {
+            expect(error.message).toContain("not valid JSON");
+        });
+    });
+});
@@ -0,0 +1,127 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { FileMatcher } from "../src/FileMatcher";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("FileMatcher", () => {
+    let root: string;
+    let fileMatcher: FileMatcher;
+
+    const createFile = (file: string) => {
+        const filePath = path.join(root, file);
+        fs.mkdirSync(path.dirname(filePath), {recursive: true});
+        fs.writeFileSync(filePath, file);
+    };
+
+    const expectMatches = (patterns: string[], expectedFiles: string[]) => {
+        return fileMatcher.match(patterns).then((files) => {
+            expect(files).toEqual(expectedFiles.map((file) => path.join(root, file)).sort());
+        });
+    };
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+        fileMatcher = new FileMatcher(root);
+
+        createFile("a.ts");
+        createFile("b.js");
+        createFile(".hidden.ts");
+        createFile("src/c.ts");
+        createFile("src/d.txt");
+        createFile("src/nested/e.ts");
+        createFile("src/nested/f1.ts");
+    });
+
+    afterEach(() => {
+        removeDirectory(root);
+    });
+
+    it("should match literal file paths", () => {
+        return expectMatches(["a.ts", "src/d.txt"], ["a.ts", "src/d.txt"]);
+    });
+
+    it("should match nothing for missing files", () => {
+        return expectMatches(["missing.ts", "missing/*.ts"], []);
+    });
+
+    it("should match every file below a literal directory", () => {
+        return expectMatches(["src"], ["src/c.ts", "src/d.txt", "src/nested/e.ts", "src/nested/f1.ts"]);
+    });
+
+    it("should match * within a single directory, skipping dotfiles", () => {
+        return expectMatches(["*.ts"], ["a.ts"]);
+    });
+
+    it("should match dotfiles if the pattern starts with a dot", () => {
+        return expectMatches([".*.ts"], [".hidden.ts"]);
+    });
+
+    it("should match ** across any number of directories", () => {
+        return expectMatches(["**/*.ts"], ["a.ts", "src/c.ts", "src/nested/e.ts", "src/nested/f1.ts"]);
+    });
+
+    it("should match ? and character classes", () => {
+        return expectMatches(["src/nested/?.ts", "[ab].*"], ["src/nested/e.ts", "a.ts", "b.js"]);
+    });
+
+    it("should match negated character classes", () => {
+        return expectMatches(["[!a].*"], ["b.js"]);
+    });
+
+    it("should deduplicate files matched by multiple patterns", () => {
+        return expectMatches(["src/*.ts", "src/c.ts"], ["src/c.ts"]);
+    });
+
+    it("should support absolute patterns", () => {
+        return expectMatches([path.join(root, "src", "*.txt")], ["src/d.txt"]);
+    });
+
+    it("should return the directory a pattern is rooted at", () => {
+        expect(fileMatcher.getBase("src/**/*.ts")).toBe(path.join(root, "src"));
+        expect(fileMatcher.getBase("*.ts")).toBe(root);
+        expect(fileMatcher.getBase("src/c.ts")).toBe(path.join(root, "src", "c.ts"));
+    });
+
+    describe("matches", () => {
+        it("should match literal file paths", () => {
+            expect(fileMatcher.matches("a.ts", path.join(root, "a.ts"))).toBe(true);
+            expect(fileMatcher.matches("a.ts", "a.ts")).toBe(true);
+            expect(fileMatcher.matches("a.ts", "b.js")).toBe(false);
+        });
+
+        it("should match every file below a literal directory", () => {
+            expect(fileMatcher.matches("src", "src/nested/e.ts")).toBe(true);
+            expect(fileMatcher.matches("src", "src/.hidden.ts")).toBe(false);
+            expect(fileMatcher.matches("src", "a.ts")).toBe(false);
+        });
+
+        it("should match wildcards", () => {
+            expect(fileMatcher.matches("*.ts", "a.ts")).toBe(true);
+            expect(fileMatcher.matches("*.ts", "src/c.ts")).toBe(false);
+            expect(fileMatcher.matches("src/nested/f?.ts", "src/nested/f1.ts")).toBe(true);
+            expect(fileMatcher.matches("src/nested/[!e].ts", "src/nested/e.ts")).toBe(false);
+        });
+
+        it("should match any number of directories with **", () => {
+            expect(fileMatcher.matches("src/**/*.ts", "src/c.ts")).toBe(true);
+            expect(fileMatcher.matches("src/**/*.ts", "src/nested/e.ts")).toBe(true);
+            expect(fileMatcher.matches("src/**/*.ts", "src/d.txt")).toBe(false);
+            expect(fileMatcher.matches("**/*.ts", "src/.nested/e.ts")).toBe(false);
+        });
+
+        it("should not match dotfiles with wildcards", () => {
+            expect(fileMatcher.matches("*.ts", ".hidden.ts")).toBe(false);
+            expect(fileMatcher.matches(".*.ts", ".hidden.ts")).toBe(true);
+        });
+
+        it("should not match files outside of the base", () => {
+            expect(fileMatcher.matches("src/*.ts", "a.ts")).toBe(false);
+            expect(fileMatcher.matches("src/*.ts", path.join(os.tmpdir(), "c.ts"))).toBe(false);
+        });
+
+        it("should match files which do not exist", () => {
+            expect(fileMatcher.matches("src/*.ts", "src/missing.ts")).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import * as fs from "fs";
+import * as path from "path";
+import { FileMatcher } from "../src/FileMatcher";
+import { Fingerprinter } from "../src/Fingerprinter";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("Fingerprinter", () => {
+    let root: string;
+    let fingerprinter: Fingerprinter;
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+        fingerprinter = new Fingerprinter(new FileMatcher(root));
+        fs.writeFileSync(path.join(root, "input.txt"), "original");
+    });
+
+    afterEach(() => {
+        removeDirectory(root);
+    });
+
+    it("should be stable for the same inputs", () => {
+        const inputs = {files: "*.txt", key: () => ({b: 1, a: 2})};
+        return Promise.all([
+            fingerprinter.fingerprint(inputs, {child1: {y: 1, x: 2}}),
+            fingerprinter.fingerprint(inputs, {child1: {x: 2, y: 1}})
+        ]).then(([first, second]) => {
+            expect(first).toBe(second);
+        });
+    });
+
+    it("should change when the contents of a file change", () => {
+        const inputs = {files: ["input.txt"]};
+        return fingerprinter.fingerprint(inputs, {})
+            .then((first) => {
+                fs.writeFileSync(path.join(root, "input.txt"), "changed");
+                return fingerprinter.fingerprint(inputs, {}).then((second) => {
+                    expect(second).not.toBe(first);
+                });
+            });
+    });
+
+    it("should change when a matching file is added", () => {
+        const inputs = {files: "*.txt"};
+        return fingerprinter.fingerprint(inputs, {})
+            .then((first) => {
+                fs.writeFileSync(path.join(root, "other.txt"), "new");
+                return fingerprinter.fingerprint(inputs, {}).then((second) => {
+                    expect(second).not.toBe(first);
+                });
+            });
+    });
+
+    it("should change when the custom key changes", () => {
+        let version = 1;
+        const inputs = {key: () => version};
+        return fingerprinter.fingerprint(inputs, {})
+            .then((first) => {
+                version = 2;
+                return fingerprinter.fingerprint(inputs, {}).then((second) => {
+                    expect(second).not.toBe(first);
+                });
+            });
+    });
+
+    it("should change when the definition of the task changes", () => {
+        return Promise.all([
+            fingerprinter.fingerprint({}, {}, "() => 1"),
+            fingerprinter.fingerprint({}, {}, "() => 2")
+        ]).then(([first, second]) => {
+            expect(first).not.toBe(second);
+        });
+    });
+
+    it("should pass the dependency results to the custom key", () => {
+        const key = jest.fn(() => 1);
+        return fingerprinter.fingerprint({key: key}, {child1: 5}).then(() => {
+            expect(key).toHaveBeenCalledWith({child1: 5});
+        });
+    });
+
+    it("should include the dependency results unless disabled", () => {
+        return Promise.all([
+            fingerprinter.fingerprint({}, {child1: 1}),
+            fingerprinter.fingerprint({}, {child1: 2}),
+            fingerprinter.fingerprint({dependencies: false}, {child1: 1}),
+            fingerprinter.fingerprint({dependencies: false}, {child1: 2})
+        ]).then(([first, second, third, fourth]) => {
+            expect(first).not.toBe(second);
+            expect(third).toBe(fourth);
+        });
+    });
+});
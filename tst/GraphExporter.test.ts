@@ -0,0 +1,65 @@
+import { ExportedGraph } from "../src/ExportedGraph";
+import { GraphExporter } from "../src/GraphExporter";
+
+describe("GraphExporter", () => {
+    let graphExporter: GraphExporter;
+    let graph: ExportedGraph;
+    beforeEach(() => {
+        graphExporter = new GraphExporter();
+        graph = {
+            version: 1,
+            tasks: ["root", "child1"],
+            dependencies: [
+                {taskName: "root", dependency: "child1", missing: false},
+                {taskName: "root", dependency: "missingTask", missing: true},
+                {taskName: "child1", dependency: "missingTask", missing: true}
+            ]
+        };
+    });
+
+    it("should export DOT with dashed links to missing tasks", () => {
+        expect(graphExporter.export(graph, "dot")).toBe([
+            "digraph tasks {",
+            "    \"root\";",
+            "    \"child1\";",
+            "    \"missingTask\" [style=dashed, color=red];",
+            "    \"root\" -> \"child1\";",
+            "    \"root\" -> \"missingTask\" [style=dashed];",
+            "    \"child1\" -> \"missingTask\" [style=dashed];",
+            "}",
+            ""
+        ].join("\n"));
+    });
+
+    it("should escape quotes in DOT", () => {
+        graph = {version: 1, tasks: ["say \"hi\""], dependencies: []};
+        expect(graphExporter.export(graph, "dot")).toContain("\"say \\\"hi\\\"\";");
+    });
+
+    it("should export a Mermaid flowchart with dotted links to missing tasks", () => {
+        expect(graphExporter.export(graph, "mermaid")).toBe([
+            "flowchart TD",
+            "    task0[\"root\"]",
+            "    task1[\"child1\"]",
+            "    task2[\"missingTask\"]:::missing",
+            "    task0 --> task1",
+            "    task0 -.-> task2",
+            "    task1 -.-> task2",
+            "    classDef missing stroke-dasharray: 5 5",
+            ""
+        ].join("\n"));
+    });
+
+    it("should escape quotes in Mermaid labels", () => {
+        graph = {version: 1, tasks: ["say \"hi\""], dependencies: []};
+        expect(graphExporter.export(graph, "mermaid")).toContain("task0[\"say #quot;hi#quot;\"]");
+    });
+
+    it("should export JSON", () => {
+        expect(JSON.parse(graphExporter.export(graph, "json"))).toEqual(graph);
+    });
+
+    it("should throw for unknown formats", () => {
+        expect(() => graphExporter.export(graph, <any> "svg")).toThrow();
+    });
+});
@@ -0,0 +1,52 @@
+import { LinkedAbortSignal } from "../src/LinkedAbortSignal";
+
+describe("LinkedAbortSignal", () => {
+    it("should call its listeners once when aborted", () => {
+        const signal = new LinkedAbortSignal();
+        const listener = jest.fn();
+        const removed = jest.fn();
+        signal.addEventListener("abort", listener);
+        signal.addEventListener("abort", removed);
+        signal.removeEventListener("abort", removed);
+
+        expect(signal.aborted).toBe(false);
+        signal.abort();
+        signal.abort();
+
+        expect(signal.aborted).toBe(true);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(removed).not.toHaveBeenCalled();
+    });
+
+    it("should be aborted along with the signal it is linked to", () => {
+        const parent = new LinkedAbortSignal();
+        const signal = new LinkedAbortSignal(parent);
+        const listener = jest.fn();
+        signal.addEventListener("abort", listener);
+
+        parent.abort();
+
+        expect(signal.aborted).toBe(true);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should start aborted if the signal it is linked to already is", () => {
+        const parent = new LinkedAbortSignal();
+        parent.abort();
+
+        expect(new LinkedAbortSignal(parent).aborted).toBe(true);
+    });
+
+    it("should not abort the signal it is linked to, nor be aborted by it once unlinked", () => {
+        const parent = new LinkedAbortSignal();
+        const signal = new LinkedAbortSignal(parent);
+        const unlinked = new LinkedAbortSignal(parent);
+        unlinked.unlink();
+
+        signal.abort();
+        expect(parent.aborted).toBe(false);
+
+        parent.abort();
+        expect(unlinked.aborted).toBe(false);
+    });
+});
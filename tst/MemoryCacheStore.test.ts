@@ -0,0 +1,18 @@
+import { MemoryCacheStore } from "../src/MemoryCacheStore";
+
+describe("MemoryCacheStore", () => {
+    it("should return undefined for tasks without an entry", () => {
+        return new MemoryCacheStore().get("root").then((entry) => {
+            expect(entry).toBeUndefined();
+        });
+    });
+
+    it("should return the entry that was set", () => {
+        const store = new MemoryCacheStore();
+        const entry = {fingerprint: "abc", result: 1};
+
+        return store.set("root", entry)
+            .then(() => store.get("root"))
+            .then((storedEntry) => expect(storedEntry).toEqual(entry));
+    });
+});
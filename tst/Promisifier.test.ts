@@ -1,3 +1,4 @@
+import { PassThrough, Readable, Writable } from "stream";
 import { Promisifier } from "../src/Promisifier";
 import { Task } from "../src/Task";
 
@@ -79,4 +80,216 @@ describe("Promisifier", () => {
             return expectFailure(fn, error);
         });
     });
-});
\ No newline at end of file
+
+    describe("context", () => {
+        const context = {taskName: "task"};
+
+        it("should pass the context after the results to synchronous functions", () => {
+            const fn = jest.fn(() => 1);
+            return promisifier.wrap<any>(fn)(results, <any> context).then(() => {
+                expect(fn).toHaveBeenCalledWith(results, context);
+            });
+        });
+
+        it("should pass the context after the results to promise functions", () => {
+            const fn = jest.fn(() => Promise.resolve(1));
+            return promisifier.wrap<any>(fn)(results, <any> context).then(() => {
+                expect(fn).toHaveBeenCalledWith(results, context);
+            });
+        });
+
+        it("should pass the context after the done callback to functions declared as \"callback\"", () => {
+            const fn = (results, done, context) => done(context);
+
+            return promisifier.wrap<any>(fn, "callback")(results, <any> context).then((result) => {
+                expect(result).toBe(context);
+            });
+        });
+
+        it("should expect functions with three parameters to return their result unless declared otherwise", () => {
+            const fn = (results, a, b) => 1701;
+
+            return promisifier.wrap<any>(<any> fn)(results, <any> context).then((result) => {
+                expect(result).toBe(1701);
+            });
+        });
+
+        it("should expect functions with four parameters to return their result", () => {
+            const fn = (results, a, b, c) => 1701;
+
+            return promisifier.wrap<any>(<any> fn)(results, <any> context).then((result) => {
+                expect(result).toBe(1701);
+            });
+        });
+    });
+
+    describe("streams", () => {
+        it("should wait for a readable stream to end and resolve with its objects as a list", () => {
+            const stream = new Readable({objectMode: true, read: () => undefined});
+            const promise = promisifier.wrap<any>(() => stream)(results);
+            stream.push({path: "a.js"});
+            setTimeout(() => {
+                stream.push({path: "b.js"});
+                stream.push(null);
+            }, 10);
+
+            return promise.then((result) => {
+                expect(result).toEqual([{path: "a.js"}, {path: "b.js"}]);
+            });
+        });
+
+        it("should concatenate the chunks of a byte stream", () => {
+            const stream = new Readable({read: () => undefined});
+            const promise = promisifier.wrap<any>(() => stream)(results);
+            stream.push("abc");
+            stream.push("def");
+            stream.push(null);
+
+            return promise.then((result: Buffer) => {
+                expect(Buffer.isBuffer(result)).toBe(true);
+                expect(result.toString()).toBe("abcdef");
+            });
+        });
+
+        it("should join the chunks of a stream with an encoding", () => {
+            const stream = new Readable({read: () => undefined});
+            stream.setEncoding("utf8");
+            const promise = promisifier.wrap<any>(() => stream)(results);
+            stream.push("abc");
+            stream.push(null);
+
+            return promise.then((result) => {
+                expect(result).toBe("abc");
+            });
+        });
+
+        it("should wait for a writable stream to finish", () => {
+            const written: string[] = [];
+            const stream = new Writable({
+                write: (chunk, encoding, callback) => {
+                    written.push(chunk.toString());
+                    setTimeout(callback, 10);
+                }
+            });
+            const promise = promisifier.wrap<any>(() => stream)(results);
+            stream.write("a");
+            stream.end("b");
+
+            return promise.then((result) => {
+                expect(result).toBe(undefined);
+                expect(written).toEqual(["a", "b"]);
+            });
+        });
+
+        it("should wait for a duplex stream to finish and resolve with undefined", () => {
+            const stream = new PassThrough({objectMode: true});
+            const promise = promisifier.wrap<any>(() => stream)(results);
+            stream.write({path: "a.js"});
+            stream.end({path: "b.js"});
+
+            return promise.then((result) => {
+                expect(result).toBe(undefined);
+                expect(stream.read()).toEqual({path: "a.js"});
+            });
+        });
+
+        it("should resolve with a stream which has already ended", () => {
+            const stream = new Readable({objectMode: true, read: () => undefined});
+            stream.push(null);
+            stream.resume();
+
+            return new Promise((resolve) => stream.on("end", resolve)).then(() => {
+                return promisifier.wrap<any>(() => stream)(results);
+            }).then((result) => {
+                expect(result).toEqual([]);
+            });
+        });
+
+        it("should reject if the stream emits an error", () => {
+            const error = new Error("Rejected!");
+            const stream = new PassThrough();
+            const promise = promisifier.wrap<any>(() => stream)(results);
+            stream.emit("error", error);
+
+            return expect(promise).rejects.toBe(error);
+        });
+    });
+
+    describe("observables", () => {
+        const observableOf = (values: any[], error?: Error) => ({
+            subscribe: (observer) => {
+                const timer = setTimeout(() => {
+                    values.forEach((value) => observer.next(value));
+                    if (error) {
+                        observer.error(error);
+                    } else {
+                        observer.complete();
+                    }
+                }, 10);
+
+                return {unsubscribe: () => clearTimeout(timer)};
+            }
+        });
+
+        it("should wait for the observable to complete and resolve with the values emitted", () => {
+            return promisifier.wrap<any>(() => observableOf([1, 2, 3]))(results).then((result) => {
+                expect(result).toEqual([1, 2, 3]);
+            });
+        });
+
+        it("should reject if the observable emits an error", () => {
+            const error = new Error("Rejected!");
+            return expectFailure(() => observableOf([1], error), error);
+        });
+    });
+
+    describe("async iterables", () => {
+        const iterableOf = (values: any[], error?: Error) => ({
+            [Symbol.asyncIterator]: () => {
+                let index = 0;
+                return {
+                    next: () => {
+                        if (index < values.length) {
+                            return Promise.resolve({done: false, value: values[index++]});
+                        }
+                        return error ? Promise.reject(error) : Promise.resolve({done: true, value: undefined});
+                    }
+                };
+            }
+        });
+
+        it("should iterate until done and resolve with the values produced", () => {
+            return promisifier.wrap<any>(() => iterableOf(["a", "b"]))(results).then((result) => {
+                expect(result).toEqual(["a", "b"]);
+            });
+        });
+
+        it("should reject if the iteration fails", () => {
+            const error = new Error("Rejected!");
+            return expectFailure(() => iterableOf(["a"], error), error);
+        });
+    });
+
+    describe("style", () => {
+        it("should expect a function declared as \"callback\" to call done, whatever its parameters", () => {
+            const fn = (results, done = (result: any) => undefined) => {
+                setTimeout(() => done(1701), 10);
+            };
+
+            return promisifier.wrap<any>(fn, "callback")(results).then((result) => {
+                expect(result).toBe(1701);
+            });
+        });
+
+        it("should expect a function declared as \"sync\" or \"promise\" to return its result", () => {
+            const fn = (results, context) => 1701;
+
+            return Promise.all([
+                promisifier.wrap<any>(fn, "sync")(results),
+                promisifier.wrap<any>((results, context) => Promise.resolve(1701), "promise")(results)
+            ]).then((resolved) => {
+                expect(resolved).toEqual([1701, 1701]);
+            });
+        });
+    });
+});
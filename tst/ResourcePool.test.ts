@@ -0,0 +1,140 @@
+import { ResourcePool } from "../src/ResourcePool";
+
+describe("ResourcePool", () => {
+    const deferred = () => {
+        let resolve: (value?: any) => void;
+        let reject: (error: any) => void;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+
+        return { promise, resolve, reject };
+    };
+
+    const capacities: { [resource: string]: number } = {pool: 2};
+    const getCapacity = (resource: string) => capacities[resource] || 1;
+
+    it("should start operations immediately while their resources are free", () => {
+        const pool = new ResourcePool(getCapacity);
+        const first = jest.fn(() => deferred().promise);
+        const second = jest.fn(() => deferred().promise);
+
+        pool.schedule(["db"], first);
+        pool.schedule(["port"], second);
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it("should never start more operations holding a resource than its capacity", () => {
+        const pool = new ResourcePool(getCapacity);
+        const first = deferred();
+        const started: string[] = [];
+
+        pool.schedule(["pool"], () => {
+            started.push("first");
+            return first.promise;
+        });
+        pool.schedule(["pool"], () => {
+            started.push("second");
+            return deferred().promise;
+        });
+        const thirdPromise = pool.schedule(["pool"], () => {
+            started.push("third");
+            return Promise.resolve(3);
+        });
+
+        expect(started).toEqual(["first", "second"]);
+
+        first.resolve(1);
+        return thirdPromise.then((result) => {
+            expect(result).toBe(3);
+            expect(started).toEqual(["first", "second", "third"]);
+        });
+    });
+
+    it("should call onWait only for operations which have to wait", () => {
+        const pool = new ResourcePool(getCapacity);
+        const firstWait = jest.fn();
+        const secondWait = jest.fn();
+
+        pool.schedule(["db"], () => deferred().promise, firstWait);
+        pool.schedule(["db"], () => deferred().promise, secondWait);
+
+        expect(firstWait).not.toBeCalled();
+        expect(secondWait).toHaveBeenCalledTimes(1);
+    });
+
+    it("should start an operation only once every one of its resources is free", () => {
+        const pool = new ResourcePool(getCapacity);
+        const db = deferred();
+        const port = deferred();
+        const started: string[] = [];
+
+        pool.schedule(["db"], () => db.promise);
+        pool.schedule(["port"], () => port.promise);
+        const bothPromise = pool.schedule(["db", "port"], () => {
+            started.push("both");
+            return Promise.resolve();
+        });
+
+        db.resolve();
+        return db.promise
+            .then(() => {
+                expect(started).toEqual([]);
+                port.resolve();
+                return bothPromise;
+            })
+            .then(() => {
+                expect(started).toEqual(["both"]);
+            });
+    });
+
+    it("should not let later operations overtake an earlier one waiting for the same resource", () => {
+        const pool = new ResourcePool(getCapacity);
+        const db = deferred();
+        const started: string[] = [];
+
+        pool.schedule(["db"], () => {
+            started.push("first");
+            return db.promise;
+        });
+        const secondPromise = pool.schedule(["db", "port"], () => {
+            started.push("second");
+            return Promise.resolve();
+        });
+        const thirdPromise = pool.schedule(["port"], () => {
+            started.push("third");
+            return Promise.resolve();
+        });
+        pool.schedule(["other"], () => {
+            started.push("other");
+            return Promise.resolve();
+        });
+
+        expect(started).toEqual(["first", "other"]);
+
+        db.resolve();
+        return Promise.all([secondPromise, thirdPromise]).then(() => {
+            expect(started).toEqual(["first", "other", "second", "third"]);
+        });
+    });
+
+    it("should release the resources of an operation which fails", () => {
+        const pool = new ResourcePool(getCapacity);
+        const error = new Error("failed");
+
+        const firstPromise = pool.schedule(["db"], () => Promise.reject(error));
+        const secondPromise = pool.schedule(["db"], () => {
+            throw error;
+        });
+        const thirdPromise = pool.schedule(["db"], () => Promise.resolve(3));
+
+        return Promise.all([
+            expect(firstPromise).rejects.toBe(error),
+            expect(secondPromise).rejects.toBe(error),
+            expect(thirdPromise).resolves.toBe(3)
+        ]);
+    });
+});
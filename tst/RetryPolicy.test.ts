@@ -0,0 +1,137 @@
+import { AbortError } from "../src/AbortError";
+import { RetryPolicy } from "../src/RetryPolicy";
+
+describe("RetryPolicy", () => {
+    it("should throw if retries is not a non-negative integer", () => {
+        expect(() => new RetryPolicy(-1)).toThrow();
+        expect(() => new RetryPolicy(1.5)).toThrow();
+        expect(() => new RetryPolicy(NaN)).toThrow();
+    });
+
+    it("should throw if jitter is not between 0 and 1", () => {
+        expect(() => new RetryPolicy(1, {jitter: -0.5})).toThrow();
+        expect(() => new RetryPolicy(1, {jitter: 2})).toThrow();
+    });
+
+    it("should only have retries if retries is positive", () => {
+        expect(new RetryPolicy().hasRetries()).toBe(false);
+        expect(new RetryPolicy(0).hasRetries()).toBe(false);
+        expect(new RetryPolicy(2).hasRetries()).toBe(true);
+    });
+
+    describe("getDelay", () => {
+        it("should default to no delay", () => {
+            expect(new RetryPolicy(3).getDelay(1)).toBe(0);
+        });
+
+        it("should use the same delay for every retry with a fixed backoff", () => {
+            const policy = new RetryPolicy(3, {type: "fixed", delay: 100});
+            expect(policy.getDelay(1)).toBe(100);
+            expect(policy.getDelay(3)).toBe(100);
+        });
+
+        it("should double the delay after each retry with an exponential backoff", () => {
+            const policy = new RetryPolicy(3, {type: "exponential", delay: 100});
+            expect(policy.getDelay(1)).toBe(100);
+            expect(policy.getDelay(2)).toBe(200);
+            expect(policy.getDelay(3)).toBe(400);
+        });
+
+        it("should cap the delay at maxDelay", () => {
+            const policy = new RetryPolicy(5, {type: "exponential", delay: 100, maxDelay: 250});
+            expect(policy.getDelay(2)).toBe(200);
+            expect(policy.getDelay(3)).toBe(250);
+        });
+
+        it("should randomly reduce the delay by up to the jitter", () => {
+            const random = jest.spyOn(Math, "random");
+            try {
+                const policy = new RetryPolicy(1, {delay: 100, jitter: 0.5});
+
+                random.mockReturnValue(0);
+                expect(policy.getDelay(1)).toBe(100);
+
+                random.mockReturnValue(1);
+                expect(policy.getDelay(1)).toBe(50);
+            } finally {
+                random.mockRestore();
+            }
+        });
+    });
+
+    describe("execute", () => {
+        it("should resolve with the result of a successful first attempt", () => {
+            const operation = jest.fn(() => Promise.resolve(1));
+            const onRetry = jest.fn();
+
+            return new RetryPolicy(2).execute(operation, onRetry).then((result) => {
+                expect(result).toBe(1);
+                expect(operation).toHaveBeenCalledTimes(1);
+                expect(onRetry).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should retry a failing operation until it succeeds", () => {
+            const error = new Error("Flaky");
+            const operation = jest.fn()
+                .mockImplementationOnce(() => Promise.reject(error))
+                .mockImplementationOnce(() => Promise.resolve(2));
+            const onRetry = jest.fn();
+
+            return new RetryPolicy(2).execute(operation, onRetry).then((result) => {
+                expect(result).toBe(2);
+                expect(operation).toHaveBeenCalledTimes(2);
+                expect(onRetry).toHaveBeenCalledTimes(1);
+                expect(onRetry).toHaveBeenCalledWith(1, error);
+            });
+        });
+
+        it("should reject with the last error once the retries are exhausted", () => {
+            const operation = jest.fn()
+                .mockImplementationOnce(() => Promise.reject(new Error("First")))
+                .mockImplementationOnce(() => Promise.reject(new Error("Second")))
+                .mockImplementationOnce(() => Promise.reject(new Error("Last")));
+            const onRetry = jest.fn();
+
+            expect.assertions(3);
+            return new RetryPolicy(2).execute(operation, onRetry).catch((error) => {
+                expect(error.message).toBe("Last");
+                expect(operation).toHaveBeenCalledTimes(3);
+                expect(onRetry.mock.calls.map((call) => call[0])).toEqual([1, 2]);
+            });
+        });
+
+        it("should reject with an AbortError once the signal is aborted while waiting for a retry", () => {
+            const listeners: (() => void)[] = [];
+            const signal = {
+                aborted: false,
+                addEventListener: (type: "abort", listener: () => void) => listeners.push(listener),
+                removeEventListener: jest.fn()
+            };
+            const operation = jest.fn(() => Promise.reject(new Error("Flaky")));
+            const onRetry = () => setTimeout(() => {
+                signal.aborted = true;
+                listeners.forEach((listener) => listener());
+            }, 0);
+
+            const startTime = Date.now();
+            expect.assertions(3);
+            return new RetryPolicy(1, {delay: 10000}).execute(operation, onRetry, undefined, signal).catch((error) => {
+                expect(error).toBeInstanceOf(AbortError);
+                expect(Date.now() - startTime).toBeLessThan(1000);
+                expect(operation).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        it("should not retry if shouldRetry returns false", () => {
+            const error = new Error("Fatal");
+            const operation = jest.fn(() => Promise.reject(error));
+
+            expect.assertions(2);
+            return new RetryPolicy(2).execute(operation, undefined, () => false).catch((e) => {
+                expect(e).toBe(error);
+                expect(operation).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+});
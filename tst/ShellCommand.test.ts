@@ -0,0 +1,153 @@
+import { PassThrough } from "stream";
+import { AbortError } from "../src/AbortError";
+import { ShellCommand } from "../src/ShellCommand";
+import { ShellCommandError } from "../src/ShellCommandError";
+
+describe("ShellCommand", () => {
+    let stdout: PassThrough;
+    let stderr: PassThrough;
+
+    const read = (stream: PassThrough): string => {
+        const chunk = stream.read();
+        return chunk === null ? "" : chunk.toString();
+    };
+
+    const node = (script: string): string[] => [process.execPath, "-e", script];
+
+    beforeEach(() => {
+        stdout = new PassThrough();
+        stderr = new PassThrough();
+    });
+
+    it("should throw if the command is empty", () => {
+        expect(() => new ShellCommand("")).toThrow("Missing command");
+        expect(() => new ShellCommand([])).toThrow("Missing command");
+    });
+
+    it("should format the command for messages", () => {
+        expect(new ShellCommand("eslint src").toString()).toBe("eslint src");
+        expect(new ShellCommand(["eslint", "src"]).toString()).toBe("eslint src");
+    });
+
+    it("should run a command line through the shell and resolve with its output", () => {
+        const command = new ShellCommand("echo one && echo two 1>&2", {stdout: null, stderr: null});
+
+        return command.run().then((result) => {
+            expect(result).toEqual({stdout: "one\n", stderr: "two\n", exitCode: 0});
+        });
+    });
+
+    it("should run a list of arguments without the shell", () => {
+        const command = new ShellCommand(node("console.log(process.argv[1])").concat(["$HOME"]), {stdout: null});
+
+        return command.run().then((result) => {
+            expect(result.stdout).toBe("$HOME\n");
+        });
+    });
+
+    it("should run the command in the given directory and environment", () => {
+        const command = new ShellCommand(node("console.log(process.cwd(), process.env.TASKER_TEST)"), {
+            cwd: __dirname,
+            env: {TASKER_TEST: "value"},
+            stdout: null
+        });
+
+        return command.run().then((result) => {
+            expect(result.stdout).toBe(`${__dirname} value\n`);
+        });
+    });
+
+    it("should stream each line prefixed with the task name", () => {
+        const script = "process.stdout.write('a\\nb');" +
+            "setTimeout(() => { process.stdout.write('c\\nd'); console.error('e'); }, 10)";
+        const command = new ShellCommand(node(script), {stdout: stdout, stderr: stderr});
+
+        return command.run("build").then((result) => {
+            expect(read(stdout)).toBe("[build] a\n[build] bc\n[build] d\n");
+            expect(read(stderr)).toBe("[build] e\n");
+            expect(result.stdout).toBe("a\nbc\nd");
+        });
+    });
+
+    it("should stream lines without a prefix when there is no task name", () => {
+        const command = new ShellCommand(node("console.log('a')"), {stdout: stdout});
+
+        return command.run().then(() => {
+            expect(read(stdout)).toBe("a\n");
+        });
+    });
+
+    it("should reject with the exit code and the end of stderr if the command fails", () => {
+        const script = "for (let i = 1; i <= 12; i++) console.error('line ' + i); process.exit(2)";
+        const command = new ShellCommand(node(script), {stderr: null});
+
+        return command.run().then(() => {
+            throw new Error("Expected the command to fail");
+        }, (error) => {
+            expect(error).toBeInstanceOf(ShellCommandError);
+            expect(error.exitCode).toBe(2);
+            expect(error.signal).toBe(null);
+            expect(error.stderr.split("\n").length).toBe(13);
+            expect(error.message).toBe(`Command '${command}' failed with exit code 2:\n` +
+                [3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map((line) => `line ${line}`).join("\n"));
+        });
+    });
+
+    it("should reject if the command cannot be started", () => {
+        const command = new ShellCommand(["tasker-lib-missing-command"]);
+
+        return expect(command.run()).rejects.toThrow("ENOENT");
+    });
+
+    it("should kill the command when the signal is aborted", () => {
+        const listeners: (() => void)[] = [];
+        const signal = {
+            aborted: false,
+            addEventListener: (type: "abort", listener: () => void) => listeners.push(listener),
+            removeEventListener: jest.fn()
+        };
+        const command = new ShellCommand(node("console.log('started'); setTimeout(() => {}, 10000)"), {
+            stdout: stdout
+        });
+
+        const promise = command.run("serve", signal);
+        stdout.once("data", () => listeners.forEach((listener) => listener()));
+
+        return promise.then(() => {
+            throw new Error("Expected the command to be killed");
+        }, (error) => {
+            expect(error).toBeInstanceOf(ShellCommandError);
+            expect(error.signal).toBe("SIGTERM");
+            expect(error.message).toBe(`Command '${command}' was killed by signal SIGTERM`);
+            expect(signal.removeEventListener).toHaveBeenCalledWith("abort", listeners[0]);
+        });
+    });
+
+    it("should kill every process of a compound command line when the signal is aborted", () => {
+        const listeners: (() => void)[] = [];
+        const signal = {
+            aborted: false,
+            addEventListener: (type: "abort", listener: () => void) => listeners.push(listener),
+            removeEventListener: jest.fn()
+        };
+        const command = new ShellCommand("echo started; sleep 10; echo done", {stdout: stdout});
+
+        const startTime = Date.now();
+        const promise = command.run(undefined, signal);
+        stdout.once("data", () => listeners.forEach((listener) => listener()));
+
+        return promise.then(() => {
+            throw new Error("Expected the command to be killed");
+        }, (error) => {
+            expect(error).toBeInstanceOf(ShellCommandError);
+            expect(error.stdout).toBe("started\n");
+            expect(Date.now() - startTime).toBeLessThan(2000);
+        });
+    });
+
+    it("should not start the command if the signal is already aborted", () => {
+        const signal = {aborted: true, addEventListener: jest.fn(), removeEventListener: jest.fn()};
+
+        return expect(new ShellCommand("echo never").run(undefined, signal)).rejects.toBeInstanceOf(AbortError);
+    });
+});
@@ -0,0 +1,102 @@
+import { TaskGraph } from "../src/TaskGraph";
+
+describe("TaskGraph", () => {
+    describe("getReachable", () => {
+        it("should return the given tasks and everything they depend on, in the order they are reached", () => {
+            const graph = new TaskGraph({
+                "root": ["child1", "child2"],
+                "child1": ["child2", "missingTask"],
+                "child2": [],
+                "other": []
+            });
+
+            expect(graph.getReachable(["root"])).toEqual(["root", "child1", "child2"]);
+            expect(graph.getReachable(["other", "child1"])).toEqual(["other", "child1", "child2"]);
+            expect(graph.getReachable(["missingTask"])).toEqual([]);
+        });
+    });
+
+    describe("getDependents", () => {
+        it("should return the given tasks and everything depending on them, in the order they are reached", () => {
+            const graph = new TaskGraph({
+                "root": ["child1", "child2"],
+                "child1": ["child2", "missingTask"],
+                "child2": [],
+                "other": []
+            });
+
+            expect(graph.getDependents(["child2"])).toEqual(["child2", "root", "child1"]);
+            expect(graph.getDependents(["child1", "other"])).toEqual(["child1", "root", "other"]);
+            expect(graph.getDependents(["missingTask"])).toEqual([]);
+        });
+    });
+
+    describe("getAllDependencies", () => {
+        it("should return every dependency in the order it is reached, without following missing tasks", () => {
+            const graph = new TaskGraph({
+                "root": ["child1", "child2"],
+                "child1": ["child2", "missingTask"],
+                "child2": ["root"]
+            });
+
+            expect(graph.getAllDependencies("root")).toEqual(["child1", "child2", "missingTask"]);
+            expect(graph.getAllDependencies("child2")).toEqual(["root", "child1", "missingTask"]);
+            expect(graph.getAllDependencies("missingTask")).toEqual([]);
+        });
+    });
+
+    describe("getDirectDependents", () => {
+        it("should return the tasks which directly depend on the task, whether or not it exists", () => {
+            const graph = new TaskGraph({
+                "root": ["child1", "child2"],
+                "child1": ["child2", "missingTask"],
+                "child2": []
+            });
+
+            expect(graph.getDirectDependents("child2")).toEqual(["root", "child1"]);
+            expect(graph.getDirectDependents("missingTask")).toEqual(["child1"]);
+            expect(graph.getDirectDependents("root")).toEqual([]);
+        });
+    });
+
+    describe("validate", () => {
+        it("should find every elementary cycle, including those sharing tasks", () => {
+            const graph = new TaskGraph({
+                "a": ["b", "c"],
+                "b": ["a"],
+                "c": ["b"]
+            });
+
+            expect(graph.validate().cycles).toEqual([
+                ["a", "b", "a"],
+                ["a", "c", "b", "a"]
+            ]);
+        });
+
+        it("should report separate cycles in separate parts of the graph", () => {
+            const graph = new TaskGraph({
+                "a": ["b"],
+                "b": ["a"],
+                "c": ["d"],
+                "d": ["c"],
+                "e": ["a", "c"]
+            });
+
+            expect(graph.validate(["e"]).cycles).toEqual([
+                ["a", "b", "a"],
+                ["c", "d", "c"]
+            ]);
+        });
+
+        it("should not report cycles in diamond-shaped graphs", () => {
+            const graph = new TaskGraph({
+                "root": ["left", "right"],
+                "left": ["bottom"],
+                "right": ["bottom"],
+                "bottom": []
+            });
+
+            expect(graph.validate().valid).toBe(true);
+        });
+    });
+});
@@ -1,4 +1,16 @@
+import * as fs from "fs";
+import * as path from "path";
+import { PassThrough } from "stream";
+import { AbortError } from "../src/AbortError";
+import { CheckpointError } from "../src/CheckpointError";
+import { MemoryCacheStore } from "../src/MemoryCacheStore";
+import { RunFailedError } from "../src/RunFailedError";
+import { ShellCommandError } from "../src/ShellCommandError";
+import { shell } from "../src/ShellTask";
 import { TaskRunner } from "../src/TaskRunner";
+import { TimeoutError } from "../src/TimeoutError";
+import { ValidationError } from "../src/ValidationError";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
 
 describe("TaskRunner", () => {
     let taskRunner: TaskRunner;
@@ -437,6 +449,97 @@ describe("TaskRunner", () => {
                 expect(root).not.toHaveBeenCalled();
             });
         });
+
+        describe("cascade", () => {
+            beforeEach(() => {
+                taskRunner.addTask("child", () => 1);
+                taskRunner.addTask("parent1", ["child"], () => 2);
+                taskRunner.addTask("parent2", {dependencies: "parent1", optionalDependencies: "child"});
+                taskRunner.addTask("other", () => 3);
+            });
+
+            it("should remove the task from the dependencies of its dependents with \"unlink\"", () => {
+                taskRunner.removeTask("child", {cascade: "unlink"});
+
+                expect(taskRunner.getTaskList()).toEqual({parent1: [], parent2: ["parent1"], other: []});
+                return taskRunner.run("parent2");
+            });
+
+            it("should remove its dependents, transitively, with \"remove\"", () => {
+                taskRunner.removeTask("child", {cascade: "remove"});
+
+                expect(taskRunner.getTaskList()).toEqual({other: []});
+            });
+
+            it("should throw instead of removing a task with dependents with \"throw\"", () => {
+                expect(() => taskRunner.removeTask("child", {cascade: "throw"}))
+                    .toThrow("Task child cannot be removed while tasks depend on it: 'parent1', 'parent2'");
+                expect(Object.keys(taskRunner.getTaskList())).toEqual(["child", "parent1", "parent2", "other"]);
+
+                taskRunner.removeTask("parent2", {cascade: "throw"});
+                expect(Object.keys(taskRunner.getTaskList())).toEqual(["child", "parent1", "other"]);
+            });
+
+            it("should do nothing if the task does not exist", () => {
+                taskRunner.addDependencies("other", "missing");
+                taskRunner.removeTask("missing", {cascade: "remove"});
+
+                expect(Object.keys(taskRunner.getTaskList())).toEqual(["child", "parent1", "parent2", "other"]);
+            });
+
+            it("should throw if the cascade option is invalid", () => {
+                expect(() => taskRunner.removeTask("child", {cascade: <any> "delete"}))
+                    .toThrow(`cascade must be "unlink", "remove" or "throw", got 'delete'`);
+            });
+        });
+    });
+
+    describe("getDependencies", () => {
+        beforeEach(() => {
+            taskRunner.addTask("child", () => 1);
+            taskRunner.addTask("parent", ["child", "missing"], () => 2);
+            taskRunner.addTask("root", ["parent"], () => 3);
+        });
+
+        it("should return the direct dependencies of the task", () => {
+            expect(taskRunner.getDependencies("root")).toEqual(["parent"]);
+            expect(taskRunner.getDependencies("parent")).toEqual(["child", "missing"]);
+            expect(taskRunner.getDependencies("child")).toEqual([]);
+        });
+
+        it("should return every dependency of the task if transitive", () => {
+            expect(taskRunner.getDependencies("root", {transitive: true})).toEqual(["parent", "child", "missing"]);
+        });
+
+        it("should throw if the task does not exist", () => {
+            expect(() => taskRunner.getDependencies("missing")).toThrow("Task 'missing' not found");
+            expect(() => taskRunner.getDependencies(null)).toThrow("Missing task name");
+        });
+    });
+
+    describe("getDependents", () => {
+        beforeEach(() => {
+            taskRunner.addTask("child", () => 1);
+            taskRunner.addTask("parent", ["child"], () => 2);
+            taskRunner.addTask("root", ["parent", "child"], () => 3);
+        });
+
+        it("should return the direct dependents of the task", () => {
+            expect(taskRunner.getDependents("child")).toEqual(["parent", "root"]);
+            expect(taskRunner.getDependents("parent")).toEqual(["root"]);
+            expect(taskRunner.getDependents("root")).toEqual([]);
+        });
+
+        it("should return every dependent of the task if transitive", () => {
+            taskRunner.addTask("top", ["root"], () => 4);
+
+            expect(taskRunner.getDependents("parent", {transitive: true})).toEqual(["root", "top"]);
+        });
+
+        it("should throw if the task does not exist", () => {
+            expect(() => taskRunner.getDependents("missing")).toThrow("Task 'missing' not found");
+            expect(() => taskRunner.getDependents(null)).toThrow("Missing task name");
+        });
     });
 
     describe("result passing", () => {
@@ -491,10 +594,6 @@ describe("TaskRunner", () => {
             return runningPromise;
         };
 
-        it("should throw if run is called while a run is in progress", () => {
-            return expectThrow(() => taskRunner.run("root"));
-        });
-
         it("should throw if addDependencies is called while a run is in progress", () => {
             return expectThrow(() => taskRunner.addDependencies("root", "other"));
         });
@@ -512,6 +611,371 @@ describe("TaskRunner", () => {
         });
     });
 
+    describe("validate", () => {
+        it("should report a valid tree", () => {
+            addTask("child1");
+            addTask("root", ["child1"]);
+
+            expect(taskRunner.validate()).toEqual({
+                valid: true,
+                missingDependencies: [],
+                cycles: []
+            });
+        });
+
+        it("should report every missing dependency with the task that references it", () => {
+            addTask("child1", ["missing1"]);
+            addTask("root", ["child1", "missing2", "missing1"]);
+
+            const result = taskRunner.validate();
+            expect(result.valid).toBe(false);
+            expect(result.missingDependencies).toEqual([
+                {taskName: "child1", dependency: "missing1"},
+                {taskName: "root", dependency: "missing2"},
+                {taskName: "root", dependency: "missing1"}
+            ]);
+        });
+
+        it("should report every cycle as its full ordered path", () => {
+            addTask("root", ["child1", "child3"]);
+            addTask("child1", ["child2"]);
+            addTask("child2", ["child3", "child1"]);
+            addTask("child3", ["child3", "child1"]);
+
+            const result = taskRunner.validate("root");
+            expect(result.valid).toBe(false);
+            expect(result.cycles).toEqual([
+                ["child1", "child2", "child3", "child1"],
+                ["child1", "child2", "child1"],
+                ["child3", "child3"]
+            ]);
+        });
+
+        it("should report a long cycle as a single path", () => {
+            addTask("child4", ["root"]);
+            addTask("child3", ["child4"]);
+            addTask("child2", ["child3"]);
+            addTask("child1", ["child2"]);
+            addTask("root", ["child1"]);
+
+            expect(taskRunner.validate("root").cycles).toEqual([
+                ["root", "child1", "child2", "child3", "child4", "root"]
+            ]);
+        });
+
+        it("should only validate the tasks reachable from the given tasks", () => {
+            addTask("child1");
+            addTask("root", ["child1"]);
+            addTask("other", ["missingTask", "other"]);
+
+            expect(taskRunner.validate("root").valid).toBe(true);
+            expect(taskRunner.validate(["root", "other"]).valid).toBe(false);
+        });
+
+        it("should not run any task", () => {
+            const root = addTask("root", ["root"]);
+            taskRunner.validate();
+
+            expect(root).not.toHaveBeenCalled();
+        });
+
+        it("should throw if the given task doesn't exist", () => {
+            expect(() => taskRunner.validate("missingTask")).toThrow();
+        });
+    });
+
+    describe("getExecutionPlan", () => {
+        it("should group the reachable tasks into waves that can run in parallel", () => {
+            addTask("child3");
+            addTask("child2", ["child3"]);
+            addTask("child1");
+            addTask("root", ["child1", "child2"]);
+            addTask("other");
+
+            expect(taskRunner.getExecutionPlan("root").waves).toEqual([
+                ["child1", "child3"],
+                ["child2"],
+                ["root"]
+            ]);
+        });
+
+        it("should list the direct and transitive dependencies of each task", () => {
+            addTask("child3");
+            addTask("child2", ["child3"]);
+            addTask("child1", ["child2"]);
+            addTask("root", ["child1", "child3"]);
+
+            expect(taskRunner.getExecutionPlan("root").tasks).toEqual({
+                "root": {dependencies: ["child1", "child3"], transitiveDependencies: ["child3", "child2", "child1"]},
+                "child1": {dependencies: ["child2"], transitiveDependencies: ["child3", "child2"]},
+                "child2": {dependencies: ["child3"], transitiveDependencies: ["child3"]},
+                "child3": {dependencies: [], transitiveDependencies: []}
+            });
+        });
+
+        it("should plan for multiple tasks at once", () => {
+            addTask("setup");
+            addTask("lint", ["setup"]);
+            addTask("test", ["setup"]);
+
+            expect(taskRunner.getExecutionPlan(["lint", "test"]).waves).toEqual([
+                ["setup"],
+                ["lint", "test"]
+            ]);
+        });
+
+        it("should throw a ValidationError if the tree is invalid", () => {
+            addTask("root", ["child1", "missingTask"]);
+            addTask("child1", ["root"]);
+
+            expect(() => taskRunner.getExecutionPlan("root")).toThrow(ValidationError);
+        });
+
+        it("should throw if the task doesn't exist", () => {
+            expect(() => taskRunner.getExecutionPlan("missingTask")).toThrow();
+        });
+
+        it("should not run any task", () => {
+            const root = addTask("root");
+            taskRunner.getExecutionPlan("root");
+
+            expect(root).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("exportGraph", () => {
+        beforeEach(() => {
+            addTask("child2");
+            addTask("child1", ["child2", "missingTask"]);
+            addTask("root", ["child1"]);
+            addTask("other");
+        });
+
+        it("should export every task as versioned JSON, marking missing dependencies", () => {
+            expect(JSON.parse(taskRunner.exportGraph("json"))).toEqual({
+                version: 1,
+                tasks: ["child2", "child1", "root", "other"],
+                dependencies: [
+                    {taskName: "child1", dependency: "child2", missing: false},
+                    {taskName: "child1", dependency: "missingTask", missing: true},
+                    {taskName: "root", dependency: "child1", missing: false}
+                ]
+            });
+        });
+
+        it("should limit the export to the tasks reachable from the given task", () => {
+            expect(JSON.parse(taskRunner.exportGraph("json", "child1")).tasks).toEqual(["child1", "child2"]);
+
+            const dot = taskRunner.exportGraph("dot", "child1");
+            expect(dot).not.toContain("root");
+            expect(dot).toContain("\"child1\" -> \"missingTask\" [style=dashed];");
+        });
+
+        it("should export a Mermaid flowchart", () => {
+            expect(taskRunner.exportGraph("mermaid", "root")).toContain("flowchart TD");
+        });
+
+        it("should throw if the task doesn't exist", () => {
+            expect(() => taskRunner.exportGraph("dot", "missingTask")).toThrow();
+        });
+    });
+
+    describe("dryRun", () => {
+        it("should fire onTaskStart and onTaskEnd without calling any task", () => {
+            const onTaskStart = jest.fn();
+            const onTaskEnd = jest.fn();
+            taskRunner = new TaskRunner({onTaskStart: onTaskStart, onTaskEnd: onTaskEnd});
+
+            const child1 = addTask("child1");
+            const root = addTask("root", ["child1"]);
+
+            return taskRunner.run("root", {dryRun: true}).then((result) => {
+                expect(result).toBeUndefined();
+                expect(child1).not.toHaveBeenCalled();
+                expect(root).not.toHaveBeenCalled();
+                expect(onTaskStart).toBeCalledWith("root", ["child1"]);
+                expect(onTaskStart).toBeCalledWith("child1", []);
+                expect(onTaskEnd.mock.calls).toEqual([["child1"], ["root"]]);
+            });
+        });
+
+        it("should fire onTaskStart with a maxConcurrency limit", () => {
+            const onTaskStart = jest.fn();
+            taskRunner = new TaskRunner({maxConcurrency: 1, onTaskStart: onTaskStart});
+            addTask("root");
+
+            return taskRunner.run("root", {dryRun: true}).then(() => {
+                expect(onTaskStart).toBeCalledWith("root", []);
+            });
+        });
+
+        it("should still reject on cycles and missing tasks", () => {
+            addTask("root", ["missingTask"]);
+
+            expect.assertions(1);
+            return taskRunner.run("root", {dryRun: true}).catch((error) => {
+                expect(error.message).toContain("missingTask");
+            });
+        });
+    });
+
+    describe("strict", () => {
+        beforeEach(() => {
+            taskRunner = new TaskRunner({strict: true});
+        });
+
+        it("should throw a ValidationError when adding a task with a missing dependency", () => {
+            expect(() => addTask("root", ["missingTask"])).toThrow(ValidationError);
+            expect(taskRunner.getTaskList()).toEqual({});
+        });
+
+        it("should throw a ValidationError when a task depends on itself", () => {
+            expect(() => addTask("root", ["root"])).toThrow(ValidationError);
+        });
+
+        it("should throw a ValidationError when adding a missing dependency", () => {
+            addTask("root");
+
+            expect(() => taskRunner.addDependencies("root", "missingTask")).toThrow(ValidationError);
+            expect(taskRunner.getTaskList()).toEqual({"root": []});
+        });
+
+        it("should throw a ValidationError naming the cycle when adding a dependency would introduce one", () => {
+            addTask("child2");
+            addTask("child1", ["child2"]);
+            addTask("root", ["child1"]);
+
+            let error: ValidationError = null;
+            try {
+                taskRunner.addDependencies("child2", ["root"]);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.result.cycles).toEqual([["child2", "root", "child1", "child2"]]);
+            expect(error.message).toContain("child2 -> root -> child1 -> child2");
+            expect(taskRunner.getTaskList()["child2"]).toEqual([]);
+        });
+
+        it("should allow valid trees built in dependency order", () => {
+            addTask("child1");
+            addTask("root", ["child1"]);
+            taskRunner.addDependencies("root", "child1");
+
+            return taskRunner.run("root");
+        });
+    });
+
+    describe("multiple runs", () => {
+        it("should run multiple tasks and resolve with a map of their results", () => {
+            taskRunner.addTask("lint", () => "linted");
+            taskRunner.addTask("test", () => "tested");
+            taskRunner.addTask("build", () => "built");
+
+            return taskRunner.run(["lint", "test", "build"]).then((results) => {
+                expect(results).toEqual({
+                    lint: "linted",
+                    test: "tested",
+                    build: "built"
+                });
+            });
+        });
+
+        it("should run dependencies shared between the tasks only once", () => {
+            const setup = addTask("setup");
+            const lint = addTask("lint", ["setup"]);
+            const test = addTask("test", ["setup"]);
+
+            return taskRunner.run(["lint", "test", "test"]).then(() => {
+                expect(setup).toHaveBeenCalledTimes(1);
+                expect(lint).toHaveBeenCalledTimes(1);
+                expect(test).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        it("should reject if any of the tasks doesn't exist", () => {
+            const lint = addTask("lint");
+
+            expect.assertions(1);
+            return taskRunner.run(["lint", "missingTask"]).catch((error) => {
+                expect(error.message).toContain("missingTask");
+            });
+        });
+
+        it("should reject if any of the task names is missing", () => {
+            expect.assertions(1);
+            return taskRunner.run(["lint", null]).catch((error) => {
+                expect(error).toBeDefined();
+            });
+        });
+
+        it("should allow runs to overlap, each running its own copy of the tasks", () => {
+            const dones = [];
+            const child1 = jest.fn((results, done) => {
+                dones.push(done);
+            });
+            taskRunner.addTask("child1", child1);
+            taskRunner.addTask("root", ["child1"], (results) => results["child1"] + 1);
+
+            const firstRun = taskRunner.run("root");
+            const secondRun = taskRunner.run("root");
+
+            expect(child1).toHaveBeenCalledTimes(2);
+            dones[1](10);
+            dones[0](20);
+
+            return Promise.all([firstRun, secondRun]).then(([first, second]) => {
+                expect(first).toBe(21);
+                expect(second).toBe(11);
+            });
+        });
+
+        it("should keep the tree locked until every overlapping run has completed", () => {
+            const dones = [];
+            taskRunner.addTask("root", (results, done) => {
+                dones.push(done);
+            });
+
+            const firstRun = taskRunner.run("root");
+            const secondRun = taskRunner.run("root");
+
+            dones[0]();
+            return firstRun
+                .then(() => {
+                    expect(() => taskRunner.addTask("other", jest.fn())).toThrow();
+
+                    dones[1]();
+                    return secondRun;
+                })
+                .then(() => taskRunner.addTask("other", jest.fn()));
+        });
+
+        it("should share the maxConcurrency limit between overlapping runs", () => {
+            taskRunner = new TaskRunner({maxConcurrency: 1});
+            const dones = [];
+            const root = jest.fn((results, done) => {
+                dones.push(done);
+            });
+            taskRunner.addTask("root", root);
+
+            const firstRun = taskRunner.run("root");
+            const secondRun = taskRunner.run("root");
+
+            return Promise.resolve()
+                .then(() => {
+                    expect(root).toHaveBeenCalledTimes(1);
+                    dones[0]();
+                    return firstRun;
+                })
+                .then(() => {
+                    expect(root).toHaveBeenCalledTimes(2);
+                    dones[1]();
+                    return secondRun;
+                });
+        });
+    });
+
     describe("getTaskList", () => {
         it("should return an empty map if no tasks are added", () => {
             expect(taskRunner.getTaskList()).toEqual({});
@@ -537,6 +1001,2148 @@ describe("TaskRunner", () => {
         });
     });
 
+    describe("maxConcurrency", () => {
+        const trackConcurrency = function () {
+            const state = { running: 0, maxRunning: 0 };
+            const task = (results, done) => {
+                state.running++;
+                state.maxRunning = Math.max(state.maxRunning, state.running);
+                setTimeout(() => {
+                    state.running--;
+                    done();
+                }, 0);
+            };
+
+            return { state, task };
+        };
+
+        it("should never run more tasks at once than the limit", () => {
+            taskRunner = new TaskRunner({maxConcurrency: 2});
+            const { state, task } = trackConcurrency();
+            const children = ["child1", "child2", "child3", "child4", "child5"];
+            for (const child of children) {
+                taskRunner.addTask(child, task);
+            }
+            taskRunner.addTask("root", children, task);
+
+            return taskRunner.run("root").then(() => {
+                expect(state.maxRunning).toBe(2);
+            });
+        });
+
+        it("should allow the limit to be overridden per run", () => {
+            taskRunner = new TaskRunner({maxConcurrency: 3});
+            const { state, task } = trackConcurrency();
+            taskRunner.addTask("child1", task);
+            taskRunner.addTask("child2", task);
+            taskRunner.addTask("child3", task);
+            taskRunner.addTask("root", ["child1", "child2", "child3"], task);
+
+            return taskRunner.run("root", {maxConcurrency: 1}).then(() => {
+                expect(state.maxRunning).toBe(1);
+            });
+        });
+
+        it("should keep the dependency order and result passing", () => {
+            taskRunner = new TaskRunner({maxConcurrency: 1});
+            const order: string[] = [];
+            taskRunner.addTask("child2", () => {
+                order.push("child2");
+                return 2;
+            });
+            taskRunner.addTask("child1", ["child2"], (results) => {
+                order.push("child1");
+                return results["child2"] + 1;
+            });
+            taskRunner.addTask("root", ["child1", "child2"], (results) => {
+                order.push("root");
+                return results["child1"] + results["child2"];
+            });
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBe(5);
+                expect(order).toEqual(["child2", "child1", "root"]);
+            });
+        });
+
+        it("should call onTaskStart when a task leaves the queue, not when it is queued", () => {
+            const onTaskStart = jest.fn();
+            taskRunner = new TaskRunner({maxConcurrency: 1, onTaskStart: onTaskStart});
+
+            let finishChild1 = null;
+            taskRunner.addTask("child1", (results, done) => {
+                finishChild1 = done;
+            });
+            taskRunner.addTask("child2", jest.fn());
+            taskRunner.addTask("root", ["child1", "child2"], jest.fn());
+
+            const runPromise = taskRunner.run("root");
+
+            return Promise.resolve()
+                .then(() => {
+                    expect(onTaskStart).toHaveBeenCalledTimes(1);
+                    expect(onTaskStart).toHaveBeenCalledWith("child1", []);
+
+                    finishChild1();
+                    return runPromise;
+                })
+                .then(() => {
+                    expect(onTaskStart).toHaveBeenCalledTimes(3);
+                    expect(onTaskStart.mock.calls.map((call) => call[0])).toEqual(["child1", "child2", "root"]);
+                });
+        });
+
+        it("should call onTaskStart for skipped and cached tasks as it does without a limit", () => {
+            const runWith = (maxConcurrency?: number) => {
+                const calls: string[] = [];
+                const record = (callback: string) => (taskName: string) => calls.push(`${callback} ${taskName}`);
+                const runner = new TaskRunner({
+                    cacheStore: new MemoryCacheStore(),
+                    onTaskStart: record("start"),
+                    onTaskSkip: record("skip"),
+                    onTaskCached: record("cached"),
+                    onTaskEnd: record("end")
+                });
+                runner.addTask("child1", {task: () => 1, inputs: {}});
+                runner.addTask("root", {dependencies: ["child1"], task: jest.fn(), when: () => false});
+
+                const runOptions = maxConcurrency === undefined ? {} : {maxConcurrency: maxConcurrency};
+                return runner.run("root", runOptions).then(() => {
+                    calls.length = 0;
+                    return runner.run("root", runOptions);
+                }).then(() => calls);
+            };
+
+            return Promise.all([runWith(), runWith(1)]).then(([unlimited, limited]) => {
+                expect(unlimited).toEqual(["start root", "start child1", "cached child1", "end child1", "skip root"]);
+                expect(limited).toEqual(["start child1", "cached child1", "end child1", "start root", "skip root"]);
+            });
+        });
+
+        it("should reject the run if the limit is not a positive integer", () => {
+            addTask("root");
+
+            expect.assertions(1);
+            return taskRunner.run("root", {maxConcurrency: 0}).catch((error) => {
+                expect(error).toBeDefined();
+            });
+        });
+    });
+
+    describe("timeouts and retries", () => {
+        it("can add a task with the options form", () => {
+            const child1 = addTask("child1");
+            const root = jest.fn(() => 1);
+            taskRunner.addTask("root", {dependencies: "child1", task: root});
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBe(1);
+                expect(child1).toHaveBeenCalledTimes(1);
+                expect(taskRunner.getTaskList()).toEqual({
+                    "child1": [],
+                    "root": ["child1"]
+                });
+            });
+        });
+
+        it("should throw if the timeout or retry options are invalid", () => {
+            expect(() => taskRunner.addTask("root", {timeout: 0})).toThrow();
+            expect(() => taskRunner.addTask("root", {retries: -1})).toThrow();
+            expect(() => taskRunner.addTask("root", {retries: 1, backoff: {jitter: 5}})).toThrow();
+        });
+
+        it("should reject with a TimeoutError naming the task if it takes too long", () => {
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskFail: onTaskFail});
+            taskRunner.addTask("root", {
+                timeout: 10,
+                task: (results, done) => {
+                    // Never completes.
+                }
+            });
+
+            expect.assertions(4);
+            return taskRunner.run("root").catch((error) => {
+                expect(error).toBeInstanceOf(TimeoutError);
+                expect(error.taskName).toBe("root");
+                expect(error.message).toContain("'root'");
+                expect(onTaskFail).toBeCalledWith("root");
+            });
+        });
+
+        it("should abort the signal of an attempt which times out, and only retry once it has settled", () => {
+            const events: string[] = [];
+            let attempts = 0;
+            taskRunner.addTask("root", {
+                timeout: 20,
+                retries: 1,
+                style: "promise",
+                task: (results: any, context: any) => {
+                    const attempt = ++attempts;
+                    events.push(`start ${attempt}`);
+                    if (attempt > 1) {
+                        return Promise.resolve(context.signal.aborted);
+                    }
+
+                    return new Promise((resolve) => context.signal.addEventListener("abort", () => {
+                        events.push(`abort ${attempt}`);
+                        setTimeout(() => {
+                            events.push(`settle ${attempt}`);
+                            resolve(attempt);
+                        }, 20);
+                    }));
+                }
+            });
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBe(false);
+                expect(events).toEqual(["start 1", "abort 1", "settle 1", "start 2"]);
+            });
+        });
+
+        it("should not time out tasks which complete in time", () => {
+            taskRunner.addTask("root", {timeout: 1000, task: () => 1});
+
+            return taskRunner.run("root").then((result) => expect(result).toBe(1));
+        });
+
+        it("should retry failing tasks and call onTaskRetry for each retry", () => {
+            const onTaskRetry = jest.fn();
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskRetry: onTaskRetry, onTaskFail: onTaskFail});
+
+            const error = new Error("Flaky");
+            const task = jest.fn()
+                .mockImplementationOnce(() => { throw error; })
+                .mockImplementationOnce(() => { throw error; })
+                .mockImplementationOnce(() => 3);
+            taskRunner.addTask("root", {task: task, retries: 2, backoff: {type: "exponential", delay: 1}});
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBe(3);
+                expect(task).toHaveBeenCalledTimes(3);
+                expect(onTaskRetry).toHaveBeenCalledTimes(2);
+                expect(onTaskRetry).toBeCalledWith("root", 1, error);
+                expect(onTaskRetry).toBeCalledWith("root", 2, error);
+                expect(onTaskFail).not.toBeCalled();
+            });
+        });
+
+        it("should retry tasks which time out", () => {
+            const onTaskRetry = jest.fn();
+            taskRunner = new TaskRunner({onTaskRetry: onTaskRetry});
+
+            let attempts = 0;
+            taskRunner.addTask("root", {
+                timeout: 10,
+                retries: 1,
+                style: "callback",
+                task: (results, done, context) => {
+                    if (++attempts === 2) {
+                        done(2);
+                    } else {
+                        context.signal.addEventListener("abort", () => done(1));
+                    }
+                }
+            });
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBe(2);
+                expect(onTaskRetry.mock.calls[0][2]).toBeInstanceOf(TimeoutError);
+            });
+        });
+
+        it("should only call onTaskFail once the last retry has failed", () => {
+            const onTaskRetry = jest.fn();
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskRetry: onTaskRetry, onTaskFail: onTaskFail});
+
+            const task = jest.fn(() => {
+                expect(onTaskFail).not.toBeCalled();
+                throw new Error("Broken");
+            });
+            taskRunner.addTask("root", {task: task, retries: 2});
+
+            expect.assertions(6);
+            return taskRunner.run("root").catch((error) => {
+                expect(error.message).toBe("Broken");
+                expect(onTaskRetry).toHaveBeenCalledTimes(2);
+                expect(onTaskFail).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+
+    describe("cache", () => {
+        let cacheStore: MemoryCacheStore;
+        let onTaskCached: jest.Mock;
+        let onTaskEnd: jest.Mock;
+        beforeEach(() => {
+            cacheStore = new MemoryCacheStore();
+            onTaskCached = jest.fn();
+            onTaskEnd = jest.fn();
+            taskRunner = new TaskRunner({cacheStore: cacheStore, onTaskCached: onTaskCached, onTaskEnd: onTaskEnd});
+        });
+
+        it("should reuse the cached result when the inputs are unchanged", () => {
+            const root = jest.fn(() => 1);
+            taskRunner.addTask("root", {task: root, inputs: {key: () => "v1"}});
+
+            return taskRunner.run("root")
+                .then(() => taskRunner.run("root"))
+                .then((result) => {
+                    expect(result).toBe(1);
+                    expect(root).toHaveBeenCalledTimes(1);
+                    expect(onTaskCached).toHaveBeenCalledTimes(1);
+                    expect(onTaskCached).toBeCalledWith("root");
+                    expect(onTaskEnd).toHaveBeenCalledTimes(2);
+                });
+        });
+
+        it("should run the task again when the inputs change", () => {
+            let version = "v1";
+            const root = jest.fn(() => version);
+            taskRunner.addTask("root", {task: root, inputs: {key: () => version}});
+
+            return taskRunner.run("root")
+                .then(() => {
+                    version = "v2";
+                    return taskRunner.run("root");
+                })
+                .then((result) => {
+                    expect(result).toBe("v2");
+                    expect(root).toHaveBeenCalledTimes(2);
+                    expect(onTaskCached).not.toBeCalled();
+                });
+        });
+
+        it("should run the task again when it is redefined", () => {
+            taskRunner.addTask("root", {task: () => "v1", inputs: {key: () => "v1"}});
+
+            return taskRunner.run("root")
+                .then(() => {
+                    taskRunner.removeTask("root");
+                    taskRunner.addTask("root", {task: () => "v2", inputs: {key: () => "v1"}});
+                    return taskRunner.run("root");
+                })
+                .then((result) => {
+                    expect(result).toBe("v2");
+                    expect(onTaskCached).not.toBeCalled();
+                });
+        });
+
+        it("should run the task again when the results of its dependencies change", () => {
+            let childResult = 1;
+            taskRunner.addTask("child1", () => childResult);
+            const root = jest.fn((results) => results["child1"] * 10);
+            taskRunner.addTask("root", {dependencies: ["child1"], task: root, inputs: {}});
+
+            return taskRunner.run("root")
+                .then(() => taskRunner.run("root"))
+                .then(() => {
+                    childResult = 2;
+                    return taskRunner.run("root");
+                })
+                .then((result) => {
+                    expect(result).toBe(20);
+                    expect(root).toHaveBeenCalledTimes(2);
+                });
+        });
+
+        it("should never cache tasks without inputs", () => {
+            const root = addTask("root");
+
+            return taskRunner.run("root")
+                .then(() => taskRunner.run("root"))
+                .then(() => expect(root).toHaveBeenCalledTimes(2));
+        });
+
+        it("should not cache anything without a cache store", () => {
+            taskRunner = new TaskRunner();
+            const root = jest.fn();
+            taskRunner.addTask("root", {task: root, inputs: {key: () => "v1"}});
+
+            return taskRunner.run("root")
+                .then(() => taskRunner.run("root"))
+                .then(() => expect(root).toHaveBeenCalledTimes(2));
+        });
+
+        it("should not cache failed tasks", () => {
+            const root = jest.fn()
+                .mockImplementationOnce(() => { throw new Error("Fail task"); })
+                .mockImplementationOnce(() => 2);
+            taskRunner.addTask("root", {task: root, inputs: {key: () => "v1"}});
+
+            return taskRunner.run("root")
+                .catch(() => taskRunner.run("root"))
+                .then((result) => {
+                    expect(result).toBe(2);
+                    expect(root).toHaveBeenCalledTimes(2);
+                });
+        });
+    });
+
+    describe("abort", () => {
+        const createAbortController = function () {
+            const listeners: (() => void)[] = [];
+            const signal = {
+                aborted: false,
+                addEventListener: (type: string, listener: () => void) => listeners.push(listener),
+                removeEventListener: (type: string, listener: () => void) => {
+                    listeners.splice(listeners.indexOf(listener), 1);
+                }
+            };
+            const abort = () => {
+                signal.aborted = true;
+                for (const listener of listeners.slice()) {
+                    listener();
+                }
+            };
+
+            return { signal, abort, listeners };
+        };
+
+        it("should reject with an AbortError without running anything if the signal is already aborted", () => {
+            const { signal, abort } = createAbortController();
+            const root = addTask("root");
+            abort();
+
+            expect.assertions(2);
+            return taskRunner.run("root", {signal: signal}).catch((error) => {
+                expect(error).toBeInstanceOf(AbortError);
+                expect(root).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should reject with an AbortError while tasks are running, and pass them the signal", () => {
+            const { signal, abort } = createAbortController();
+            let receivedSignal = null;
+            taskRunner.addTask("child1", {
+                style: "callback",
+                task: (results, done, context) => {
+                    receivedSignal = context.signal;
+                    abort();
+                    done(1);
+                }
+            });
+            const root = addTask("root", ["child1"]);
+
+            expect.assertions(3);
+            return taskRunner.run("root", {signal: signal}).catch((error) => {
+                expect(error).toBeInstanceOf(AbortError);
+                expect(receivedSignal).toBe(signal);
+                expect(root).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should not start queued tasks once aborted, and call onTaskCancel for them", () => {
+            const { signal, abort } = createAbortController();
+            const onTaskCancel = jest.fn();
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({maxConcurrency: 1, onTaskCancel: onTaskCancel, onTaskFail: onTaskFail});
+
+            let finishChild1 = null;
+            taskRunner.addTask("child1", (results, done) => {
+                finishChild1 = done;
+            });
+            const child2 = addTask("child2");
+            const root = addTask("root", ["child1", "child2"]);
+
+            const runPromise = taskRunner.run("root", {signal: signal});
+            abort();
+            finishChild1();
+
+            expect.assertions(6);
+            return runPromise.catch((error) => {
+                expect(error).toBeInstanceOf(AbortError);
+                return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+                    expect(child2).not.toHaveBeenCalled();
+                    expect(root).not.toHaveBeenCalled();
+                    expect(onTaskCancel).toBeCalledWith("child2");
+                    expect(onTaskCancel).toBeCalledWith("root");
+                    expect(onTaskFail).not.toBeCalled();
+                });
+            });
+        });
+
+        it("should cancel a task waiting for a retry right away", () => {
+            const { signal, abort } = createAbortController();
+            const onTaskCancel = jest.fn();
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskRetry: abort, onTaskCancel: onTaskCancel, onTaskFail: onTaskFail});
+            const root = jest.fn(() => {
+                throw new Error("Flaky");
+            });
+            taskRunner.addTask("root", {task: root, retries: 1, backoff: {delay: 10000}});
+
+            const startTime = Date.now();
+            expect.assertions(5);
+            return taskRunner.run("root", {signal: signal}).catch((error) => {
+                expect(error).toBeInstanceOf(AbortError);
+                expect(Date.now() - startTime).toBeLessThan(1000);
+                expect(root).toHaveBeenCalledTimes(1);
+                expect(onTaskCancel).toBeCalledWith("root");
+                expect(onTaskFail).not.toBeCalled();
+            });
+        });
+
+        it("should keep the task tree locked until the running tasks settle, then stop listening", () => {
+            const { signal, abort, listeners } = createAbortController();
+            const onRunEnd = jest.fn();
+            taskRunner.on("runEnd", onRunEnd);
+            let finishRoot = null;
+            taskRunner.addTask("root", (results, done) => {
+                finishRoot = done;
+            });
+
+            const runPromise = taskRunner.run("root", {signal: signal});
+            expect(listeners.length).toBe(1);
+            abort();
+
+            return new Promise((resolve) => setTimeout(resolve, 10))
+                .then(() => {
+                    expect(() => taskRunner.addTask("other", jest.fn())).toThrow();
+                    expect(onRunEnd).not.toHaveBeenCalled();
+                    finishRoot();
+                    return runPromise;
+                })
+                .catch((error) => {
+                    expect(error).toBeInstanceOf(AbortError);
+                    expect(listeners.length).toBe(0);
+                    expect(onRunEnd).toHaveBeenCalledTimes(1);
+                    taskRunner.addTask("other", jest.fn());
+                    return taskRunner.run("other");
+                });
+        });
+
+        it("should stop listening once the run completes", () => {
+            const { signal, listeners } = createAbortController();
+            addTask("root");
+
+            return taskRunner.run("root", {signal: signal}).then(() => {
+                expect(listeners.length).toBe(0);
+            });
+        });
+    });
+
+    describe("failFast", () => {
+        const fail = function (message: string) {
+            return () => {
+                throw new Error(message);
+            };
+        };
+
+        it("should keep running independent branches and reject with every failure", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            addTask("fail1").mockImplementation(fail("first"));
+            addTask("fail2").mockImplementation(fail("second"));
+            const independent = addTask("independent");
+            taskRunner.addTask("slow", () => new Promise((resolve) => setTimeout(() => resolve("slow"), 10)));
+            const afterSlow = addTask("afterSlow", ["slow"]);
+            const root = addTask("root", ["fail1", "fail2", "independent", "afterSlow"]);
+
+            expect.assertions(9);
+            return taskRunner.run("root").catch((error) => {
+                expect(error).toBeInstanceOf(RunFailedError);
+                expect(error.failures).toHaveLength(2);
+                expect(error.failures).toContainEqual({taskName: "fail1", error: new Error("first")});
+                expect(error.failures).toContainEqual({taskName: "fail2", error: new Error("second")});
+                expect(error.message).toBe("2 tasks failed: 'fail1': first; 'fail2': second");
+                expect(error.results.slow).toBe("slow");
+                expect(independent).toHaveBeenCalled();
+                expect(afterSlow).toHaveBeenCalled();
+                expect(root).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should cancel the dependents of a failed task with the failed dependency as the cause", () => {
+            const onTaskCancel = jest.fn();
+            const taskCancel = jest.fn();
+            taskRunner = new TaskRunner({failFast: false, onTaskCancel: onTaskCancel});
+            taskRunner.on("taskCancel", taskCancel);
+            addTask("child").mockImplementation(fail("child"));
+            addTask("middle", ["child"]);
+            addTask("root", ["middle"]);
+
+            expect.assertions(3);
+            return taskRunner.run("root").catch(() => {
+                expect(onTaskCancel.mock.calls).toEqual([["middle"], ["root"]]);
+                expect(taskCancel).toHaveBeenCalledWith(expect.objectContaining({taskName: "middle", cause: "child"}));
+                expect(taskCancel).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", cause: "middle"}));
+            });
+        });
+
+        it("should run a task with undefined for an optional dependency which failed", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            addTask("optional").mockImplementation(fail("optional"));
+            taskRunner.addTask("required", () => 1);
+            const root = jest.fn();
+            taskRunner.addTask("root", {dependencies: "required", optionalDependencies: "optional", task: root});
+
+            expect.assertions(3);
+            return taskRunner.run("root").catch((error) => {
+                expect(root.mock.calls[0][0]).toEqual({required: 1, optional: undefined});
+                expect(error.failures).toEqual([{taskName: "optional", error: new Error("optional")}]);
+                expect(error.results.root).toBeUndefined();
+            });
+        });
+
+        it("should run a task with undefined for an optional dependency which was cancelled", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            addTask("child").mockImplementation(fail("child"));
+            addTask("optional", ["child"]);
+            const root = jest.fn((results: any) => "root");
+            taskRunner.addTask("root", {optionalDependencies: ["optional"], task: root});
+
+            expect.assertions(2);
+            return taskRunner.run(["root"]).catch((error) => {
+                expect(root.mock.calls[0][0]).toEqual({optional: undefined});
+                expect(error.results.root).toBe("root");
+            });
+        });
+
+        it("should list optional dependencies with the other dependencies", () => {
+            taskRunner.addTask("root", {dependencies: ["a"], optionalDependencies: ["a", "b"]});
+
+            expect(taskRunner.getTaskList()).toEqual({root: ["a", "b"]});
+        });
+
+        it("should treat optional dependencies as required in fail-fast mode", () => {
+            addTask("optional").mockImplementation(fail("optional"));
+            const root = jest.fn();
+            taskRunner.addTask("root", {optionalDependencies: ["optional"], task: root});
+
+            expect.assertions(2);
+            return taskRunner.run("root").catch((error) => {
+                expect(error).toEqual(new Error("optional"));
+                expect(root).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should no longer treat a removed dependency as optional", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            addTask("optional").mockImplementation(fail("optional"));
+            const root = jest.fn();
+            taskRunner.addTask("root", {optionalDependencies: ["optional"], task: root});
+            taskRunner.removeDependencies("root", "optional");
+            taskRunner.addDependencies("root", "optional");
+
+            expect.assertions(1);
+            return taskRunner.run("root").catch(() => expect(root).not.toHaveBeenCalled());
+        });
+
+        it("should resolve with the results if nothing failed", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            taskRunner.addTask("child", () => 1);
+            taskRunner.addTask("root", ["child"], (results) => results.child + 1);
+
+            return taskRunner.run("root").then((result) => expect(result).toBe(2));
+        });
+
+        it("should be overridable per run", () => {
+            addTask("fail").mockImplementation(fail("fail"));
+            addTask("root", ["fail"]);
+
+            expect.assertions(1);
+            return taskRunner.run("root", {failFast: false})
+                .catch((error) => expect(error).toBeInstanceOf(RunFailedError));
+        });
+
+        it("should reject with a ValidationError without running anything if the tree is invalid", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            const child = addTask("child");
+            addTask("root", ["child", "missing"]);
+
+            expect.assertions(2);
+            return taskRunner.run("root").catch((error) => {
+                expect(error).toBeInstanceOf(ValidationError);
+                expect(child).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should reject if a task does not exist", () => {
+            taskRunner = new TaskRunner({failFast: false});
+
+            expect.assertions(1);
+            return taskRunner.run("missing").catch((error) => expect(error.message).toBe("Task 'missing' not found"));
+        });
+    });
+
+    describe("when", () => {
+        it("should run a task whose predicate is true", () => {
+            const when = jest.fn(() => true);
+            taskRunner.addTask("child", () => 1);
+            taskRunner.addTask("root", {dependencies: "child", when: when, task: () => "root"});
+
+            return taskRunner.run("root").then((result) => {
+                expect(when).toHaveBeenCalledWith({child: 1});
+                expect(result).toBe("root");
+            });
+        });
+
+        it("should skip a task whose predicate is false and fire onTaskSkip", () => {
+            const onTaskSkip = jest.fn();
+            const onTaskEnd = jest.fn();
+            const taskSkip = jest.fn();
+            const taskStart = jest.fn();
+            taskRunner = new TaskRunner({onTaskSkip: onTaskSkip, onTaskEnd: onTaskEnd});
+            taskRunner.on("taskSkip", taskSkip).on("taskStart", taskStart);
+
+            const task = jest.fn();
+            taskRunner.addTask("root", {when: () => false, task: task});
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBeUndefined();
+                expect(task).not.toHaveBeenCalled();
+                expect(onTaskSkip).toHaveBeenCalledWith("root");
+                expect(onTaskEnd).not.toHaveBeenCalled();
+                expect(taskSkip).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", cause: undefined}));
+                expect(taskStart).not.toHaveBeenCalled();
+            });
+        });
+
+        it("should support asynchronous predicates", () => {
+            const task = jest.fn();
+            taskRunner.addTask("root", {when: () => Promise.resolve(false), task: task});
+
+            return taskRunner.run("root").then(() => expect(task).not.toHaveBeenCalled());
+        });
+
+        it("should run dependents of a skipped task with undefined as its result by default", () => {
+            taskRunner.addTask("child", {when: () => false, task: () => 1});
+            const root = jest.fn((results: any) => "root");
+            taskRunner.addTask("root", ["child"], root);
+
+            return taskRunner.run("root").then((result) => {
+                expect(result).toBe("root");
+                expect(root.mock.calls[0][0]).toEqual({child: undefined});
+            });
+        });
+
+        it("should skip dependents of a skipped task which choose to", () => {
+            const taskSkip = jest.fn();
+            taskRunner.on("taskSkip", taskSkip);
+            taskRunner.addTask("child", {when: () => false});
+            const middle = jest.fn();
+            const root = jest.fn();
+            taskRunner.addTask("middle", {dependencies: "child", ifDependencySkipped: "skip", task: middle});
+            taskRunner.addTask("root", {dependencies: "middle", ifDependencySkipped: "skip", task: root});
+
+            return taskRunner.run("root").then(() => {
+                expect(middle).not.toHaveBeenCalled();
+                expect(root).not.toHaveBeenCalled();
+                expect(taskSkip).toHaveBeenCalledWith(expect.objectContaining({taskName: "middle", cause: "child"}));
+                expect(taskSkip).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", cause: "middle"}));
+            });
+        });
+
+        it("should not evaluate the predicate of a task skipped along with its dependency", () => {
+            const when = jest.fn(() => true);
+            taskRunner.addTask("child", {when: () => false});
+            taskRunner.addTask("root", {dependencies: "child", ifDependencySkipped: "skip", when: when});
+
+            return taskRunner.run("root").then(() => expect(when).not.toHaveBeenCalled());
+        });
+
+        it("should fail the task if the predicate throws", () => {
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskFail: onTaskFail});
+            const task = jest.fn();
+            taskRunner.addTask("root", {
+                when: () => {
+                    throw new Error("Fail predicate");
+                },
+                task: task
+            });
+
+            expect.assertions(3);
+            return taskRunner.run("root").catch((error) => {
+                expect(error).toEqual(new Error("Fail predicate"));
+                expect(task).not.toHaveBeenCalled();
+                expect(onTaskFail).toHaveBeenCalledWith("root");
+            });
+        });
+
+        it("should not evaluate predicates in a dry run", () => {
+            const when = jest.fn(() => false);
+            const onTaskEnd = jest.fn();
+            taskRunner = new TaskRunner({onTaskEnd: onTaskEnd});
+            taskRunner.addTask("root", {when: when});
+
+            return taskRunner.run("root", {dryRun: true}).then(() => {
+                expect(when).not.toHaveBeenCalled();
+                expect(onTaskEnd).toHaveBeenCalledWith("root");
+            });
+        });
+    });
+
+    describe("mount", () => {
+        let apiRunner: TaskRunner;
+        beforeEach(() => {
+            apiRunner = new TaskRunner();
+            apiRunner.addTask("compile", () => "api compiled");
+            apiRunner.addTask("build", ["compile"], (results) => `${results.compile} and built`);
+        });
+
+        it("should expose the mounted tasks and their dependencies under the namespace", () => {
+            taskRunner.mount("api", apiRunner);
+
+            expect(taskRunner.getTaskList()).toEqual({
+                "api:compile": [],
+                "api:build": ["api:compile"]
+            });
+        });
+
+        it("should run mounted tasks with the results of their dependencies under their original names", () => {
+            taskRunner.mount("api", apiRunner);
+
+            return taskRunner.run("api:build").then((result) => expect(result).toBe("api compiled and built"));
+        });
+
+        it("should allow dependencies across namespaces", () => {
+            const sharedRunner = new TaskRunner();
+            sharedRunner.addTask("codegen", () => "generated");
+            taskRunner.mount("shared", sharedRunner);
+            taskRunner.mount("api", apiRunner);
+            taskRunner.addTask("release", ["api:build", "shared:codegen"], (results) => results);
+
+            return taskRunner.run("release").then((result) => {
+                expect(result).toEqual({"api:build": "api compiled and built", "shared:codegen": "generated"});
+            });
+        });
+
+        it("should pass results from other namespaces under their full names", () => {
+            const sharedRunner = new TaskRunner();
+            sharedRunner.addTask("codegen", () => "generated");
+            const compile = jest.fn((results: any) => "compiled");
+            apiRunner = new TaskRunner();
+            apiRunner.addTask("compile", compile);
+
+            taskRunner.mount("shared", sharedRunner);
+            taskRunner.mount("api", apiRunner);
+            taskRunner.addDependencies("api:compile", "shared:codegen");
+
+            return taskRunner.run("api:compile").then(() => {
+                expect(compile.mock.calls[0][0]).toEqual({"shared:codegen": "generated"});
+            });
+        });
+
+        it("should support nested namespaces", () => {
+            const rootRunner = new TaskRunner();
+            taskRunner.mount("api", apiRunner);
+            rootRunner.mount("packages", taskRunner);
+
+            expect(Object.keys(rootRunner.getTaskList())).toEqual(["packages:api:compile", "packages:api:build"]);
+            return rootRunner.run("packages:api:build").then((result) => {
+                expect(result).toBe("api compiled and built");
+            });
+        });
+
+        it("should emit events and validate with the namespaced names", () => {
+            const onTaskStart = jest.fn();
+            taskRunner = new TaskRunner({onTaskStart: onTaskStart});
+            apiRunner.addDependencies("build", "missing");
+            taskRunner.mount("api", apiRunner);
+
+            expect(taskRunner.validate().missingDependencies).toEqual([
+                {taskName: "api:build", dependency: "api:missing"}
+            ]);
+
+            apiRunner.removeDependencies("build", "missing");
+            taskRunner.removeDependencies("api:build", "api:missing");
+            return taskRunner.run("api:build").then(() => {
+                expect(onTaskStart).toHaveBeenCalledWith("api:build", ["api:compile"]);
+                expect(onTaskStart).toHaveBeenCalledWith("api:compile", []);
+            });
+        });
+
+        it("should not reflect later changes to the mounted TaskRunner", () => {
+            taskRunner.mount("api", apiRunner);
+            apiRunner.addTask("lint");
+
+            expect(taskRunner.getTaskList()["api:lint"]).toBeUndefined();
+        });
+
+        it("should throw on conflicting task names unless throwOnOverwrite is false", () => {
+            addTask("api:build");
+
+            expect(() => taskRunner.mount("api", apiRunner)).toThrow("Task api:build already exists.");
+            expect(taskRunner.getTaskList()).toEqual({"api:build": []});
+
+            taskRunner = new TaskRunner({throwOnOverwrite: false});
+            addTask("api:build");
+            taskRunner.mount("api", apiRunner);
+
+            return taskRunner.run("api:build").then((result) => expect(result).toBe("api compiled and built"));
+        });
+
+        it("should throw a ValidationError in strict mode if a mounted task has a missing dependency", () => {
+            taskRunner = new TaskRunner({strict: true});
+            apiRunner.addDependencies("build", "missing");
+
+            expect(() => taskRunner.mount("api", apiRunner)).toThrow(ValidationError);
+            expect(taskRunner.getTaskList()).toEqual({});
+        });
+
+        it("should throw without mounting anything if a mounted task declares a conflicting resource capacity", () => {
+            taskRunner.addTask("migrate", {resources: {db: 1}, task: jest.fn()});
+            apiRunner.addTask("seed", {resources: {db: 3}, task: jest.fn()});
+
+            expect(() => taskRunner.mount("api", apiRunner))
+                .toThrow("Resource 'db' already has capacity 1, set by task migrate");
+            expect(taskRunner.getTaskList()).toEqual({migrate: []});
+        });
+
+        it("should pass the localized results to when predicates and cache keys", () => {
+            const when = jest.fn(() => true);
+            const key = jest.fn(() => "key");
+            apiRunner.addTask("test", {dependencies: "build", when: when, inputs: {key: key}});
+            taskRunner = new TaskRunner({cacheStore: new MemoryCacheStore()});
+            taskRunner.mount("api", apiRunner);
+
+            return taskRunner.run("api:test").then(() => {
+                expect(when).toHaveBeenCalledWith({build: "api compiled and built"});
+                expect(key).toHaveBeenCalledWith({build: "api compiled and built"});
+            });
+        });
+
+        it("should throw for a missing namespace or when mounting a TaskRunner into itself", () => {
+            expect(() => taskRunner.mount("", apiRunner)).toThrow("Missing namespace");
+            expect(() => taskRunner.mount("self", taskRunner)).toThrow();
+        });
+    });
+
+    describe("watch", () => {
+        let root: string;
+
+        const waitFor = (condition: () => boolean, timeout = 2000): Promise<void> => {
+            const start = Date.now();
+            return new Promise((resolve, reject) => {
+                const check = () => {
+                    if (condition()) {
+                        resolve();
+                    } else if (Date.now() - start > timeout) {
+                        reject(new Error("Timed out waiting for the condition"));
+                    } else {
+                        setTimeout(check, 10);
+                    }
+                };
+                check();
+            });
+        };
+
+        beforeEach(() => {
+            root = createTemporaryDirectory();
+            fs.mkdirSync(path.join(root, "src"));
+            fs.mkdirSync(path.join(root, "styles"));
+            fs.writeFileSync(path.join(root, "src", "index.ts"), "1");
+            fs.writeFileSync(path.join(root, "styles", "main.css"), "a");
+        });
+
+        afterEach(() => {
+            removeDirectory(root);
+        });
+
+        it("should run the tasks, then re-run only the affected tasks when watched paths change", () => {
+            let compiled = 0;
+            const compile = jest.fn(() => ++compiled);
+            const styles = jest.fn(() => "styles");
+            const bundle = jest.fn((results: any) => `${results.compile} ${results.styles}`);
+            taskRunner.addTask("compile", {watch: path.join(root, "src/*.ts"), task: compile});
+            taskRunner.addTask("styles", {watch: path.join(root, "styles"), task: styles});
+            taskRunner.addTask("bundle", ["compile", "styles"], bundle);
+
+            const runEnd = jest.fn();
+            taskRunner.on("runEnd", runEnd);
+
+            const handle = taskRunner.watch("bundle", {debounce: 20});
+            return waitFor(() => runEnd.mock.calls.length === 1)
+                .then(() => {
+                    expect(runEnd).toHaveBeenLastCalledWith(expect.objectContaining({result: "1 styles"}));
+                    fs.writeFileSync(path.join(root, "src", "index.ts"), "2");
+                    return waitFor(() => runEnd.mock.calls.length === 2);
+                })
+                .then(() => {
+                    expect(runEnd).toHaveBeenLastCalledWith(expect.objectContaining({result: "2 styles"}));
+                    expect(compile).toHaveBeenCalledTimes(2);
+                    expect(styles).toHaveBeenCalledTimes(1);
+                    expect(bundle).toHaveBeenCalledTimes(2);
+                    return handle.stop();
+                });
+        });
+
+        it("should emit task events for the tasks which are re-run", () => {
+            taskRunner.addTask("compile", {watch: path.join(root, "src"), task: () => 1});
+            taskRunner.addTask("styles", {watch: path.join(root, "styles"), task: () => 2});
+            taskRunner.addTask("bundle", ["compile", "styles"], () => 3);
+
+            const taskStart = jest.fn();
+            const runEnd = jest.fn();
+            taskRunner.on("taskStart", taskStart).on("runEnd", runEnd);
+
+            const handle = taskRunner.watch(["bundle"], {debounce: 20});
+            return waitFor(() => runEnd.mock.calls.length === 1)
+                .then(() => {
+                    taskStart.mockClear();
+                    fs.writeFileSync(path.join(root, "styles", "main.css"), "b");
+                    return waitFor(() => runEnd.mock.calls.length === 2);
+                })
+                .then(() => {
+                    expect(taskStart.mock.calls.map((call) => call[0].taskName)).toEqual(["styles", "bundle"]);
+                    return handle.stop();
+                });
+        });
+
+        it("should re-run failed tasks and keep watching after a failed run", () => {
+            let attempts = 0;
+            taskRunner.addTask("compile", {
+                watch: path.join(root, "src"),
+                task: () => {
+                    if (++attempts === 1) {
+                        throw new Error("Fail task");
+                    }
+                    return attempts;
+                }
+            });
+            taskRunner.addTask("styles", {watch: path.join(root, "styles"), task: () => "styles"});
+            taskRunner.addTask("bundle", ["compile", "styles"], (results) => results.compile);
+
+            const runEnd = jest.fn();
+            taskRunner.on("runEnd", runEnd);
+
+            const handle = taskRunner.watch("bundle", {debounce: 20});
+            return waitFor(() => runEnd.mock.calls.length === 1)
+                .then(() => {
+                    expect(runEnd).toHaveBeenLastCalledWith(expect.objectContaining({error: new Error("Fail task")}));
+                    fs.writeFileSync(path.join(root, "styles", "main.css"), "b");
+                    return waitFor(() => runEnd.mock.calls.length === 2);
+                })
+                .then(() => {
+                    expect(runEnd).toHaveBeenLastCalledWith(expect.objectContaining({result: 2}));
+                    return handle.stop();
+                });
+        });
+
+        it("should run tasks which generated tasks again, rather than reusing their results", () => {
+            const scan = jest.fn((results: any, context: any) => context.addTask("test", () => "tested"));
+            taskRunner.addTask("scan", {style: "sync", task: scan});
+            taskRunner.addTask("styles", {watch: path.join(root, "styles"), task: () => "styles"});
+            taskRunner.addTask("report", ["scan", "styles"], (results) => results.test);
+
+            const runEnd = jest.fn();
+            taskRunner.on("runEnd", runEnd);
+
+            const handle = taskRunner.watch("report", {debounce: 20});
+            return waitFor(() => runEnd.mock.calls.length === 1)
+                .then(() => {
+                    fs.writeFileSync(path.join(root, "styles", "main.css"), "b");
+                    return waitFor(() => runEnd.mock.calls.length === 2);
+                })
+                .then(() => {
+                    expect(runEnd).toHaveBeenLastCalledWith(expect.objectContaining({result: "tested"}));
+                    expect(scan).toHaveBeenCalledTimes(2);
+                    return handle.stop();
+                });
+        });
+
+        it("should not run again once stopped", () => {
+            const compile = jest.fn();
+            taskRunner.addTask("compile", {watch: path.join(root, "src"), task: compile});
+
+            const handle = taskRunner.watch("compile", {debounce: 0});
+            return handle.stop()
+                .then(() => {
+                    fs.writeFileSync(path.join(root, "src", "index.ts"), "2");
+                    return new Promise((resolve) => setTimeout(resolve, 50));
+                })
+                .then(() => expect(compile).toHaveBeenCalledTimes(1));
+        });
+
+        it("should throw if a task does not exist", () => {
+            expect(() => taskRunner.watch("missing")).toThrow("Task 'missing' not found");
+        });
+
+        it("should throw if the debounce is invalid", () => {
+            addTask("root");
+
+            expect(() => taskRunner.watch("root", {debounce: -1})).toThrow();
+        });
+    });
+
+    describe("style", () => {
+        it("should call a task declared as \"promise\" with the context instead of done", () => {
+            const task = jest.fn((results: any, context: any) => Promise.resolve(context.signal));
+            taskRunner.addTask("task", {style: "promise", task: task});
+
+            return taskRunner.run("task").then((result) => {
+                expect(result).toBe(undefined);
+                expect(task.mock.calls[0][1].taskName).toBe("task");
+            });
+        });
+
+        it("should wait for a task declared as \"callback\" to call done", () => {
+            taskRunner.addTask("task", {
+                style: "callback",
+                task: (results: any, ...args: any[]) => setTimeout(() => args[0](1701), 10)
+            });
+
+            return taskRunner.run("task").then((result) => {
+                expect(result).toBe(1701);
+            });
+        });
+    });
+
+    describe("worker", () => {
+        let root: string;
+
+        beforeEach(() => {
+            root = createTemporaryDirectory();
+            fs.writeFileSync(path.join(root, "tasks.js"), [
+                "module.exports = (results) => results.source.length;",
+                "exports = module.exports;",
+                "exports.hash = (results) => 'hash:' + results.source;",
+                "exports.fail = () => { throw new Error('minify failed'); };"
+            ].join("\n"));
+            taskRunner = new TaskRunner({workerPoolSize: 1});
+        });
+
+        afterEach(() => {
+            removeDirectory(root);
+        });
+
+        it("should run the export in a worker with the results of the dependencies", () => {
+            taskRunner.addTask("source", () => "abc");
+            taskRunner.addTask("hash", {
+                dependencies: "source",
+                worker: {module: path.join(root, "tasks.js"), exportName: "hash"}
+            });
+            const consumer = jest.fn((results: any) => results.hash.toUpperCase());
+            taskRunner.addTask("consumer", ["hash"], consumer);
+
+            return taskRunner.run("consumer").then((result) => {
+                expect(consumer.mock.calls[0][0]).toEqual({hash: "hash:abc"});
+                expect(result).toBe("HASH:ABC");
+            });
+        });
+
+        it("should default to the module itself when no export is named", () => {
+            taskRunner.addTask("source", () => "abcd");
+            taskRunner.addTask("length", {dependencies: "source", worker: {module: path.join(root, "tasks.js")}});
+
+            return taskRunner.run("length").then((result) => {
+                expect(result).toBe(4);
+            });
+        });
+
+        it("should resolve the module against the current working directory", () => {
+            taskRunner.addTask("source", () => "abc");
+            taskRunner.addTask("hash", {
+                dependencies: "source",
+                worker: {module: path.relative(process.cwd(), path.join(root, "tasks.js")), exportName: "hash"}
+            });
+
+            return taskRunner.run("hash").then((result) => {
+                expect(result).toBe("hash:abc");
+            });
+        });
+
+        it("should fail the task with the error of the worker", () => {
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({workerPoolSize: 1, onTaskFail: onTaskFail});
+            taskRunner.addTask("minify", {worker: {module: path.join(root, "tasks.js"), exportName: "fail"}});
+
+            return taskRunner.run("minify").then(() => {
+                throw new Error("Expected the run to fail");
+            }, (error) => {
+                expect(error.message).toBe("minify failed");
+                expect(onTaskFail).toHaveBeenCalledWith("minify");
+            });
+        });
+
+        it("should throw if a task has both a function and a worker", () => {
+            expect(() => taskRunner.addTask("hash", {
+                task: () => 1,
+                worker: {module: path.join(root, "tasks.js")}
+            })).toThrow("Task hash cannot have both a task function and a worker");
+        });
+
+        it("should throw if the worker has no module", () => {
+            expect(() => taskRunner.addTask("hash", {worker: {module: ""}}))
+                .toThrow("Missing worker module for task hash");
+        });
+
+        it("should reject the run if the pool size is invalid", () => {
+            taskRunner = new TaskRunner({workerPoolSize: 0});
+            taskRunner.addTask("hash", {worker: {module: path.join(root, "tasks.js")}});
+
+            return expect(taskRunner.run("hash")).rejects.toThrow("workerPoolSize must be a positive integer, got '0'");
+        });
+    });
+
+    describe("shell", () => {
+        const node = (script: string): string[] => [process.execPath, "-e", script];
+
+        it("should run the command and pass its output to the tasks depending on it", () => {
+            const stdout = new PassThrough();
+            taskRunner.addTask("version", shell(node("console.log('1.2.3')"), {stdout: stdout}));
+            const consumer = jest.fn((results: any) => results.version.stdout.trim());
+            taskRunner.addTask("consumer", ["version"], consumer);
+
+            return taskRunner.run("consumer").then((result) => {
+                expect(result).toBe("1.2.3");
+                expect(consumer.mock.calls[0][0].version).toEqual({stdout: "1.2.3\n", stderr: "", exitCode: 0});
+                expect(stdout.read().toString()).toBe("[version] 1.2.3\n");
+            });
+        });
+
+        it("should prefix the output of a mounted task with its namespace", () => {
+            const stdout = new PassThrough();
+            const apiRunner = new TaskRunner();
+            apiRunner.addTask("build", shell(node("console.log('built')"), {stdout: stdout}));
+            taskRunner.mount("api", apiRunner);
+
+            return taskRunner.run("api:build").then(() => {
+                expect(stdout.read().toString()).toBe("[api:build] built\n");
+            });
+        });
+
+        it("should kill the command when an attempt times out, and only retry once it has exited", () => {
+            const stdout = new PassThrough();
+            const onTaskRetry = jest.fn();
+            taskRunner = new TaskRunner({onTaskRetry: onTaskRetry});
+            taskRunner.addTask("serve", {
+                timeout: 1000,
+                retries: 1,
+                task: shell(node("console.log('ready'); setTimeout(() => {}, 10000)"), {stdout: stdout})
+            });
+
+            const startTime = Date.now();
+            return taskRunner.run("serve").then(() => {
+                throw new Error("Expected the run to time out");
+            }, (error) => {
+                expect(error).toBeInstanceOf(TimeoutError);
+                expect(onTaskRetry).toHaveBeenCalledTimes(1);
+                expect(Date.now() - startTime).toBeLessThan(5000);
+                expect(stdout.read().toString()).toBe("[serve] ready\n[serve] ready\n");
+            });
+        });
+
+        it("should fail the task if the command fails", () => {
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskFail: onTaskFail});
+            taskRunner.addTask("lint", shell(node("console.error('2 problems'); process.exit(1)"), {stderr: null}));
+
+            return taskRunner.run("lint").then(() => {
+                throw new Error("Expected the run to fail");
+            }, (error) => {
+                expect(error).toBeInstanceOf(ShellCommandError);
+                expect(error.message).toMatch(/failed with exit code 1:\n2 problems$/);
+                expect(onTaskFail).toHaveBeenCalledWith("lint");
+            });
+        });
+
+        it("should kill the command when the run is aborted", () => {
+            const listeners: (() => void)[] = [];
+            const signal = {
+                aborted: false,
+                addEventListener: (type: string, listener: () => void) => listeners.push(listener),
+                removeEventListener: (type: string, listener: () => void) => {
+                    listeners.splice(listeners.indexOf(listener), 1);
+                }
+            };
+            const stdout = new PassThrough();
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskFail: onTaskFail});
+            taskRunner.addTask("serve", shell(node("console.log('ready'); setTimeout(() => {}, 10000)"), {
+                stdout: stdout
+            }));
+
+            const runPromise = taskRunner.run("serve", {signal: signal});
+            stdout.once("data", () => {
+                signal.aborted = true;
+                listeners.slice().forEach((listener) => listener());
+            });
+
+            return runPromise.then(() => {
+                throw new Error("Expected the run to be aborted");
+            }, (error) => {
+                expect(error).toBeInstanceOf(AbortError);
+                return new Promise((resolve) => setTimeout(resolve, 100));
+            }).then(() => {
+                expect(onTaskFail).toHaveBeenCalledWith("serve");
+                expect(listeners.length).toBe(0);
+            });
+        });
+    });
+
+    describe("checkpoint", () => {
+        let root: string;
+        let checkpointPath: string;
+
+        const addTasks = (failing: boolean) => {
+            const tasks = {
+                a: jest.fn(() => 1),
+                b: jest.fn((results: any) => results.a + 1),
+                c: jest.fn((results: any) => {
+                    if (failing) {
+                        throw new Error("Crashed");
+                    }
+                    return results.b + 1;
+                })
+            };
+            taskRunner = new TaskRunner();
+            taskRunner.addTask("a", tasks.a);
+            taskRunner.addTask("b", ["a"], tasks.b);
+            taskRunner.addTask("c", ["b"], tasks.c);
+
+            return tasks;
+        };
+
+        beforeEach(() => {
+            root = createTemporaryDirectory();
+            checkpointPath = path.join(root, "checkpoint.json");
+        });
+
+        afterEach(() => {
+            removeDirectory(root);
+        });
+
+        it("should resume from the tasks recorded before a failure", () => {
+            addTasks(true);
+
+            return taskRunner.run("c", {checkpoint: checkpointPath}).then(() => {
+                throw new Error("Expected the run to fail");
+            }, (error) => {
+                expect(error.message).toBe("Crashed");
+
+                const tasks = addTasks(false);
+                return taskRunner.run("c", {checkpoint: checkpointPath, resumeFrom: checkpointPath}).then((result) => {
+                    expect(result).toBe(3);
+                    expect(tasks.a).not.toBeCalled();
+                    expect(tasks.b).not.toBeCalled();
+                    expect(tasks.c.mock.calls[0][0]).toEqual({b: 2});
+                });
+            }).then(() => {
+                const data = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+                expect(Object.keys(data.tasks).sort()).toEqual(["a", "b", "c"]);
+            });
+        });
+
+        it("should not write the checkpoint in a dry run", () => {
+            addTasks(false);
+
+            return taskRunner.run("c", {checkpoint: checkpointPath, dryRun: true}).then(() => {
+                expect(fs.existsSync(checkpointPath)).toBe(false);
+            });
+        });
+
+        it("should reject a checkpoint created for a different graph", () => {
+            addTasks(false);
+
+            return taskRunner.run("b", {checkpoint: checkpointPath}).then(() => {
+                const tasks = addTasks(false);
+                taskRunner.addTask("d", () => 0);
+                taskRunner.addDependencies("b", "d");
+
+                return taskRunner.run("c", {resumeFrom: checkpointPath}).then(() => {
+                    throw new Error("Expected the run to fail");
+                }, (error) => {
+                    expect(error).toBeInstanceOf(CheckpointError);
+                    expect(error.message).toBe(`Checkpoint '${checkpointPath}' was created for a different task graph`);
+                    expect(tasks.a).not.toBeCalled();
+                });
+            });
+        });
+
+        it("should reject a checkpoint created for a different definition of a recorded task", () => {
+            addTasks(false);
+
+            return taskRunner.run("c", {checkpoint: checkpointPath}).then(() => {
+                taskRunner = new TaskRunner();
+                taskRunner.addTask("a", () => 2);
+                taskRunner.addTask("b", ["a"], (results: any) => results.a + 1);
+                taskRunner.addTask("c", ["b"], (results: any) => results.b + 1);
+
+                return expect(taskRunner.run("c", {resumeFrom: checkpointPath}))
+                    .rejects.toThrow("was created for a different definition of task 'a'");
+            });
+        });
+
+        it("should reject if the checkpoint to resume from cannot be read", () => {
+            addTasks(false);
+
+            return expect(taskRunner.run("c", {resumeFrom: checkpointPath})).rejects.toBeInstanceOf(CheckpointError);
+        });
+
+        it("should fail a task whose result cannot be written to the checkpoint", () => {
+            const circular: any = {};
+            circular.self = circular;
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskFail: onTaskFail});
+            taskRunner.addTask("circular", () => circular);
+            taskRunner.addTask("slow", (results, done) => setTimeout(() => done(1), 20));
+            taskRunner.addTask("top", ["circular", "slow"], jest.fn());
+
+            return expect(taskRunner.run("top", {checkpoint: checkpointPath})).rejects.toThrow(TypeError).then(() => {
+                expect(onTaskFail).toHaveBeenCalledWith("circular");
+            });
+        });
+    });
+
+    describe("context", () => {
+        it("should pass the context after the results, or after done", () => {
+            const syncTask = jest.fn((results: any, context: any) => context);
+            taskRunner.addTask("sync", {style: "sync", task: syncTask});
+            taskRunner.addTask("callback", {
+                dependencies: ["sync"],
+                style: "callback",
+                task: (results: any, done: any, context: any) => done(context)
+            });
+
+            return taskRunner.run(["sync", "callback"]).then((results: any) => {
+                expect(results.sync.taskName).toBe("sync");
+                expect(results.callback.taskName).toBe("callback");
+                expect(results.sync.runId).toBe(results.callback.runId);
+                expect(results.sync.signal).toBe(undefined);
+            });
+        });
+
+        it("should expect tasks with three parameters to return their result unless declared as callbacks", () => {
+            taskRunner.addTask("legacy", <any> ((results: any, a: any, b: any) => 1701));
+
+            return taskRunner.run("legacy").then((result) => {
+                expect(result).toBe(1701);
+            });
+        });
+
+        it("should emit taskProgress and call onTaskProgress when a task reports its progress", () => {
+            const onTaskProgress = jest.fn();
+            const listener = jest.fn();
+            taskRunner = new TaskRunner({onTaskProgress: onTaskProgress});
+            taskRunner.on("taskProgress", listener);
+            taskRunner.addTask("build", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.progress(0.5, "bundling");
+                    context.progress(1);
+                }
+            });
+
+            return taskRunner.run("build").then(() => {
+                expect(onTaskProgress.mock.calls).toEqual([["build", 0.5, "bundling"], ["build", 1, undefined]]);
+                expect(listener).toHaveBeenCalledTimes(2);
+                expect(listener.mock.calls[0][0]).toEqual({
+                    runId: 1,
+                    taskName: "build",
+                    fraction: 0.5,
+                    message: "bundling",
+                    time: expect.any(Number)
+                });
+            });
+        });
+
+        it("should throw if the progress is not between 0 and 1", () => {
+            taskRunner.addTask("build", {
+                style: "sync",
+                task: (results: any, context: any) => context.progress(1.5)
+            });
+
+            return expect(taskRunner.run("build")).rejects.toThrow("progress must be between 0 and 1, got '1.5'");
+        });
+
+        it("should emit taskLog for each message logged by a task", () => {
+            const listener = jest.fn();
+            taskRunner.on("taskLog", listener);
+            taskRunner.addTask("build", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.logger.info("Built %d files", 3);
+                    context.logger.error("Failed", "twice");
+                }
+            });
+
+            return taskRunner.run("build").then(() => {
+                expect(listener.mock.calls.map((call) => [call[0].taskName, call[0].level, call[0].message])).toEqual([
+                    ["build", "info", "Built 3 files"],
+                    ["build", "error", "Failed twice"]
+                ]);
+            });
+        });
+
+        it("should give mounted tasks their namespaced name", () => {
+            const other = new TaskRunner();
+            other.addTask("build", {style: "sync", task: (results: any, context: any) => context.taskName});
+            taskRunner.mount("api", other);
+
+            return taskRunner.run("api:build").then((result) => {
+                expect(result).toBe("api:build");
+            });
+        });
+    });
+
+    describe("use", () => {
+        it("should call middlewares in the order they were added, around every task", () => {
+            const calls: string[] = [];
+            taskRunner.addTask("a", () => calls.push("task a"));
+            taskRunner.use((taskName, results, next) => {
+                calls.push(`first ${taskName}`);
+                return next().then((result) => {
+                    calls.push(`first ${taskName} done`);
+                    return result;
+                });
+            });
+            taskRunner.use((taskName, results, next) => {
+                calls.push(`second ${taskName}`);
+                return next();
+            });
+            taskRunner.addTask("b", ["a"], () => calls.push("task b"));
+
+            return taskRunner.run("b").then(() => {
+                expect(calls).toEqual([
+                    "first a", "second a", "task a", "first a done",
+                    "first b", "second b", "task b", "first b done"
+                ]);
+            });
+        });
+
+        it("should pass the results of the dependencies and the context", () => {
+            const middleware = jest.fn((taskName: string, results: any, next: () => Promise<any>, context: any) => {
+                return next();
+            });
+            taskRunner.use(middleware);
+            taskRunner.addTask("a", () => 1);
+            taskRunner.addTask("b", ["a"], (results: any) => results.a + 1);
+
+            return taskRunner.run("b").then(() => {
+                expect(middleware.mock.calls[1][0]).toBe("b");
+                expect(middleware.mock.calls[1][1]).toEqual({a: 1});
+                expect(middleware.mock.calls[1][3].taskName).toBe("b");
+            });
+        });
+
+        it("should let a middleware change the result", () => {
+            taskRunner.use((taskName, results, next) => next().then((result) => result * 2));
+            taskRunner.addTask("a", () => 1);
+            taskRunner.addTask("b", ["a"], (results: any) => results.a + 1);
+
+            return taskRunner.run("b").then((result) => {
+                expect(result).toBe(6);
+            });
+        });
+
+        it("should let a middleware catch or decorate errors", () => {
+            taskRunner.use((taskName, results, next) => next().catch((error) => {
+                throw new Error(`${taskName}: ${error.message}`);
+            }));
+            taskRunner.use((taskName, results, next) => next().catch((error) => {
+                if (taskName === "a") {
+                    return "recovered";
+                }
+                throw error;
+            }));
+            taskRunner.addTask("a", () => {
+                throw new Error("Failed");
+            });
+            taskRunner.addTask("b", ["a"], (results: any) => {
+                throw new Error(`Failed after ${results.a}`);
+            });
+
+            return expect(taskRunner.run("b")).rejects.toThrow("b: Failed after recovered");
+        });
+
+        it("should let a middleware short-circuit the task", () => {
+            const task = jest.fn();
+            taskRunner.use((taskName) => `skipped ${taskName}`);
+            taskRunner.addTask("a", task);
+
+            return taskRunner.run("a").then((result) => {
+                expect(result).toBe("skipped a");
+                expect(task).not.toBeCalled();
+            });
+        });
+
+        it("should fail the task if a middleware throws", () => {
+            const onTaskFail = jest.fn();
+            taskRunner = new TaskRunner({onTaskFail: onTaskFail});
+            taskRunner.use(() => {
+                throw new Error("Middleware failed");
+            });
+            taskRunner.addTask("a", () => 1);
+
+            return expect(taskRunner.run("a")).rejects.toThrow("Middleware failed").then(() => {
+                expect(onTaskFail).toHaveBeenCalledWith("a");
+            });
+        });
+
+        it("should call middlewares for each attempt of a task", () => {
+            const middleware = jest.fn((taskName: string, results: any, next: () => Promise<any>) => next());
+            let attempts = 0;
+            taskRunner.use(middleware);
+            taskRunner.addTask("a", {
+                retries: 1,
+                task: () => {
+                    if (++attempts === 1) {
+                        throw new Error("Flaky");
+                    }
+                    return attempts;
+                }
+            });
+
+            return taskRunner.run("a").then((result) => {
+                expect(result).toBe(2);
+                expect(middleware).toHaveBeenCalledTimes(2);
+            });
+        });
+
+        it("should not call middlewares in a dry run", () => {
+            const middleware = jest.fn();
+            taskRunner.use(middleware);
+            taskRunner.addTask("a", () => 1);
+
+            return taskRunner.run("a", {dryRun: true}).then(() => {
+                expect(middleware).not.toBeCalled();
+            });
+        });
+
+        it("should throw if the middleware is not a function", () => {
+            expect(() => taskRunner.use(<any> null)).toThrow("Middleware must be a function");
+        });
+    });
+
+    describe("resources", () => {
+        const trackResource = function () {
+            const state = { running: 0, maxRunning: 0 };
+            const task = (results, done) => {
+                state.running++;
+                state.maxRunning = Math.max(state.maxRunning, state.running);
+                setTimeout(() => {
+                    state.running--;
+                    done();
+                }, 0);
+            };
+
+            return { state, task };
+        };
+
+        it("should not run tasks sharing a resource at the same time", () => {
+            const { state, task } = trackResource();
+            const children = ["child1", "child2", "child3"];
+            for (const child of children) {
+                taskRunner.addTask(child, {resources: "db", task: task});
+            }
+            taskRunner.addTask("root", children, jest.fn());
+
+            return taskRunner.run("root").then(() => {
+                expect(state.maxRunning).toBe(1);
+            });
+        });
+
+        it("should run up to the capacity of a resource at once", () => {
+            const { state, task } = trackResource();
+            const children = ["child1", "child2", "child3", "child4"];
+            taskRunner.addTask("child1", {resources: {db: 2}, task: task});
+            taskRunner.addTask("child2", {resources: ["db"], task: task});
+            taskRunner.addTask("child3", {resources: "db", task: task});
+            taskRunner.addTask("child4", {resources: {db: 2}, task: task});
+            taskRunner.addTask("root", children, jest.fn());
+
+            return taskRunner.run("root").then(() => {
+                expect(state.maxRunning).toBe(2);
+            });
+        });
+
+        it("should not limit tasks using different resources", () => {
+            const { state, task } = trackResource();
+            taskRunner.addTask("child1", {resources: "db", task: task});
+            taskRunner.addTask("child2", {resources: "port", task: task});
+            taskRunner.addTask("root", ["child1", "child2"], jest.fn());
+
+            return taskRunner.run("root").then(() => {
+                expect(state.maxRunning).toBe(2);
+            });
+        });
+
+        it("should not deadlock tasks needing several resources", () => {
+            const { state, task } = trackResource();
+            taskRunner.addTask("child1", {resources: ["db", "port"], task: task});
+            taskRunner.addTask("child2", {resources: ["port", "db"], task: task});
+            taskRunner.addTask("child3", {resources: ["db"], task: task});
+            taskRunner.addTask("root", ["child1", "child2", "child3"], jest.fn());
+
+            return taskRunner.run("root").then(() => {
+                expect(state.maxRunning).toBe(1);
+            });
+        });
+
+        it("should share resources between overlapping runs", () => {
+            const { state, task } = trackResource();
+            taskRunner.addTask("a", {resources: "db", task: task});
+            taskRunner.addTask("b", {resources: "db", task: task});
+
+            return Promise.all([taskRunner.run("a"), taskRunner.run("b")]).then(() => {
+                expect(state.maxRunning).toBe(1);
+            });
+        });
+
+        it("should report the time tasks wait for their resources", () => {
+            const onTaskWait = jest.fn();
+            const onTaskStart = jest.fn();
+            taskRunner = new TaskRunner({onTaskWait: onTaskWait, onTaskStart: onTaskStart});
+            const waitEvents: any[] = [];
+            const startEvents: any[] = [];
+            taskRunner.on("taskWait", (event) => waitEvents.push(event));
+            taskRunner.on("taskStart", (event) => startEvents.push(event));
+
+            taskRunner.addTask("child1", {resources: "db", task: (results, done) => setTimeout(done, 20)});
+            taskRunner.addTask("child2", {resources: "db", task: jest.fn()});
+            taskRunner.addTask("root", ["child1", "child2"], jest.fn());
+
+            return taskRunner.run("root").then(() => {
+                expect(onTaskWait).toHaveBeenCalledTimes(1);
+                expect(onTaskWait).toHaveBeenCalledWith("child2", ["db"]);
+                expect(waitEvents).toHaveLength(1);
+                expect(waitEvents[0]).toMatchObject({taskName: "child2", resources: ["db"]});
+
+                const child2Call = onTaskStart.mock.calls.map((call) => call[0]).indexOf("child2");
+                expect(onTaskStart.mock.invocationCallOrder[child2Call])
+                    .toBeGreaterThan(onTaskWait.mock.invocationCallOrder[0]);
+                const child2Start = startEvents.filter((event) => event.taskName === "child2")[0];
+                expect(child2Start.waitTime).toBeGreaterThanOrEqual(15);
+                expect(startEvents.filter((event) => event.taskName === "root")[0].waitTime).toBe(0);
+            });
+        });
+
+        it("should release resources held by failed tasks", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            taskRunner.addTask("child1", {resources: "db", task: () => Promise.reject(new Error("failed"))});
+            const child2 = jest.fn();
+            taskRunner.addTask("child2", {resources: "db", task: child2});
+
+            return taskRunner.run(["child1", "child2"]).catch(() => {
+                expect(child2).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        it("should throw if a capacity is not a positive integer", () => {
+            expect(() => taskRunner.addTask("a", {resources: {db: 0}, task: jest.fn()}))
+                .toThrow("The capacity of resource 'db' must be a positive integer, got '0'");
+            expect(() => taskRunner.addTask("a", {resources: {db: 1.5}, task: jest.fn()})).toThrow();
+        });
+
+        it("should throw if tasks declare different capacities for a resource", () => {
+            taskRunner.addTask("a", {resources: {db: 2}, task: jest.fn()});
+            taskRunner.addTask("b", {resources: {db: 2}, task: jest.fn()});
+
+            expect(() => taskRunner.addTask("c", {resources: {db: 3}, task: jest.fn()}))
+                .toThrow("Resource 'db' already has capacity 2, set by task a");
+        });
+    });
+
+    describe("generated tasks", () => {
+        const generate = (children: string[]) => (results: any, context: any) => {
+            for (const child of children) {
+                context.addTask(child, () => `${child} result`);
+            }
+            return "parent result";
+        };
+
+        it("should run generated tasks and pass their results to the dependents of the task generating them", () => {
+            taskRunner.addTask("scan", {style: "sync", task: generate(["test:a", "test:b"])});
+            const report = jest.fn((results) => results);
+            taskRunner.addTask("report", ["scan"], report);
+
+            return taskRunner.run(["scan", "report"]).then((results: any) => {
+                expect(results.scan).toBe("parent result");
+                expect(results.report).toEqual({
+                    "scan": "parent result",
+                    "test:a": "test:a result",
+                    "test:b": "test:b result"
+                });
+            });
+        });
+
+        it("should complete the task generating tasks only once they have completed", () => {
+            const ended: string[] = [];
+            taskRunner.on("taskEnd", (event) => ended.push(event.taskName));
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.addTask("slow", (results: any, done: any) => setTimeout(() => done(1), 10));
+                }
+            });
+            taskRunner.addTask("report", ["scan"], jest.fn());
+
+            return taskRunner.run("report").then(() => {
+                expect(ended).toEqual(["slow", "scan", "report"]);
+            });
+        });
+
+        it("should let generated tasks depend on existing tasks", () => {
+            const install = jest.fn(() => "installed");
+            taskRunner.addTask("install", install);
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.addTask("test:a", "install", (results: any) => results.install + " a");
+                    context.addTask("test:b", {dependencies: ["install", "test:a"], task: (results: any) => results});
+                }
+            });
+            taskRunner.addTask("report", ["scan"], (results) => results);
+
+            return taskRunner.run("report").then((results: any) => {
+                expect(install).toHaveBeenCalledTimes(1);
+                expect(results["test:a"]).toBe("installed a");
+                expect(results["test:b"]).toEqual({"install": "installed", "test:a": "installed a"});
+            });
+        });
+
+        it("should pass the results of tasks generated by generated tasks", () => {
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.addTask("package", {style: "sync", task: generate(["test"])});
+                }
+            });
+            taskRunner.addTask("report", ["scan"], (results) => results);
+
+            return taskRunner.run("report").then((results: any) => {
+                expect(results).toEqual({scan: undefined, package: "parent result", test: "test result"});
+            });
+        });
+
+        it("should fire the lifecycle callbacks and events for generated tasks", () => {
+            const onTaskStart = jest.fn();
+            const onTaskEnd = jest.fn();
+            const listener = jest.fn();
+            taskRunner = new TaskRunner({onTaskStart: onTaskStart, onTaskEnd: onTaskEnd});
+            taskRunner.on("taskGenerate", listener);
+            taskRunner.addTask("install", jest.fn());
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => context.addTask("test", ["install"], jest.fn())
+            });
+
+            return taskRunner.run("scan").then(() => {
+                expect(onTaskStart.mock.calls.map((call) => call[0]).sort()).toEqual(["install", "scan", "test"]);
+                expect(onTaskEnd.mock.calls.map((call) => call[0]).sort()).toEqual(["install", "scan", "test"]);
+                expect(listener).toHaveBeenCalledWith({
+                    runId: 1,
+                    taskName: "test",
+                    parent: "scan",
+                    dependencies: ["install"],
+                    time: expect.any(Number)
+                });
+            });
+        });
+
+        it("should cancel the task generating a failed task, and its dependents", () => {
+            const error = new Error("test failed");
+            const onTaskCancel = jest.fn();
+            const cancelled: any[] = [];
+            taskRunner = new TaskRunner({onTaskCancel: onTaskCancel});
+            taskRunner.on("taskCancel", (event) => cancelled.push([event.taskName, event.cause]));
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.addTask("test", () => Promise.reject(error));
+                }
+            });
+            const report = jest.fn();
+            taskRunner.addTask("report", ["scan"], report);
+
+            expect.assertions(3);
+            return taskRunner.run("report").catch((e) => {
+                expect(e).toBe(error);
+                expect(report).not.toBeCalled();
+                expect(cancelled).toEqual([["scan", "test"], ["report", "scan"]]);
+            });
+        });
+
+        it("should only report the generated task as failed if failFast is false", () => {
+            taskRunner = new TaskRunner({failFast: false});
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.addTask("test", () => Promise.reject(new Error("test failed")));
+                }
+            });
+            taskRunner.addTask("lint", () => 1);
+
+            expect.assertions(2);
+            return taskRunner.run(["scan", "lint"]).catch((e) => {
+                expect(e).toBeInstanceOf(RunFailedError);
+                expect(e.failures.map((failure: any) => failure.taskName)).toEqual(["test"]);
+            });
+        });
+
+        it("should throw a ValidationError if a generated task would introduce a cycle", () => {
+            const errors: any[] = [];
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    for (const dependency of ["scan", "report", "missing"]) {
+                        try {
+                            context.addTask(`test:${dependency}`, dependency, jest.fn());
+                        } catch (e) {
+                            errors.push(e);
+                        }
+                    }
+                }
+            });
+            taskRunner.addTask("report", ["scan"], jest.fn());
+
+            return taskRunner.run("report").then(() => {
+                expect(errors).toHaveLength(3);
+                expect(errors[0]).toBeInstanceOf(ValidationError);
+                expect(errors[0].result.cycles).toEqual([["test:scan", "scan", "test:scan"]]);
+                expect(errors[1].result.cycles).toEqual([["test:report", "report", "scan", "test:report"]]);
+                expect(errors[2].result.missingDependencies)
+                    .toEqual([{taskName: "test:missing", dependency: "missing"}]);
+            });
+        });
+
+        it("should throw if a generated task already exists", () => {
+            taskRunner.addTask("lint", jest.fn());
+            taskRunner.addTask("scan", {
+                style: "sync",
+                task: (results: any, context: any) => {
+                    context.addTask("test", jest.fn());
+                    expect(() => context.addTask("lint", jest.fn())).toThrow("Task lint already exists.");
+                    expect(() => context.addTask("test", jest.fn())).toThrow("Task test already exists.");
+                }
+            });
+
+            expect.assertions(2);
+            return taskRunner.run("scan");
+        });
+
+        it("should throw if a task generates tasks after it has completed", () => {
+            let context: any;
+            taskRunner.addTask("scan", {style: "sync", task: (results: any, c: any) => context = c});
+
+            return taskRunner.run("scan").then(() => {
+                expect(() => context.addTask("late", jest.fn()))
+                    .toThrow("Task scan cannot add tasks after it has completed");
+            });
+        });
+
+        it("should throw if a task which may be retried generates tasks", () => {
+            const task = jest.fn((results: any, context: any) => {
+                expect(() => context.addTask("test", jest.fn()))
+                    .toThrow("Task scan cannot add tasks, since it may be retried");
+            });
+            taskRunner.addTask("scan", {style: "sync", retries: 1, task: task});
+
+            expect.assertions(2);
+            return taskRunner.run("scan").then(() => {
+                expect(task).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        it("should not add generated tasks to the task tree", () => {
+            taskRunner.addTask("scan", {style: "sync", task: generate(["test"])});
+
+            return taskRunner.run("scan")
+                .then(() => {
+                    expect(taskRunner.getTaskList()).toEqual({scan: []});
+                    return taskRunner.run("scan");
+                })
+                .then((result) => {
+                    expect(result).toBe("parent result");
+                });
+        });
+
+        it("should not cache the result of a task which generated tasks", () => {
+            const cacheStore = new MemoryCacheStore();
+            taskRunner = new TaskRunner({cacheStore: cacheStore});
+            const scan = jest.fn(generate(["test"]));
+            taskRunner.addTask("scan", {style: "sync", inputs: {key: () => "v1"}, task: scan});
+            taskRunner.addTask("report", ["scan"], (results) => results.test);
+
+            return taskRunner.run("report")
+                .then(() => taskRunner.run("report"))
+                .then((result) => {
+                    expect(result).toBe("test result");
+                    expect(scan).toHaveBeenCalledTimes(2);
+                    return cacheStore.get("scan");
+                })
+                .then((entry) => expect(entry).toBe(undefined));
+        });
+
+        it("should not record generated tasks, or the tasks generating them, in a checkpoint", () => {
+            const root = createTemporaryDirectory();
+            const checkpoint = path.join(root, "checkpoint.json");
+            taskRunner.addTask("lint", () => 1);
+            taskRunner.addTask("scan", {dependencies: "lint", style: "sync", task: generate(["test"])});
+
+            return taskRunner.run("scan", {checkpoint: checkpoint}).then(() => {
+                const recorded = Object.keys(JSON.parse(fs.readFileSync(checkpoint, "utf8")).tasks);
+                removeDirectory(root);
+
+                expect(recorded).toEqual(["lint"]);
+            });
+        });
+    });
+
+    describe("events", () => {
+        it("should emit taskStart and taskEnd with the timing and result of each task", () => {
+            const taskStart = jest.fn();
+            const taskEnd = jest.fn();
+            taskRunner.on("taskStart", taskStart).on("taskEnd", taskEnd);
+
+            taskRunner.addTask("child", () => 1);
+            taskRunner.addTask("root", ["child"], (results) => results.child + 1);
+
+            return taskRunner.run("root").then(() => {
+                expect(taskStart).toHaveBeenCalledTimes(2);
+                expect(taskStart).toHaveBeenCalledWith(expect.objectContaining({
+                    taskName: "root",
+                    dependencies: ["child"]
+                }));
+
+                expect(taskEnd).toHaveBeenCalledTimes(2);
+                const end = taskEnd.mock.calls[1][0];
+                expect(end).toEqual(expect.objectContaining({taskName: "root", result: 2, cached: false}));
+                expect(end.endTime).toBeGreaterThanOrEqual(end.startTime);
+                expect(end.duration).toBe(end.endTime - end.startTime);
+                expect(end.runId).toBe(taskEnd.mock.calls[0][0].runId);
+            });
+        });
+
+        it("should emit runStart and runEnd with the result of the run", () => {
+            const runStart = jest.fn();
+            const runEnd = jest.fn();
+            taskRunner.on("runStart", runStart).on("runEnd", runEnd);
+            taskRunner.addTask("root", () => "done");
+
+            return taskRunner.run("root").then(() => {
+                expect(runStart).toHaveBeenCalledWith(expect.objectContaining({taskNames: ["root"]}));
+                expect(runEnd).toHaveBeenCalledWith(expect.objectContaining({
+                    runId: runStart.mock.calls[0][0].runId,
+                    taskNames: ["root"],
+                    result: "done",
+                    error: undefined
+                }));
+            });
+        });
+
+        it("should reject the run without locking the task tree if a runStart listener throws", () => {
+            const error = new Error("listener failed");
+            const root = addTask("root");
+            const listener = () => {
+                throw error;
+            };
+            taskRunner.on("runStart", listener);
+
+            expect.assertions(3);
+            let runPromise: Promise<any>;
+            expect(() => runPromise = taskRunner.run("root")).not.toThrow();
+            return runPromise.catch((e) => {
+                expect(e).toBe(error);
+                expect(root).not.toHaveBeenCalled();
+                taskRunner.off("runStart", listener);
+                taskRunner.addTask("other", jest.fn());
+                return taskRunner.run("other");
+            });
+        });
+
+        it("should give every run its own id", () => {
+            const runStart = jest.fn();
+            taskRunner.on("runStart", runStart);
+            addTask("root");
+
+            return Promise.all([taskRunner.run("root"), taskRunner.run("root")]).then(() => {
+                expect(runStart.mock.calls[0][0].runId).not.toBe(runStart.mock.calls[1][0].runId);
+            });
+        });
+
+        it("should emit taskFail with the error and taskCancel with the dependency that caused it", () => {
+            const error = new Error("Fail task");
+            const taskFail = jest.fn();
+            const taskCancel = jest.fn();
+            const runEnd = jest.fn();
+            taskRunner.on("taskFail", taskFail).on("taskCancel", taskCancel).on("runEnd", runEnd);
+
+            addTask("child2").mockImplementation(() => {
+                throw error;
+            });
+            addTask("child1", ["child2"]);
+            addTask("root", ["child1"]);
+
+            expect.assertions(6);
+            return taskRunner.run("root").catch(() => {
+                expect(taskFail).toHaveBeenCalledTimes(1);
+                expect(taskFail).toHaveBeenCalledWith(expect.objectContaining({taskName: "child2", error: error}));
+                expect(taskCancel).toHaveBeenCalledTimes(2);
+                expect(taskCancel).toHaveBeenCalledWith(expect.objectContaining({
+                    taskName: "child1",
+                    cause: "child2",
+                    error: error
+                }));
+                expect(taskCancel).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", cause: "child1"}));
+                expect(runEnd).toHaveBeenCalledWith(expect.objectContaining({error: error}));
+            });
+        });
+
+        it("should emit taskRetry for each retry", () => {
+            const taskRetry = jest.fn();
+            taskRunner.on("taskRetry", taskRetry);
+
+            let attempts = 0;
+            taskRunner.addTask("root", {
+                retries: 2,
+                task: () => {
+                    if (++attempts < 3) {
+                        throw new Error("Fail " + attempts);
+                    }
+                }
+            });
+
+            return taskRunner.run("root").then(() => {
+                expect(taskRetry).toHaveBeenCalledTimes(2);
+                expect(taskRetry).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", retry: 1}));
+                expect(taskRetry).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", retry: 2}));
+            });
+        });
+
+        it("should emit taskCached and report the result of a cached task as cached", () => {
+            const taskCached = jest.fn();
+            const taskEnd = jest.fn();
+            taskRunner = new TaskRunner({cacheStore: new MemoryCacheStore()});
+            taskRunner.addTask("root", {inputs: {key: () => "key"}, task: () => 1});
+
+            return taskRunner.run("root")
+                .then(() => {
+                    taskRunner.on("taskCached", taskCached).on("taskEnd", taskEnd);
+                    return taskRunner.run("root");
+                })
+                .then(() => {
+                    expect(taskCached).toHaveBeenCalledWith(expect.objectContaining({taskName: "root", result: 1}));
+                    expect(taskEnd).toHaveBeenCalledWith(expect.objectContaining({result: 1, cached: true}));
+                });
+        });
+
+        it("should not call removed listeners", () => {
+            const taskEnd = jest.fn();
+            taskRunner.on("taskEnd", taskEnd).off("taskEnd", taskEnd);
+            addTask("root");
+
+            return taskRunner.run("root").then(() => expect(taskEnd).not.toHaveBeenCalled());
+        });
+
+        it("should keep calling the option callbacks", () => {
+            const onTaskEnd = jest.fn();
+            const taskEnd = jest.fn();
+            taskRunner = new TaskRunner({onTaskEnd: onTaskEnd});
+            taskRunner.on("taskEnd", taskEnd);
+            addTask("root");
+
+            return taskRunner.run("root").then(() => {
+                expect(onTaskEnd).toHaveBeenCalledWith("root");
+                expect(taskEnd).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+
     describe("onTask*", () => {
         it("should call onTaskStart when tasks start", () => {
             const onTaskStart = jest.fn();
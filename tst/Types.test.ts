@@ -0,0 +1,57 @@
+import * as path from "path";
+import * as ts from "typescript";
+
+describe("Types", () => {
+    const directory = path.join(__dirname, "..", "tst-types");
+    const expectation = /\/\/\s*\$ExpectError/;
+
+    let program: ts.Program;
+    let diagnostics: ReadonlyArray<ts.Diagnostic>;
+    beforeAll(() => {
+        const configPath = path.join(directory, "tsconfig.json");
+        const config = ts.readConfigFile(configPath, ts.sys.readFile);
+        const parsed = ts.parseJsonConfigFileContent(config.config, ts.sys, directory);
+
+        program = ts.createProgram(parsed.fileNames, parsed.options);
+        diagnostics = ts.getPreEmitDiagnostics(program);
+    }, 60000);
+
+    const getLine = function (diagnostic: ts.Diagnostic): string {
+        const file = <ts.SourceFile> diagnostic.file;
+        const position = file.getLineAndCharacterOfPosition(<number> diagnostic.start);
+        return `${path.relative(directory, file.fileName)}:${position.line + 1}`;
+    };
+
+    const getExpectedLines = function (): string[] {
+        const lines: string[] = [];
+        for (const file of program.getRootFileNames()) {
+            const source = ts.sys.readFile(file) || "";
+            source.split("\n").forEach((line, index) => {
+                if (expectation.test(line)) {
+                    lines.push(`${path.relative(directory, file)}:${index + 2}`);
+                }
+            });
+        }
+
+        return lines;
+    };
+
+    it("should only report errors on the lines expected to fail", () => {
+        const expectedLines = getExpectedLines();
+        const unexpected = diagnostics
+            .filter((diagnostic) => !diagnostic.file || expectedLines.indexOf(getLine(diagnostic)) === -1)
+            .map((diagnostic) => {
+                const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n");
+                return diagnostic.file ? `${getLine(diagnostic)}: ${message}` : message;
+            });
+
+        expect(unexpected).toEqual([]);
+    });
+
+    it("should report an error on every line expected to fail", () => {
+        const errorLines = diagnostics.filter((diagnostic) => diagnostic.file).map(getLine);
+        const missing = getExpectedLines().filter((line) => errorLines.indexOf(line) === -1);
+
+        expect(missing).toEqual([]);
+    });
+});
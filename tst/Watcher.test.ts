@@ -0,0 +1,168 @@
+import * as fs from "fs";
+import * as path from "path";
+import { FileMatcher } from "../src/FileMatcher";
+import { Watcher } from "../src/Watcher";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("Watcher", () => {
+    let root: string;
+    let listeners: { [directory: string]: (eventType: string, filename: string | null) => void };
+    let watchFunction: jest.Mock;
+    let close: jest.Mock;
+    let onChange: jest.Mock;
+
+    const createWatcher = (paths: { [taskName: string]: string[] }, delay = 0) => {
+        return new Watcher(paths, delay, onChange, new FileMatcher(root), watchFunction);
+    };
+
+    const wait = (time: number) => new Promise((resolve) => setTimeout(resolve, time));
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+        fs.mkdirSync(path.join(root, "src", "nested"), {recursive: true});
+        fs.writeFileSync(path.join(root, "config.json"), "{}");
+
+        listeners = {};
+        close = jest.fn();
+        watchFunction = jest.fn((directory, options, listener) => {
+            listeners[directory] = listener;
+            return {close: close};
+        });
+        onChange = jest.fn();
+    });
+
+    afterEach(() => {
+        removeDirectory(root);
+    });
+
+    it("should watch the nearest existing directory of each path once", () => {
+        createWatcher({
+            compile: ["src/**/*.ts", "src/missing/*.ts"],
+            bundle: ["config.json"]
+        }).start();
+
+        expect(Object.keys(listeners).sort()).toEqual([root, path.join(root, "src")].sort());
+        expect(watchFunction).toHaveBeenCalledWith(path.join(root, "src"), {recursive: true}, expect.any(Function));
+    });
+
+    it("should only watch the directory containing a file, unless another path needs its subdirectories", () => {
+        fs.writeFileSync(path.join(root, "src", "tsconfig.json"), "{}");
+        createWatcher({
+            bundle: ["config.json"],
+            compile: ["src/tsconfig.json"],
+            test: ["src/tsconfig.json", "src/**/*.test.ts"]
+        }).start();
+
+        expect(watchFunction).toHaveBeenCalledTimes(2);
+        expect(watchFunction).toHaveBeenCalledWith(root, {recursive: false}, expect.any(Function));
+        expect(watchFunction).toHaveBeenCalledWith(path.join(root, "src"), {recursive: true}, expect.any(Function));
+    });
+
+    it("should report the tasks whose paths changed", () => {
+        createWatcher({
+            compile: ["src/**/*.ts"],
+            test: ["src/**/*.test.ts"],
+            bundle: ["config.json"]
+        }).start();
+
+        listeners[path.join(root, "src")]("change", path.join("nested", "a.test.ts"));
+
+        return wait(10).then(() => {
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(onChange.mock.calls[0][0].sort()).toEqual(["compile", "test"]);
+        });
+    });
+
+    it("should ignore changes which match no path", () => {
+        createWatcher({bundle: ["config.json"]}).start();
+
+        listeners[root]("change", "other.json");
+
+        return wait(10).then(() => expect(onChange).not.toHaveBeenCalled());
+    });
+
+    it("should report every task watching the directory if the file name is unknown", () => {
+        createWatcher({bundle: ["config.json"], compile: ["src/*.ts"]}).start();
+
+        listeners[root]("change", null);
+
+        return wait(10).then(() => expect(onChange).toHaveBeenCalledWith(["bundle"]));
+    });
+
+    it("should debounce changes", () => {
+        createWatcher({compile: ["src/*.ts"], bundle: ["config.json"]}, 30).start();
+
+        listeners[path.join(root, "src")]("change", "a.ts");
+        return wait(10)
+            .then(() => {
+                listeners[root]("change", "config.json");
+                return wait(10);
+            })
+            .then(() => {
+                expect(onChange).not.toHaveBeenCalled();
+                return wait(50);
+            })
+            .then(() => {
+                expect(onChange).toHaveBeenCalledTimes(1);
+                expect(onChange.mock.calls[0][0].sort()).toEqual(["bundle", "compile"]);
+            });
+    });
+
+    it("should close the watchers and discard pending changes when stopped", () => {
+        const watcher = createWatcher({compile: ["src/*.ts"]});
+        watcher.start();
+
+        listeners[path.join(root, "src")]("change", "a.ts");
+        watcher.stop();
+
+        return wait(10).then(() => {
+            expect(close).toHaveBeenCalledTimes(1);
+            expect(onChange).not.toHaveBeenCalled();
+        });
+    });
+
+    it("should watch every subdirectory on its own where recursive watching is unavailable", () => {
+        watchFunction.mockImplementationOnce(() => {
+            throw Object.assign(new Error("Unavailable"), {code: "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM"});
+        });
+        fs.mkdirSync(path.join(root, "src", "node_modules"));
+        createWatcher({compile: ["src/**/*.ts"]}).start();
+
+        expect(Object.keys(listeners).sort()).toEqual([path.join(root, "src"), path.join(root, "src", "nested")]);
+        expect(watchFunction).toHaveBeenLastCalledWith(path.join(root, "src", "nested"), {recursive: false},
+            expect.any(Function));
+
+        fs.mkdirSync(path.join(root, "src", "nested", "deeper"));
+        listeners[path.join(root, "src", "nested")]("rename", "deeper");
+        listeners[path.join(root, "src", "nested", "deeper")]("change", "a.ts");
+
+        return wait(10).then(() => {
+            expect(watchFunction).toHaveBeenCalledTimes(4);
+            expect(onChange).toHaveBeenCalledWith(["compile"]);
+        });
+    });
+
+    it("should watch the nearest existing ancestor of a missing base alone, until the base is created", () => {
+        createWatcher({bundle: ["dist/**/*.js"]}).start();
+
+        expect(watchFunction).toHaveBeenCalledTimes(1);
+        expect(watchFunction).toHaveBeenCalledWith(root, {recursive: false}, expect.any(Function));
+
+        fs.mkdirSync(path.join(root, "dist"));
+        listeners[root]("rename", "dist");
+
+        expect(watchFunction).toHaveBeenLastCalledWith(path.join(root, "dist"), {recursive: true},
+            expect.any(Function));
+    });
+
+    it("should close the started watchers and throw if a directory cannot be watched", () => {
+        watchFunction
+            .mockImplementationOnce(() => ({close: close}))
+            .mockImplementationOnce(() => {
+                throw new Error("EMFILE");
+            });
+
+        expect(() => createWatcher({compile: ["src/*.ts"], bundle: ["config.json"]}).start()).toThrow("EMFILE");
+        expect(close).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,190 @@
+import * as fs from "fs";
+import * as path from "path";
+import { AbortError } from "../src/AbortError";
+import { LinkedAbortSignal } from "../src/LinkedAbortSignal";
+import { WorkerPool } from "../src/WorkerPool";
+import { createTemporaryDirectory, removeDirectory } from "../tst-util/TemporaryDirectory";
+
+describe("WorkerPool", () => {
+    let root: string;
+    let pool: WorkerPool;
+
+    const writeModule = (name: string, source: string): string => {
+        const modulePath = path.join(root, name);
+        fs.writeFileSync(modulePath, source);
+        return modulePath;
+    };
+
+    beforeEach(() => {
+        root = createTemporaryDirectory();
+    });
+
+    afterEach(() => {
+        const terminated = pool ? pool.terminate() : Promise.resolve();
+        return terminated.then(() => removeDirectory(root));
+    });
+
+    it("should throw if the size is not a positive integer", () => {
+        expect(() => new WorkerPool(0)).toThrow("workerPoolSize must be a positive integer, got '0'");
+        expect(() => new WorkerPool(1.5)).toThrow();
+        expect(() => new WorkerPool(NaN)).toThrow();
+    });
+
+    it("should call a named export with the results and resolve to its return value", () => {
+        const modulePath = writeModule("sum.js", "exports.sum = (results) => results.a + results.b;");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "sum", {a: 1, b: 2}).then((result) => {
+            expect(result).toBe(3);
+        });
+    });
+
+    it("should call a module which is itself a function as the default export", () => {
+        const modulePath = writeModule("double.js", "module.exports = (results) => results.value * 2;");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "default", {value: 21}).then((result) => {
+            expect(result).toBe(42);
+        });
+    });
+
+    it("should wait for a returned promise", () => {
+        const modulePath = writeModule("delayed.js",
+            "exports.delayed = () => new Promise((resolve) => setTimeout(() => resolve({ done: true }), 10));");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "delayed", {}).then((result) => {
+            expect(result).toEqual({done: true});
+        });
+    });
+
+    it("should reject with the error thrown in the worker", () => {
+        const modulePath = writeModule("fail.js", "exports.fail = () => { throw new TypeError('broken'); };");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "fail", {}).then(() => {
+            throw new Error("Expected the job to fail");
+        }, (error) => {
+            expect(error).toBeInstanceOf(Error);
+            expect(error.name).toBe("TypeError");
+            expect(error.message).toBe("broken");
+        });
+    });
+
+    it("should reject if the export is not a function", () => {
+        const modulePath = writeModule("value.js", "exports.value = 1;");
+        pool = new WorkerPool(1);
+
+        return expect(pool.run(modulePath, "value", {})).rejects.toThrow("Export 'value'");
+    });
+
+    it("should reject if the results cannot be cloned", () => {
+        const modulePath = writeModule("identity.js", "exports.identity = (results) => results;");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "identity", {fn: () => 1}).then(() => {
+            throw new Error("Expected the job to fail");
+        }, (error) => {
+            expect(error).toBeDefined();
+            return pool.run(modulePath, "identity", {value: 1});
+        }).then((result) => {
+            expect(result).toEqual({value: 1});
+        });
+    });
+
+    it("should not keep the process alive with a worker whose results could not be cloned", () => {
+        const modulePath = writeModule("identity.js", "exports.identity = (results) => results;");
+        const unref = jest.spyOn(require("worker_threads").Worker.prototype, "unref");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "identity", {fn: () => 1}).then(() => {
+            throw new Error("Expected the job to fail");
+        }, () => {
+            expect(unref).toHaveBeenCalledTimes(1);
+        }).then(() => unref.mockRestore(), (error) => {
+            unref.mockRestore();
+            throw error;
+        });
+    });
+
+    it("should reject a job with a clear error if worker_threads is not available", () => {
+        jest.doMock("worker_threads", () => {
+            throw new Error("Cannot find module 'worker_threads'");
+        });
+        pool = new WorkerPool(1);
+
+        return pool.run(writeModule("ok.js", "exports.ok = () => 'ok';"), "ok", {}).then(() => {
+            throw new Error("Expected the job to fail");
+        }, (error) => {
+            expect(error.message).toBe(
+                `Worker tasks need worker_threads, which is not available in Node.js ${process.version}`);
+        }).then(() => jest.dontMock("worker_threads"), (error) => {
+            jest.dontMock("worker_threads");
+            throw error;
+        });
+    });
+
+    it("should replace a worker which exits", () => {
+        const modulePath = writeModule("exit.js", "exports.exit = () => process.exit(3);\nexports.ok = () => 'ok';");
+        pool = new WorkerPool(1);
+
+        return pool.run(modulePath, "exit", {}).then(() => {
+            throw new Error("Expected the job to fail");
+        }, (error) => {
+            expect(error.message).toBe("The worker stopped with exit code 3");
+            return pool.run(modulePath, "ok", {});
+        }).then((result) => {
+            expect(result).toBe("ok");
+        });
+    });
+
+    it("should queue jobs beyond the size of the pool", () => {
+        const modulePath = writeModule("threadId.js", `
+            const { threadId } = require("worker_threads");
+            exports.threadId = () => new Promise((resolve) => setTimeout(() => resolve(threadId), 20));
+        `);
+        pool = new WorkerPool(2);
+
+        return Promise.all([1, 2, 3, 4].map(() => pool.run(modulePath, "threadId", {}))).then((threadIds) => {
+            expect(threadIds[0]).not.toBe(threadIds[1]);
+            expect(threadIds.filter((threadId, index) => threadIds.indexOf(threadId) === index).length).toBe(2);
+        });
+    });
+
+    it("should terminate the worker running a job once its signal is aborted, and replace it", () => {
+        const modulePath = writeModule("hang.js",
+            "exports.hang = () => new Promise(() => {});\nexports.ok = () => 'ok';");
+        pool = new WorkerPool(1);
+        const signal = new LinkedAbortSignal();
+
+        const hung = pool.run(modulePath, "hang", {}, signal);
+        const queued = pool.run(modulePath, "ok", {});
+        setTimeout(() => signal.abort(), 50);
+
+        return hung.then(() => {
+            throw new Error("Expected the job to be aborted");
+        }, (error) => {
+            expect(error).toBeInstanceOf(AbortError);
+            return queued;
+        }).then((result) => {
+            expect(result).toBe("ok");
+        });
+    });
+
+    it("should remove a queued job once its signal is aborted, and not start an aborted one", () => {
+        const modulePath = writeModule("ok.js",
+            "exports.ok = () => new Promise((resolve) => setTimeout(() => resolve('ok'), 20));");
+        pool = new WorkerPool(1);
+        const signal = new LinkedAbortSignal();
+
+        const running = pool.run(modulePath, "ok", {});
+        const queued = pool.run(modulePath, "ok", {}, signal);
+        signal.abort();
+
+        return Promise.all([
+            expect(queued).rejects.toBeInstanceOf(AbortError),
+            expect(pool.run(modulePath, "ok", {}, signal)).rejects.toBeInstanceOf(AbortError),
+            expect(running).resolves.toBe("ok")
+        ]);
+    });
+});